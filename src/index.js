@@ -1,5 +1,13 @@
 import { OnChainDataClient } from './on-chain-data-client';
 import StoragePointer from './on-chain-data-client/storage-pointer';
+import TransactionPlan from './on-chain-data-client/transaction-plan';
+import OrganizationIterator from './on-chain-data-client/organization-iterator';
+import EventWatcher from './on-chain-data-client/event-watcher';
+import FailoverProvider from './on-chain-data-client/failover-provider';
+import BatchingProvider from './on-chain-data-client/batching-provider';
+import CachingProvider from './on-chain-data-client/caching-provider';
+import MemoryCache from './on-chain-data-client/memory-cache';
+import FileCache from './on-chain-data-client/file-cache';
 import { OffChainDataClient } from './off-chain-data-client';
 import { TrustClueClient } from './trust-clue-client';
 import Wallet from './wallet';
@@ -25,8 +33,17 @@ import {
   RemoteDataReadError,
   OrganizationNotFoundError,
   OrganizationNotInstantiableError,
+  OrganizationCreationError,
   OnChainDataRuntimeError,
+  NodeUnavailableError,
   SmartContractInstantiationError,
+  IncompatibleContractError,
+  TransactionWaitError,
+  TransactionFailedError,
+  TransactionDroppedError,
+  TransactionWaitTimeoutError,
+  TransactionPlanError,
+  SignatureVerificationError,
 } from './on-chain-data-client/errors';
 import {
   WalletError,
@@ -39,6 +56,8 @@ import {
   InsufficientFundsError,
   TransactionRevertedError,
   TransactionDidNotComeThroughError,
+  ReplacementUnderpricedError,
+  TransactionReplacementError,
   NoReceiptError,
   InaccessibleEthereumNodeError,
 } from './wallet/errors';
@@ -56,14 +75,23 @@ export class WtJsLibs {
     return new WtJsLibs(options);
   }
 
+  /**
+   * Every instance works with its own on-chain and off-chain
+   * configuration, so multiple instances (i. e. for different
+   * networks) do not influence each other.
+   */
   constructor (options) {
     this.options = options || {};
-    OnChainDataClient.setup(this.options.onChainDataOptions);
-    OffChainDataClient.setup(this.options.offChainDataOptions);
+    this.offChainDataClient = OffChainDataClient.createInstance(this.options.offChainDataOptions);
+    this.onChainDataClient = OnChainDataClient.createInstance(this.options.onChainDataOptions, this.offChainDataClient);
   }
 
-  getEntrypoint (address) {
-    return OnChainDataClient.getEntrypoint(address);
+  /**
+   * Get an entrypoint wrapper. Pass `{ blockNumber }` context
+   * to read everything as it was at that block.
+   */
+  getEntrypoint (address, context) {
+    return this.onChainDataClient.getEntrypoint(address, context);
   }
 
   /**
@@ -72,14 +100,31 @@ export class WtJsLibs {
    * @return {[type]}         [description]
    */
   getUpdateableOrganization (address) {
-    return OnChainDataClient.getUpdateableOrganization(address);
+    return this.onChainDataClient.getUpdateableOrganization(address);
+  }
+
+  /**
+   * Get an instance of read-only organization wrapper, optionally
+   * pinned to a block with `{ blockNumber }` context
+   */
+  getOrganization (address, context) {
+    return this.onChainDataClient.getOrganization(address, context);
+  }
+
+  /**
+   * Releases the nonce reserved for a prepared transaction
+   * that is not going to be sent.
+   */
+  abandonTransaction (transactionData) {
+    return this.onChainDataClient.abandonTransaction(transactionData);
   }
 
   /**
-   * Get an instance of read-only organization wrapper
+   * Runs a prepared transaction without sending it to the network.
+   * See `OnChainDataClient.simulate` for details.
    */
-  getOrganization (address) {
-    return OnChainDataClient.getOrganization(address);
+  async simulate (transactionData, blockNumber) {
+    return this.onChainDataClient.simulate(transactionData, blockNumber);
   }
 
   /**
@@ -87,7 +132,23 @@ export class WtJsLibs {
    * This method is async because it communicates directly with and EVM node.
    */
   async getTransactionsStatus (transactionHashes) {
-    return OnChainDataClient.getTransactionsStatus(transactionHashes);
+    return this.onChainDataClient.getTransactionsStatus(transactionHashes);
+  }
+
+  /**
+   * Stops tracking given transactions for chain reorganizations.
+   * See `OnChainDataClient.untrackTransactions` for details.
+   */
+  untrackTransactions (transactionHashes) {
+    return this.onChainDataClient.untrackTransactions(transactionHashes);
+  }
+
+  /**
+   * Waits until all transactions are mined and old enough.
+   * See `OnChainDataClient.waitForTransactions` for details.
+   */
+  async waitForTransactions (transactionHashes, options, eventCallbacks) {
+    return this.onChainDataClient.waitForTransactions(transactionHashes, options, eventCallbacks);
   }
 
   /**
@@ -95,7 +156,8 @@ export class WtJsLibs {
    */
   createWallet (jsonWallet) {
     const wallet = Wallet.createInstance(jsonWallet);
-    wallet.setupWeb3Eth(this.options.onChainDataOptions.provider);
+    // Share the provider, so a failover setup keeps its state
+    wallet.setupWeb3Eth(this.onChainDataClient.provider, this.onChainDataClient.web3Utils);
     return wallet;
   }
 
@@ -104,7 +166,7 @@ export class WtJsLibs {
    * or downloading data stored off-chain.
    */
   getOffChainDataClient (schema) {
-    return OffChainDataClient.getAdapter(schema);
+    return this.offChainDataClient.getAdapter(schema);
   }
 
   /**
@@ -138,8 +200,17 @@ export const errors = {
   RemoteDataReadError,
   OrganizationNotFoundError,
   OrganizationNotInstantiableError,
+  OrganizationCreationError,
   OnChainDataRuntimeError,
+  NodeUnavailableError,
   SmartContractInstantiationError,
+  IncompatibleContractError,
+  TransactionWaitError,
+  TransactionFailedError,
+  TransactionDroppedError,
+  TransactionWaitTimeoutError,
+  TransactionPlanError,
+  SignatureVerificationError,
   WalletError,
   MalformedWalletError,
   WalletStateError,
@@ -150,6 +221,8 @@ export const errors = {
   InsufficientFundsError,
   TransactionRevertedError,
   TransactionDidNotComeThroughError,
+  ReplacementUnderpricedError,
+  TransactionReplacementError,
   NoReceiptError,
   InaccessibleEthereumNodeError,
 };
@@ -162,5 +235,13 @@ export {
   OnChainDataClient,
   TrustClueClient,
   StoragePointer,
+  TransactionPlan,
+  OrganizationIterator,
+  EventWatcher,
+  FailoverProvider,
+  BatchingProvider,
+  CachingProvider,
+  MemoryCache,
+  FileCache,
   Wallet,
 };
@@ -4,35 +4,91 @@ import {
 } from './errors';
 
 /**
- * OffChainDataClient is a static factory class that is responsible
+ * OffChainDataClient is a factory class that is responsible
  * for creating proper instances of OffChainDataAdapterInterface.
  * It is configured during the library initialization.
  *
- * Please bear in mind, that once the adapters are configured, the
- * configuration is shared during the whole runtime.
+ * Every `WtJsLibs` instance holds its own OffChainDataClient instance,
+ * so different instances can work with different adapters at the same time.
+ *
+ * The static `setup` and `getAdapter` methods work with a single shared
+ * configuration and are kept for backwards compatibility. Please bear in mind,
+ * that once the static adapters are configured, the configuration is shared
+ * during the whole runtime.
  */
 export class OffChainDataClient {
+  static adapters = {};
+
+  static options = {};
+
+  /**
+   * Returns an initialized instance.
+   *
+   * @param  {OffChainDataClientOptionsType}
+   * @throws {OffChainDataConfigurationError} when there are multiple adapters with the same name
+   * @return {OffChainDataClient}
+   */
+  static createInstance (options) {
+    return new OffChainDataClient(options);
+  }
+
   /**
    * Initializes the map of OffChainDataAdapters.
    *
    * @param  {OffChainDataClientOptionsType}
    * @throws {OffChainDataConfigurationError} when there are multiple adapters with the same name
    */
-  static setup (options) {
-    OffChainDataClient.adapters = {};
-    OffChainDataClient.options = options || {};
+  constructor (options) {
+    this.adapters = {};
+    this.options = options || {};
     // Convert all adapter keys (i.e. URL schemes) to lowercase.
-    for (const key of Object.keys(OffChainDataClient.options.adapters || {})) {
+    for (const key of Object.keys(this.options.adapters || {})) {
       const normalizedKey = key.toLowerCase();
-      if (OffChainDataClient.adapters[normalizedKey]) {
+      if (this.adapters[normalizedKey]) {
         throw new OffChainDataConfigurationError(`Adapter declared twice: ${normalizedKey}`);
       }
-      OffChainDataClient.adapters[normalizedKey] = OffChainDataClient.options.adapters[key];
+      this.adapters[normalizedKey] = this.options.adapters[key];
     }
   }
 
   /**
-   * Drops all pre-configured OffChainDataAdapters. Useful for testing.
+   * Returns a fresh instance of an appropriate OffChainDataAdapter by
+   * calling the `create` function from the adapter's configuration.
+   *
+   * @throws {OffChainDataRuntimeError} when schema is not defined or adapter for this schema does not exist
+   */
+  getAdapter (schema) {
+    schema = schema && schema.toLowerCase();
+    if (!schema || !this.adapters[schema]) {
+      throw new OffChainDataRuntimeError(`Unsupported data storage type: ${schema || 'null'}`);
+    }
+    const adapter = this.adapters[schema];
+    return adapter.create(adapter.options);
+  }
+
+  /**
+   * Returns normalized schemas of all configured adapters.
+   *
+   * @return {Array<string>}
+   */
+  getAdapterSchemas () {
+    return Object.keys(this.adapters);
+  }
+
+  /**
+   * Initializes the shared map of OffChainDataAdapters.
+   *
+   * @param  {OffChainDataClientOptionsType}
+   * @throws {OffChainDataConfigurationError} when there are multiple adapters with the same name
+   */
+  static setup (options) {
+    const client = OffChainDataClient.createInstance(options);
+    OffChainDataClient.adapters = client.adapters;
+    OffChainDataClient.options = client.options;
+  }
+
+  /**
+   * Drops all shared OffChainDataAdapters. Useful for testing.
    */
   static _reset () {
     OffChainDataClient.options = {};
@@ -40,18 +96,23 @@ export class OffChainDataClient {
   }
 
   /**
-   * Returns a fresh instance of an appropriate OffChainDataAdapter by
-   * calling the `create` function from the adapter's configuration.
+   * Returns a fresh instance of an appropriate OffChainDataAdapter
+   * from the shared configuration.
    *
    * @throws {OffChainDataRuntimeError} when schema is not defined or adapter for this schema does not exist
    */
   static getAdapter (schema) {
-    schema = schema && schema.toLowerCase();
-    if (!schema || !OffChainDataClient.adapters[schema]) {
-      throw new OffChainDataRuntimeError(`Unsupported data storage type: ${schema || 'null'}`);
-    }
-    const adapter = OffChainDataClient.adapters[schema];
-    return adapter.create(adapter.options);
+    // The class itself holds the same properties as an instance does
+    return OffChainDataClient.prototype.getAdapter.call(OffChainDataClient, schema);
+  }
+
+  /**
+   * Returns normalized schemas of all adapters from the shared configuration.
+   *
+   * @return {Array<string>}
+   */
+  static getAdapterSchemas () {
+    return OffChainDataClient.prototype.getAdapterSchemas.call(OffChainDataClient);
   }
 }
 
@@ -0,0 +1,220 @@
+import Web3Eth from 'web3-eth';
+import { READ_METHODS, createWeb3Provider, sendPayload } from './web3-provider';
+
+// Multicall2 (https://github.com/makerdao/multicall)
+const TRY_AGGREGATE_ABI = {
+  name: 'tryAggregate',
+  type: 'function',
+  stateMutability: 'nonpayable',
+  inputs: [
+    { name: 'requireSuccess', type: 'bool' },
+    {
+      name: 'calls',
+      type: 'tuple[]',
+      components: [
+        { name: 'target', type: 'address' },
+        { name: 'callData', type: 'bytes' },
+      ],
+    },
+  ],
+  outputs: [
+    {
+      name: 'returnData',
+      type: 'tuple[]',
+      components: [
+        { name: 'success', type: 'bool' },
+        { name: 'returnData', type: 'bytes' },
+      ],
+    },
+  ],
+};
+
+/**
+ * Web3 provider that coalesces concurrent read requests into
+ * JSON-RPC batches, so i. e. loading a whole directory does not
+ * need a separate HTTP request for every contract call.
+ *
+ * Requests issued within `wait` ms (by default in the same tick)
+ * are sent together, up to `maxBatchSize` requests at once. Writes and
+ * other non-read methods are passed to the underlying provider right away.
+ *
+ * When `multicallAddress` of a deployed Multicall2 contract is configured,
+ * plain `eth_call`s against the same block are additionally
+ * merged into a single `tryAggregate` call. Calls with other fields
+ * than `to` and `data` (such as `from`) are never merged, as their
+ * `msg.sender` would change.
+ */
+export class BatchingProvider {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {string|Object} provider underlying web3 provider or its URL
+   * @param  {Object} options `wait` in ms (defaults to 0), `maxBatchSize`
+   * (defaults to 100) and `multicallAddress`.
+   * @return {BatchingProvider}
+   */
+  static createInstance (provider, options) {
+    return new BatchingProvider(provider, options);
+  }
+
+  constructor (provider, options) {
+    this.provider = createWeb3Provider(provider);
+    this.options = Object.assign({
+      wait: 0,
+      maxBatchSize: 100,
+    }, options);
+    this.abi = new Web3Eth().abi;
+    this.queue = [];
+    this.timer = undefined;
+  }
+
+  _isBatchable (payload) {
+    return !Array.isArray(payload) && READ_METHODS.indexOf(payload.method) > -1;
+  }
+
+  /**
+   * Web3 provider interface.
+   *
+   * @param  {Object|Array} payload JSON-RPC request or a batch of requests
+   * @param  {function} callback
+   */
+  send (payload, callback) {
+    if (!this._isBatchable(payload)) {
+      return this.provider[this.provider.sendAsync ? 'sendAsync' : 'send'](payload, callback);
+    }
+    const request = { payload: payload, settled: false };
+    request.handle = (err, response) => {
+      if (!request.settled) {
+        request.settled = true;
+        callback(err, response);
+      }
+    };
+    this.queue.push(request);
+    if (this.queue.length >= this.options.maxBatchSize) {
+      return this.flush();
+    }
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.options.wait);
+    }
+  }
+
+  /**
+   * Sends all queued requests immediately.
+   */
+  flush () {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+    const queue = this.queue;
+    this.queue = [];
+    if (!queue.length) {
+      return;
+    }
+    this._send(this.options.multicallAddress ? this._aggregateCalls(queue) : queue, queue);
+  }
+
+  // Sends the requests, an unexpected failure (i. e. a throwing callback)
+  // is passed to all of the queued `members` that are not settled yet
+  _send (requests, members) {
+    return this._sendBatch(requests).catch((err) => {
+      for (const member of members.filter((m) => !m.settled)) {
+        try {
+          member.handle(err);
+        } catch (e) {
+          // A failing callback must not keep the others waiting
+        }
+      }
+    });
+  }
+
+  async _sendBatch (requests) {
+    if (requests.length === 1) {
+      let response;
+      try {
+        response = await sendPayload(this.provider, requests[0].payload);
+      } catch (err) {
+        return requests[0].handle(err);
+      }
+      return requests[0].handle(null, response);
+    }
+    // Ids are unique only within a single batch
+    const payload = requests.map((r, i) => Object.assign({}, r.payload, { id: i + 1 }));
+    let responses;
+    try {
+      responses = await sendPayload(this.provider, payload);
+      if (!Array.isArray(responses)) {
+        throw new Error(`Invalid JSON RPC response: ${JSON.stringify(responses)}`);
+      }
+    } catch (err) {
+      return requests.forEach((r) => r.handle(err));
+    }
+    requests.forEach((r, i) => {
+      const response = responses.find((res) => res && res.id === i + 1);
+      if (!response) {
+        return r.handle(new Error(`Invalid JSON RPC response: No response for ${r.payload.method} in a batch`));
+      }
+      r.handle(null, Object.assign({}, response, { id: r.payload.id }));
+    });
+  }
+
+  _isAggregatable (payload) {
+    const transaction = payload.method === 'eth_call' && payload.params && payload.params[0];
+    return !!transaction && !!transaction.to &&
+      Object.keys(transaction).every((key) => ['to', 'data'].indexOf(key) > -1) &&
+      transaction.to.toLowerCase() !== this.options.multicallAddress.toLowerCase();
+  }
+
+  _aggregateCalls (requests) {
+    const result = [];
+    const groups = {};
+    for (const request of requests) {
+      if (!this._isAggregatable(request.payload)) {
+        result.push(request);
+        continue;
+      }
+      const block = request.payload.params[1] || 'latest';
+      groups[block] = groups[block] || [];
+      groups[block].push(request);
+    }
+    for (const block of Object.keys(groups)) {
+      const members = groups[block];
+      if (members.length < 2) {
+        result.push(members[0]);
+        continue;
+      }
+      const data = this.abi.encodeFunctionCall(TRY_AGGREGATE_ABI, [
+        false,
+        members.map((m) => [m.payload.params[0].to, m.payload.params[0].data || '0x']),
+      ]);
+      result.push({
+        payload: { jsonrpc: '2.0', id: members[0].payload.id, method: 'eth_call', params: [{ to: this.options.multicallAddress, data: data }, block] },
+        handle: (err, response) => {
+          if (err) {
+            return members.forEach((m) => m.handle(err));
+          }
+          let decoded;
+          try {
+            decoded = this.abi.decodeParameters(TRY_AGGREGATE_ABI.outputs, response.result)[0];
+          } catch (e) {
+            // Multicall is misconfigured or not available at that block,
+            // send the calls one by one
+            return this._send(members, members);
+          }
+          members.forEach((m, i) => {
+            const response = { jsonrpc: '2.0', id: m.payload.id };
+            if (decoded[i][0]) {
+              response.result = decoded[i][1];
+            } else {
+              response.error = { code: -32000, message: 'execution reverted', data: decoded[i][1] };
+            }
+            m.handle(null, response);
+          });
+        },
+      });
+    }
+    return result;
+  }
+}
+
+export default BatchingProvider;
@@ -0,0 +1,231 @@
+import Web3Utils from 'web3-utils';
+import MemoryCache from './memory-cache';
+import { createWeb3Provider, sendPayload } from './web3-provider';
+import { InputDataError } from './errors';
+
+/**
+ * Web3 provider that caches results of contract calls (`eth_call`),
+ * including the ones made by organization and directory getters.
+ * Results are keyed by contract address, method with its arguments
+ * (the call data), sender and block number.
+ *
+ * - Calls against a specific block are cached for good, as the state
+ * at that block does not change.
+ * - Calls against the latest block are served from the cache while
+ * the cached result is at most `maxStaleness` blocks old (defaults to 0,
+ * so only within the same block) and no event of the called contract
+ * was observed since. Events are observed in every `eth_getLogs`
+ * and `eth_getTransactionReceipt` response that passes through
+ * (i. e. when organizations or directories are watched or when
+ * transactions are sent). They can also be reported with `invalidate`.
+ * Invalidations are kept in memory apart from the `store`, so they
+ * are never evicted together with the cached results. As they are lost
+ * on restart, results against the latest block that were cached by
+ * another instance (i. e. loaded by `FileCache` from a previous run)
+ * are considered stale and are read again.
+ *
+ * The latest block number is read at most once per `blockNumberTtl` ms
+ * (defaults to 1 s). Any other requests are passed to the underlying
+ * provider.
+ */
+export class CachingProvider {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {string|Object} provider underlying web3 provider or its URL
+   * @param  {Object} options `store` (such as `FileCache`, defaults to a new
+   * `MemoryCache`), `maxStaleness` in blocks and `blockNumberTtl` in ms.
+   * @throws {InputDataError} When options are invalid
+   * @return {CachingProvider}
+   */
+  static createInstance (provider, options) {
+    return new CachingProvider(provider, options);
+  }
+
+  constructor (provider, options) {
+    options = options || {};
+    for (const option of ['maxStaleness', 'blockNumberTtl']) {
+      if (options[option] !== undefined && !(Number.isInteger(options[option]) && options[option] >= 0)) {
+        throw new InputDataError(`Cannot create cache: ${option} has to be a non-negative integer`);
+      }
+    }
+    this.provider = createWeb3Provider(provider);
+    this.store = options.store || MemoryCache.createInstance();
+    this.maxStaleness = options.maxStaleness || 0;
+    // contract address => block number of the last observed change
+    this._invalidations = new Map();
+    // Marks results against the latest block cached by this instance
+    this._session = Web3Utils.randomHex(8);
+    this.blockNumberTtl = options.blockNumberTtl === undefined ? 1000 : options.blockNumberTtl;
+    this._blockNumber = undefined;
+    this._blockNumberReadAt = undefined;
+  }
+
+  async _getBlockNumber (refresh) {
+    if (refresh || !this._blockNumber || Date.now() - this._blockNumberReadAt >= this.blockNumberTtl) {
+      this._blockNumberReadAt = Date.now();
+      const blockNumber = this._blockNumber = sendPayload(this.provider, { jsonrpc: '2.0', id: Date.now(), method: 'eth_blockNumber', params: [] })
+        .then((response) => {
+          if (!response || response.error) {
+            throw new Error(`Cannot read block number: ${response && response.error ? response.error.message : 'No response'}`);
+          }
+          return Web3Utils.hexToNumber(response.result);
+        });
+      // Do not remember failures
+      blockNumber.catch(() => {
+        if (this._blockNumber === blockNumber) {
+          this._blockNumber = undefined;
+        }
+      });
+    }
+    return this._blockNumber;
+  }
+
+  _isCacheable (payload) {
+    const transaction = payload.method === 'eth_call' && payload.params && payload.params[0];
+    const block = payload.params && payload.params[1];
+    return !!transaction && !!transaction.to &&
+      Object.keys(transaction).every((key) => ['to', 'data', 'from'].indexOf(key) > -1) &&
+      (block === undefined || block === 'latest' || Web3Utils.isHexStrict(block));
+  }
+
+  _getKey (transaction, block) {
+    return ['call', transaction.to, transaction.data || '0x', transaction.from || '', block]
+      .map((part) => String(part).toLowerCase())
+      .join(':');
+  }
+
+  // Returns a cached response or a request to send instead
+  async _lookup (payload) {
+    const transaction = payload.params[0];
+    const block = payload.params[1];
+    const isLatest = block === undefined || block === 'latest';
+    const blockNumber = isLatest ? await this._getBlockNumber() : Web3Utils.hexToNumber(block);
+    const key = this._getKey(transaction, isLatest ? 'latest' : blockNumber);
+    const entry = await this.store.get(key);
+    if (entry && (!isLatest || await this._isFresh(transaction.to, entry, blockNumber))) {
+      return { response: { jsonrpc: '2.0', id: payload.id, result: entry.result } };
+    }
+    return {
+      key: key,
+      blockNumber: blockNumber,
+      isLatest: isLatest,
+      // Pin the call to the block, so we know what the result belongs to
+      request: Object.assign({}, payload, { params: [transaction, Web3Utils.toHex(blockNumber)] }),
+    };
+  }
+
+  async _isFresh (address, entry, blockNumber) {
+    // Invalidations observed by anyone else are unknown
+    if (entry.session !== this._session || blockNumber - entry.blockNumber > this.maxStaleness) {
+      return false;
+    }
+    const invalidatedAt = this._invalidations.get(address.toLowerCase());
+    return invalidatedAt === undefined || entry.blockNumber >= invalidatedAt;
+  }
+
+  async _save (miss, response) {
+    if (response && !response.error && response.result !== undefined) {
+      const entry = { blockNumber: miss.blockNumber, result: response.result };
+      if (miss.isLatest) {
+        entry.session = this._session;
+      }
+      await this.store.set(miss.key, entry);
+    }
+  }
+
+  async _observe (payload, response) {
+    let logs;
+    if (payload.method === 'eth_getLogs') {
+      logs = response && response.result;
+    } else if (payload.method === 'eth_getTransactionReceipt') {
+      logs = response && response.result && response.result.logs;
+    }
+    if (!Array.isArray(logs)) {
+      return;
+    }
+    for (const log of logs) {
+      if (log.address && log.blockNumber !== undefined && log.blockNumber !== null) {
+        await this.invalidate(log.address, Web3Utils.hexToNumber(log.blockNumber));
+      }
+    }
+  }
+
+  /**
+   * Marks cached results of calls to a contract read before
+   * `blockNumber` as stale, i. e. because an event of the contract
+   * was emitted in that block.
+   *
+   * @param  {string} address of the contract
+   * @param  {number} blockNumber defaults to the latest block
+   */
+  async invalidate (address, blockNumber) {
+    if (blockNumber === undefined) {
+      blockNumber = await this._getBlockNumber(true);
+    }
+    const key = address.toLowerCase();
+    const invalidatedAt = this._invalidations.get(key);
+    if (invalidatedAt === undefined || invalidatedAt < blockNumber) {
+      this._invalidations.set(key, blockNumber);
+    }
+  }
+
+  async _sendSingle (payload) {
+    if (!this._isCacheable(payload)) {
+      const response = await sendPayload(this.provider, payload);
+      await this._observe(payload, response);
+      return response;
+    }
+    const lookup = await this._lookup(payload);
+    if (lookup.response) {
+      return lookup.response;
+    }
+    const response = await sendPayload(this.provider, lookup.request);
+    await this._save(lookup, response);
+    return response;
+  }
+
+  async _sendBatch (payloads) {
+    const lookups = await Promise.all(payloads.map((payload) => {
+      return this._isCacheable(payload) ? this._lookup(payload) : { request: payload };
+    }));
+    const misses = lookups.filter((lookup) => !lookup.response);
+    let responses = [];
+    if (misses.length) {
+      responses = await sendPayload(this.provider, misses.map((miss) => miss.request));
+      if (!Array.isArray(responses)) {
+        throw new Error(`Invalid JSON RPC response: ${JSON.stringify(responses)}`);
+      }
+    }
+    return Promise.all(lookups.map(async (lookup) => {
+      if (lookup.response) {
+        return lookup.response;
+      }
+      const response = responses.find((r) => r && r.id === lookup.request.id);
+      if (lookup.key) {
+        await this._save(lookup, response);
+      } else {
+        await this._observe(lookup.request, response);
+      }
+      return response;
+    }));
+  }
+
+  /**
+   * Web3 provider interface.
+   *
+   * @param  {Object|Array} payload JSON-RPC request or a batch of requests
+   * @param  {function} callback
+   */
+  async send (payload, callback) {
+    let response;
+    try {
+      response = Array.isArray(payload) ? await this._sendBatch(payload) : await this._sendSingle(payload);
+    } catch (err) {
+      return callback(err);
+    }
+    callback(null, response);
+  }
+}
+
+export default CachingProvider;
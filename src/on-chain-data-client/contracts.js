@@ -3,11 +3,31 @@ import OrganizationInterfaceMetadata from '@windingtree/wt-contracts/build/contr
 import OrganizationMetadata from '@windingtree/wt-contracts/build/contracts/Organization.json';
 import OrganizationFactoryMetadata from '@windingtree/wt-contracts/build/contracts/AbstractOrganizationFactory.json';
 import EntrypointMetadata from '@windingtree/wt-contracts/build/contracts/WindingTreeEntrypoint.json';
-import { SmartContractInstantiationError } from './errors';
+import { IncompatibleContractError, SmartContractInstantiationError } from './errors';
 
 import Web3Utils from 'web3-utils';
 import Web3Eth from 'web3-eth';
 
+/**
+ * ERC-165 interface identifiers of organization capabilities.
+ */
+export const ORGANIZATION_INTERFACES = {
+  erc165: '0x01ffc9a7',
+  owner: '0x8da5cb5b',
+  associatedKeys: '0xfed71811',
+  orgJson: '0x6f4826be',
+  // All of the above except for ERC-165 itself, required by segment directories
+  organization: '0x1c3af5f4',
+};
+
+const SUPPORTS_INTERFACE_ABI = {
+  name: 'supportsInterface',
+  type: 'function',
+  stateMutability: 'view',
+  inputs: [{ name: 'interfaceId', type: 'bytes4' }],
+  outputs: [{ name: '', type: 'bool' }],
+};
+
 /**
  * Wrapper class for work with Winding Tree's Ethereum
  * smart contracts.
@@ -34,14 +54,21 @@ export class Contracts {
    * Contracts are cached in memory based on the combination of name
    * and address.
    *
+   * When `requiredInterfaceId` (such as one of `ORGANIZATION_INTERFACES`)
+   * is given, the contract has to support it through ERC-165. Otherwise
+   * the contract is accepted as it is, as there are no published interface
+   * identifiers of other contracts.
+   *
    * @param  {string} name of contract, used in errors
    * @param  {Object} abi specification of contract
    * @param  {string} address on which we should look for the contract
+   * @param  {string} requiredInterfaceId ERC-165 interface identifier, optional
    * @throws {SmartContractInstantiationError} When address is invalid
    * @throws {SmartContractInstantiationError} When no code is deployed on given address
+   * @throws {IncompatibleContractError} When the contract does not support the expected interface
    * @return {web3.eth.Contract} Resulting wrapper contract
    */
-  async _getInstance (name, abi, address) {
+  async _getInstance (name, abi, address, requiredInterfaceId) {
     if (!Web3Utils.isAddress(address)) {
       throw new SmartContractInstantiationError('Cannot get ' + name + ' instance at an invalid address ' + address);
     }
@@ -50,21 +77,101 @@ export class Contracts {
       if (deployedCode === '0x0' || deployedCode === '0x') {
         throw new SmartContractInstantiationError('Cannot get ' + name + ' instance at an address with no code on ' + address);
       }
+      if (requiredInterfaceId && !(await this.supportsErc165(address) && await this.supportsInterface(address, requiredInterfaceId))) {
+        throw new IncompatibleContractError(`Cannot get ${name} instance at ${address}: Contract does not support interface ${requiredInterfaceId}`);
+      }
       this.contractsCache[`${name}:${address}`] = new this.web3Eth.Contract(abi, address);
     }
     return this.contractsCache[`${name}:${address}`];
   }
 
+  /**
+   * Asks a contract whether it supports an interface through ERC-165
+   * `supportsInterface`. Contracts without such method do not
+   * support anything.
+   *
+   * @param  {string} address of the contract
+   * @param  {string} interfaceId such as `0x01ffc9a7`
+   * @param  {number|string} blockNumber to ask at, defaults to `latest`
+   * @return {Promise<boolean>}
+   */
+  async supportsInterface (address, interfaceId, blockNumber = 'latest') {
+    let result;
+    try {
+      result = await this.web3Eth.call({
+        to: address,
+        data: this.web3Eth.abi.encodeFunctionCall(SUPPORTS_INTERFACE_ABI, [interfaceId]),
+      }, blockNumber);
+    } catch (err) {
+      if (err.message.match(/revert|invalid opcode|VM Exception/i)) {
+        return false;
+      }
+      throw err;
+    }
+    // Any fallback function might answer as well, accept only a proper `true`
+    return result === Web3Utils.padLeft('0x1', 64);
+  }
+
+  /**
+   * Detects ERC-165 support as specified in the standard.
+   *
+   * @param  {string} address of the contract
+   * @param  {number|string} blockNumber to ask at, defaults to `latest`
+   * @return {Promise<boolean>}
+   */
+  async supportsErc165 (address, blockNumber = 'latest') {
+    const [supported, invalidSupported] = await Promise.all([
+      this.supportsInterface(address, ORGANIZATION_INTERFACES.erc165, blockNumber),
+      this.supportsInterface(address, '0xffffffff', blockNumber),
+    ]);
+    return supported && !invalidSupported;
+  }
+
   async getSegmentDirectoryInstance (address) {
     return this._getInstance('segmentDirectory', SegmentDirectoryMetadata.abi, address);
   }
 
   async getOrganizationInstance (address) {
-    return this._getInstance('organization', OrganizationInterfaceMetadata.abi, address);
+    return this._getInstance('organization', OrganizationInterfaceMetadata.abi, address, ORGANIZATION_INTERFACES.organization);
+  }
+
+  /**
+   * Calls argumentless view methods of many organizations in a single
+   * JSON-RPC batch request. As opposed to `getOrganizationInstance`,
+   * the addresses are not checked for deployed code, so this is meant
+   * for addresses coming from a trusted source such as a directory.
+   *
+   * @param  {Array<string>} addresses of organizations
+   * @param  {Array<string>} methods names of `OrganizationInterface` methods
+   * @param  {number|string} blockNumber to read at, defaults to `latest`
+   * @return {Promise<Array<Object>>} For every address a map of method names
+   * to their results. When a call fails, an `Error` is there instead of the result.
+   */
+  async readOrganizations (addresses, methods, blockNumber = 'latest') {
+    const batch = new this.web3Eth.BatchRequest();
+    const calls = [];
+    const results = addresses.map((address) => {
+      const contract = new this.web3Eth.Contract(OrganizationInterfaceMetadata.abi, address);
+      const values = {};
+      for (const method of methods) {
+        calls.push(new Promise((resolve) => {
+          batch.add(contract.methods[method]().call.request({}, blockNumber, (err, value) => {
+            values[method] = err || value;
+            resolve();
+          }));
+        }));
+      }
+      return values;
+    });
+    if (calls.length) {
+      batch.execute();
+      await Promise.all(calls);
+    }
+    return results;
   }
 
   async getUpdateableOrganizationInstance (address) {
-    return this._getInstance('organization', OrganizationMetadata.abi, address);
+    return this._getInstance('organization', OrganizationMetadata.abi, address, ORGANIZATION_INTERFACES.organization);
   }
 
   async getOrganizationFactoryInstance (address) {
@@ -90,6 +197,7 @@ export class Contracts {
       this.eventRegistry = Object.assign(
         {},
         generateEventSignatures(OrganizationInterfaceMetadata.abi),
+        generateEventSignatures(OrganizationMetadata.abi),
         generateEventSignatures(OrganizationFactoryMetadata.abi),
         generateEventSignatures(SegmentDirectoryMetadata.abi),
         generateEventSignatures(EntrypointMetadata.abi),
@@ -98,9 +206,63 @@ export class Contracts {
     return this.eventRegistry;
   }
 
+  _initMethodRegistry () {
+    function generateMethodSignatures (contract, abi) {
+      const methods = abi.filter((m) => m.type === 'function');
+      const indexedMethods = {};
+      for (const method of methods) {
+        const signature = Web3Utils.sha3(method.name + '(' + method.inputs.map(function (input) { return input.type; }).join(',') + ')').substring(0, 10);
+        indexedMethods[signature] = { contract: contract, abi: method };
+      }
+      return indexedMethods;
+    }
+    if (!this.methodRegistry) {
+      this.methodRegistry = Object.assign(
+        {},
+        generateMethodSignatures('organization', OrganizationMetadata.abi),
+        generateMethodSignatures('organizationFactory', OrganizationFactoryMetadata.abi),
+        generateMethodSignatures('segmentDirectory', SegmentDirectoryMetadata.abi),
+        generateMethodSignatures('entrypoint', EntrypointMetadata.abi),
+      );
+    }
+    return this.methodRegistry;
+  }
+
+  /**
+   * Decodes values returned by a contract call. Currently supports
+   * methods of Directory, Factory, Entrypoint and Organization smart contracts.
+   *
+   * @param  {string} data of the called transaction, used to determine the method
+   * @param  {string} returnData raw data returned by the call
+   * @return {Object|undefined} Contains `contract` and `method` names and
+   * decoded `values`; undefined when the method is not known.
+   */
+  decodeReturnValues (data, returnData) {
+    const methodRegistry = this._initMethodRegistry();
+    const method = data && methodRegistry[data.substring(0, 10).toLowerCase()];
+    if (!method) {
+      return undefined;
+    }
+    const outputs = method.abi.outputs || [];
+    const decoded = outputs.length && returnData && returnData !== '0x'
+      ? this.web3Eth.abi.decodeParameters(outputs, returnData)
+      : {};
+    return {
+      contract: method.contract,
+      method: method.abi.name,
+      values: outputs.map((output, i) => {
+        return {
+          name: output.name,
+          type: output.type,
+          value: decoded[i],
+        };
+      }),
+    };
+  }
+
   /**
    * Decodes ethereum transaction log values. Currently supports
-   * events from Directory and Hotel smart contracts.
+   * events from Directory, Factory, Entrypoint and Organization smart contracts.
    *
    * @param  {Array<RawLogRecordInterface>} logs in a raw format
    * @return {Array<DecodedLogRecordInterface>} Decoded logs
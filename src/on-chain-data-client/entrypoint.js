@@ -4,16 +4,23 @@ import { OnChainDataRuntimeError } from './errors';
 
 /**
  * A wrapper class for Winding Tree entrypoint.
+ *
+ * With `{ blockNumber }` context, all reads (including those of
+ * segment directories and organizations obtained through this entrypoint)
+ * are performed against the state at that block. Reading historical
+ * state requires an archive node.
  */
 export class Entrypoint {
-  static createInstance (entrypointAddress, web3Utils, web3Contracts) {
-    return new Entrypoint(entrypointAddress, web3Utils, web3Contracts);
+  static createInstance (entrypointAddress, web3Utils, web3Contracts, offChainDataClient, context) {
+    return new Entrypoint(entrypointAddress, web3Utils, web3Contracts, offChainDataClient, context);
   }
 
-  constructor (entrypointAddress, web3Utils, web3Contracts) {
+  constructor (entrypointAddress, web3Utils, web3Contracts, offChainDataClient, context) {
     this.address = entrypointAddress;
     this.web3Utils = web3Utils;
     this.web3Contracts = web3Contracts;
+    this.offChainDataClient = offChainDataClient;
+    this.blockNumber = (context && context.blockNumber !== undefined) ? context.blockNumber : 'latest';
     this._segmentAddresses = {};
     this._cache = {};
     this._factoryAddress = undefined;
@@ -29,7 +36,10 @@ export class Entrypoint {
 
   _getCachedInstance (address, klass) {
     if (!this._cache[address]) {
-      this._cache[address] = klass.createInstance(address, this.web3Utils, this.web3Contracts);
+      this._cache[address] = klass.createInstance(address, this.web3Utils, this.web3Contracts, this.offChainDataClient, {
+        blockNumber: this.blockNumber,
+        entrypoint: this,
+      });
     }
     return this._cache[address];
   }
@@ -39,11 +49,11 @@ export class Entrypoint {
    */
   async getSegments () {
     const contract = await this._getDeployedEntrypoint();
-    const length = await contract.methods.getSegmentsLength().call();
+    const length = await contract.methods.getSegmentsLength().call({}, this.blockNumber);
     const segments = [];
     // intentionally skipping the first null record
     for (let i = 1; i < length; i++) {
-      segments.push(contract.methods.getSegmentName(i).call());
+      segments.push(contract.methods.getSegmentName(i).call({}, this.blockNumber));
     }
     return Promise.all(segments).then((results) => {
       // filter out empty spots
@@ -53,12 +63,12 @@ export class Entrypoint {
 
   async getOwner () {
     const contract = await this._getDeployedEntrypoint();
-    return contract.methods.owner().call();
+    return contract.methods.owner().call({}, this.blockNumber);
   }
 
   async getLifTokenAddress () {
     const contract = await this._getDeployedEntrypoint();
-    return contract.methods.LifToken().call();
+    return contract.methods.LifToken().call({}, this.blockNumber);
   }
 
   /**
@@ -69,7 +79,7 @@ export class Entrypoint {
    */
   async getSegmentAddress (segment) {
     const contract = await this._getDeployedEntrypoint();
-    return contract.methods.getSegment(segment).call();
+    return contract.methods.getSegment(segment).call({}, this.blockNumber);
   }
 
   /**
@@ -94,7 +104,7 @@ export class Entrypoint {
   async getOrganizationFactory (address) {
     if (!this._factoryAddress) {
       const contract = await this._getDeployedEntrypoint();
-      const address = await contract.methods.getOrganizationFactory().call();
+      const address = await contract.methods.getOrganizationFactory().call({}, this.blockNumber);
       if (this.web3Utils.isZeroAddress(address)) {
         throw new OnChainDataRuntimeError(`Cannot find organization factory in entrypoint at ${this.address}`);
       }
@@ -2,11 +2,23 @@ import { WTLibsError } from '../errors';
 
 export class OnChainDataRuntimeError extends WTLibsError {}
 
+/**
+ * None of the configured Ethereum nodes could handle the request
+ * (i. e. all of them are behind the block of a previous read).
+ */
+export class NodeUnavailableError extends OnChainDataRuntimeError {}
+
 /**
  * A smart contract abstraction could not have been created.
  */
 export class SmartContractInstantiationError extends WTLibsError {}
 
+/**
+ * The contract on an address does not support the expected
+ * interface (see ERC-165), so it cannot be used.
+ */
+export class IncompatibleContractError extends SmartContractInstantiationError {}
+
 /**
  * Input data has a wrong format or some data is missing.
  */
@@ -41,3 +53,64 @@ export class OrganizationNotFoundError extends WTLibsError {}
  * Organization abstraction instance cannot be created for some reason.
  */
 export class OrganizationNotInstantiableError extends WTLibsError {}
+
+/**
+ * Organization was not created by a factory transaction, either because
+ * the transaction failed (i. e. it was reverted) or because its receipt
+ * does not contain a valid `OrganizationCreated` event of the factory.
+ * The receipt (if any) is available as `receipt`, the wallet error
+ * of a failed transaction as `originalError`.
+ */
+export class OrganizationCreationError extends WTLibsError {
+  constructor (message, receipt, originalError) {
+    super(message, originalError);
+    this.receipt = receipt;
+  }
+}
+
+/**
+ * Waiting for transactions did not end successfully. The hash of the
+ * offending transaction and the last known status of all waited for
+ * transactions are available as `transactionHash` and `status`.
+ */
+export class TransactionWaitError extends WTLibsError {
+  constructor (message, transactionHash, status) {
+    super(message);
+    this.transactionHash = transactionHash;
+    this.status = status;
+  }
+}
+
+/**
+ * Transaction was mined, but it was reverted.
+ */
+export class TransactionFailedError extends TransactionWaitError {}
+
+/**
+ * Transaction is not known to the network anymore. It was either
+ * dropped or replaced by another transaction with the same nonce.
+ */
+export class TransactionDroppedError extends TransactionWaitError {}
+
+/**
+ * Transactions did not reach the required block age in time.
+ */
+export class TransactionWaitTimeoutError extends TransactionWaitError {}
+
+/**
+ * A step of a transaction plan could not be executed as expected.
+ */
+export class TransactionPlanError extends WTLibsError {}
+
+/**
+ * Signed data could not be attributed to an organization, either
+ * the signature is invalid or the signer is neither the owner nor
+ * an associated key of the organization. The recovered signer (if any)
+ * is available as `signer`.
+ */
+export class SignatureVerificationError extends WTLibsError {
+  constructor (message, signer, originalError) {
+    super(message, originalError);
+    this.signer = signer;
+  }
+}
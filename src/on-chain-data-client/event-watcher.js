@@ -0,0 +1,146 @@
+import { WTLibsError } from '../errors';
+import { InputDataError } from './errors';
+
+/**
+ * Polls a `SegmentDirectory` or an `OnChainOrganization` for its
+ * contract events, see `SegmentDirectory.watch` and
+ * `OnChainOrganization.watch`.
+ *
+ * Works with any provider, as it only needs `eth_getLogs`
+ * and `eth_blockNumber`.
+ *
+ * - `cursor` - `{blockNumber, logIndex}` of the first event that was not
+ * delivered yet, pass it as `cursor` option to resume watching after
+ * a restart. The callback also receives the cursor that is valid once
+ * the event is processed, so it can be stored together with the event.
+ */
+export class EventWatcher {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {SegmentDirectory|OnChainOrganization} source
+   * @param  {function} callback called with every event and the next cursor
+   * @param  {Object} options `{pollInterval, confirmations, fromBlock, cursor, chunkSize, onError}`
+   * @throws {InputDataError} When callback or options are invalid
+   * @return {EventWatcher}
+   */
+  static createInstance (source, callback, options) {
+    return new EventWatcher(source, callback, options);
+  }
+
+  constructor (source, callback, options) {
+    options = options || {};
+    if (typeof callback !== 'function') {
+      throw new InputDataError('Cannot watch events: callback has to be a function');
+    }
+    for (const option of ['pollInterval', 'chunkSize']) {
+      if (options[option] !== undefined && !(Number.isInteger(options[option]) && options[option] > 0)) {
+        throw new InputDataError(`Cannot watch events: ${option} has to be a positive integer`);
+      }
+    }
+    for (const option of ['confirmations', 'fromBlock']) {
+      if (options[option] !== undefined && !(Number.isInteger(options[option]) && options[option] >= 0)) {
+        throw new InputDataError(`Cannot watch events: ${option} has to be a non-negative integer`);
+      }
+    }
+    const cursor = options.cursor;
+    if (cursor !== undefined && !(cursor && [cursor.blockNumber, cursor.logIndex].every((n) => Number.isInteger(n) && n >= 0))) {
+      throw new InputDataError('Cannot watch events: cursor has to contain non-negative integer blockNumber and logIndex');
+    }
+    this.source = source;
+    this.callback = callback;
+    this.pollInterval = options.pollInterval || 15000;
+    this.confirmations = options.confirmations || 0;
+    this.chunkSize = options.chunkSize || 5000;
+    this.onError = options.onError || (() => {});
+    if (cursor !== undefined) {
+      this.cursor = { blockNumber: cursor.blockNumber, logIndex: cursor.logIndex };
+    } else if (options.fromBlock !== undefined) {
+      this.cursor = { blockNumber: options.fromBlock, logIndex: 0 };
+    }
+    this.stopped = false;
+    this._timer = undefined;
+    this._polling = false;
+  }
+
+  /**
+   * Starts polling, the first poll happens right away.
+   *
+   * @return {EventWatcher}
+   */
+  start () {
+    this.stopped = false;
+    this._schedule(0);
+    return this;
+  }
+
+  /**
+   * Stops polling. When called during a delivery, no other
+   * event is delivered after the current one.
+   */
+  unsubscribe () {
+    this.stopped = true;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = undefined;
+    }
+  }
+
+  _schedule (delay) {
+    this._timer = setTimeout(async () => {
+      this._timer = undefined;
+      await this.poll();
+      if (!this.stopped) {
+        this._schedule(this.pollInterval);
+      }
+    }, delay);
+  }
+
+  /**
+   * Delivers all confirmed events since `cursor`. Failures to read
+   * the events are passed to `onError` and retried with the next poll.
+   * So is an event whose callback failed, the events after it are
+   * not delivered before it succeeds.
+   */
+  async poll () {
+    if (this._polling) {
+      return;
+    }
+    this._polling = true;
+    try {
+      const confirmedBlock = (await this.source.web3Utils.getCurrentBlockNumber()) - this.confirmations;
+      if (this.cursor === undefined) {
+        // Without a stored cursor, only new events are delivered
+        this.cursor = { blockNumber: confirmedBlock + 1, logIndex: 0 };
+      }
+      if (confirmedBlock < this.cursor.blockNumber) {
+        return;
+      }
+      const events = await this.source._getEvents(this.cursor.blockNumber, confirmedBlock, this.chunkSize);
+      for (const event of events) {
+        // Already delivered, the cursor points inside this block
+        if (event.blockNumber === this.cursor.blockNumber && event.logIndex < this.cursor.logIndex) {
+          continue;
+        }
+        if (this.stopped) {
+          return;
+        }
+        const nextCursor = { blockNumber: event.blockNumber, logIndex: event.logIndex + 1 };
+        try {
+          await this.callback(event, nextCursor);
+        } catch (err) {
+          this.onError(err);
+          return;
+        }
+        this.cursor = nextCursor;
+      }
+      this.cursor = { blockNumber: confirmedBlock + 1, logIndex: 0 };
+    } catch (err) {
+      this.onError(new WTLibsError(`Cannot watch events: ${err.message}`, err));
+    } finally {
+      this._polling = false;
+    }
+  }
+}
+
+export default EventWatcher;
@@ -0,0 +1,287 @@
+import Web3Utils from 'web3-utils';
+import { InputDataError, NodeUnavailableError } from './errors';
+import { READ_METHODS, WRITE_METHODS, createWeb3Provider, sendPayload } from './web3-provider';
+
+/**
+ * Web3 provider that spreads requests over multiple Ethereum nodes.
+ *
+ * - Idempotent reads are retried with an exponential backoff, every
+ * attempt goes to the next available node.
+ * - Writes (and reads of the `pending` state that depends on the
+ * node's transaction pool) stick to a single node until it fails.
+ * They are never retried.
+ * - A read never goes to a node that is behind the highest block
+ * seen in any previous response.
+ * - A node that fails is skipped until `unhealthyTimeout` passes or until
+ * it passes a health check (see `checkHealth`).
+ *
+ * Providers can be given as URLs (`http(s)://` or `ws(s)://`) or as
+ * any web3 provider instances. Subscriptions are not supported.
+ */
+export class FailoverProvider {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {Array<string|Object>} providers in the order of preference
+   * @param  {Object} options `retries` (defaults to 3), `retryDelay` in ms
+   * (defaults to 250), `unhealthyTimeout` in ms (defaults to 30 s),
+   * `healthCheckInterval` in ms (periodic health checks are off by default)
+   * and `retryMethods`, a list of JSON-RPC methods considered idempotent.
+   * @throws {InputDataError} When no provider is given
+   * @return {FailoverProvider}
+   */
+  static createInstance (providers, options) {
+    return new FailoverProvider(providers, options);
+  }
+
+  constructor (providers, options) {
+    if (!providers || !providers.length) {
+      throw new InputDataError('Cannot create FailoverProvider: No providers given');
+    }
+    this.options = Object.assign({
+      retries: 3,
+      retryDelay: 250,
+      unhealthyTimeout: 30 * 1000,
+      retryMethods: READ_METHODS,
+    }, options);
+    this.nodes = providers.map((provider) => ({
+      provider: createWeb3Provider(provider),
+      healthy: true,
+      failedAt: undefined,
+      blockNumber: undefined,
+    }));
+    this.writeNodeIndex = 0;
+    this.minBlockNumber = 0;
+    if (this.options.healthCheckInterval) {
+      this.startHealthChecks(this.options.healthCheckInterval);
+    }
+  }
+
+  _isAvailable (node) {
+    return node.healthy || (Date.now() - node.failedAt) > this.options.unhealthyTimeout;
+  }
+
+  _markFailed (node) {
+    node.healthy = false;
+    node.failedAt = Date.now();
+  }
+
+  _markHealthy (node) {
+    node.healthy = true;
+    node.failedAt = undefined;
+  }
+
+  _request (node, payload) {
+    return sendPayload(node.provider, payload);
+  }
+
+  _delay (attempt) {
+    const ms = this.options.retryDelay * Math.pow(2, attempt - 1);
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  _updateBlockNumber (node, blockNumber) {
+    if (blockNumber === undefined || blockNumber === null) {
+      return;
+    }
+    blockNumber = Web3Utils.hexToNumber(blockNumber);
+    if (node.blockNumber === undefined || node.blockNumber < blockNumber) {
+      node.blockNumber = blockNumber;
+    }
+    if (this.minBlockNumber < blockNumber) {
+      this.minBlockNumber = blockNumber;
+    }
+  }
+
+  // Remembers the most recent block the node is known to have
+  _observe (node, payload, response) {
+    if (Array.isArray(payload)) {
+      // Batch responses can come in any order
+      return payload.forEach((item) => {
+        this._observe(node, item, (response || []).find((r) => r && r.id === item.id));
+      });
+    }
+    const result = response && response.result;
+    if (result === undefined || result === null) {
+      return;
+    }
+    if (payload.method === 'eth_blockNumber') {
+      this._updateBlockNumber(node, result);
+    } else if (['eth_getTransactionReceipt', 'eth_getTransactionByHash'].indexOf(payload.method) > -1) {
+      this._updateBlockNumber(node, result.blockNumber);
+    } else if (['eth_getBlockByNumber', 'eth_getBlockByHash'].indexOf(payload.method) > -1) {
+      this._updateBlockNumber(node, result.number);
+    }
+  }
+
+  async _isSynced (node) {
+    if (node.blockNumber !== undefined && node.blockNumber >= this.minBlockNumber) {
+      return true;
+    }
+    if (!this.minBlockNumber) {
+      return true;
+    }
+    const response = await this._request(node, { jsonrpc: '2.0', id: Date.now(), method: 'eth_blockNumber', params: [] });
+    this._updateBlockNumber(node, response.result);
+    return node.blockNumber >= this.minBlockNumber;
+  }
+
+  _getMethods (payload) {
+    return (Array.isArray(payload) ? payload : [payload]).map((p) => p.method);
+  }
+
+  _isWrite (payload) {
+    return !!this._getMethods(payload).find((m) => WRITE_METHODS.indexOf(m) > -1);
+  }
+
+  _isRetryable (payload) {
+    return this._getMethods(payload).every((m) => this.options.retryMethods.indexOf(m) > -1);
+  }
+
+  _isPendingRead (payload) {
+    return !!(Array.isArray(payload) ? payload : [payload]).find((p) => (p.params || []).indexOf('pending') > -1);
+  }
+
+  _getWriteNode () {
+    for (let i = 0; i < this.nodes.length; i++) {
+      const index = (this.writeNodeIndex + i) % this.nodes.length;
+      if (this._isAvailable(this.nodes[index])) {
+        this.writeNodeIndex = index;
+        return this.nodes[index];
+      }
+    }
+    // Nothing is available, give the sticky node another chance
+    return this.nodes[this.writeNodeIndex];
+  }
+
+  async _sendToWriteNode (payload) {
+    const node = this._getWriteNode();
+    try {
+      const response = await this._request(node, payload);
+      this._markHealthy(node);
+      return response;
+    } catch (err) {
+      this._markFailed(node);
+      this.writeNodeIndex = (this.writeNodeIndex + 1) % this.nodes.length;
+      throw err;
+    }
+  }
+
+  async _sendRead (payload) {
+    let lastError;
+    for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+      if (attempt > 0) {
+        await this._delay(attempt);
+      }
+      const candidates = this.nodes.filter((n) => this._isAvailable(n));
+      // When everything seems to be down, try all of the nodes anyway
+      for (const node of (candidates.length ? candidates : this.nodes)) {
+        try {
+          if (!(await this._isSynced(node))) {
+            lastError = new NodeUnavailableError(`No Ethereum node is synced to block ${this.minBlockNumber}`);
+            continue;
+          }
+          const response = await this._request(node, payload);
+          this._markHealthy(node);
+          this._observe(node, payload, response);
+          return response;
+        } catch (err) {
+          this._markFailed(node);
+          lastError = err;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  async _send (payload) {
+    if (this._isWrite(payload)) {
+      return this._sendToWriteNode(payload);
+    }
+    if (!this._isRetryable(payload)) {
+      const node = this.nodes.find((n) => this._isAvailable(n)) || this.nodes[0];
+      return this._request(node, payload);
+    }
+    if (this._isPendingRead(payload)) {
+      let lastError;
+      for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+        if (attempt > 0) {
+          await this._delay(attempt);
+        }
+        try {
+          return await this._sendToWriteNode(payload);
+        } catch (err) {
+          lastError = err;
+        }
+      }
+      throw lastError;
+    }
+    return this._sendRead(payload);
+  }
+
+  /**
+   * Web3 provider interface.
+   *
+   * @param  {Object|Array} payload JSON-RPC request or a batch of requests
+   * @param  {function} callback
+   */
+  async send (payload, callback) {
+    let response;
+    try {
+      response = await this._send(payload);
+    } catch (err) {
+      return callback(err);
+    }
+    callback(null, response);
+  }
+
+  /**
+   * Asks every node for its latest block and updates its health.
+   *
+   * @return {Promise<Array<Object>>} Contains `healthy` and `blockNumber`
+   * for every node in the order of preference.
+   */
+  async checkHealth () {
+    return Promise.all(this.nodes.map(async (node) => {
+      try {
+        const response = await this._request(node, { jsonrpc: '2.0', id: Date.now(), method: 'eth_blockNumber', params: [] });
+        if (!response || response.error) {
+          throw new NodeUnavailableError('Invalid health check response');
+        }
+        this._markHealthy(node);
+        this._updateBlockNumber(node, response.result);
+      } catch (err) {
+        this._markFailed(node);
+      }
+      return {
+        healthy: node.healthy,
+        blockNumber: node.blockNumber,
+      };
+    }));
+  }
+
+  /**
+   * Runs `checkHealth` periodically.
+   *
+   * @param {number} interval in ms
+   */
+  startHealthChecks (interval) {
+    this.stopHealthChecks();
+    this.healthCheckTimer = setInterval(() => {
+      this.checkHealth();
+    }, interval);
+    // Do not keep the process running just because of health checks
+    if (this.healthCheckTimer.unref) {
+      this.healthCheckTimer.unref();
+    }
+  }
+
+  stopHealthChecks () {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = undefined;
+    }
+  }
+}
+
+export default FailoverProvider;
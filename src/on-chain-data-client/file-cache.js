@@ -0,0 +1,102 @@
+import fs from 'fs';
+import MemoryCache from './memory-cache';
+import { InputDataError } from './errors';
+
+const FORMAT_VERSION = 1;
+
+/**
+ * `MemoryCache` persisted to a JSON file, so the cached reads
+ * survive restarts. Available in Node.js only.
+ *
+ * The file is loaded when the instance is created. Changes are written
+ * `saveDelay` ms (defaults to 1 s) after the first unsaved change,
+ * call `save` before the process exits to write them right away.
+ * A missing or unreadable file means an empty cache.
+ */
+export class FileCache extends MemoryCache {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {string} path of the JSON file
+   * @param  {Object} options `maxEntries` (defaults to 10000) and `saveDelay` in ms
+   * @throws {InputDataError} When path or options are invalid
+   * @return {FileCache}
+   */
+  static createInstance (path, options) {
+    return new FileCache(path, options);
+  }
+
+  constructor (path, options) {
+    options = options || {};
+    super(options);
+    if (!path) {
+      throw new InputDataError('Cannot create cache: path is required');
+    }
+    this.path = path;
+    this.saveDelay = options.saveDelay === undefined ? 1000 : options.saveDelay;
+    this._saveTimer = undefined;
+    this._load();
+  }
+
+  _load () {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (err) {
+      return;
+    }
+    if (!data || data.version !== FORMAT_VERSION || !Array.isArray(data.entries)) {
+      return;
+    }
+    for (const [key, value] of data.entries.slice(-this.maxEntries)) {
+      this.entries.set(key, value);
+    }
+  }
+
+  _scheduleSave () {
+    if (this._saveTimer) {
+      return;
+    }
+    this._saveTimer = setTimeout(() => {
+      try {
+        this.save();
+      } catch (err) {
+        // Losing cached data is not fatal, it will be read again
+        this._saveTimer = undefined;
+      }
+    }, this.saveDelay);
+    // Do not keep the process running just because of the cache
+    if (this._saveTimer.unref) {
+      this._saveTimer.unref();
+    }
+  }
+
+  /**
+   * Writes all entries to the file.
+   */
+  save () {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = undefined;
+    }
+    const temporaryPath = `${this.path}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify({
+      version: FORMAT_VERSION,
+      entries: Array.from(this.entries.entries()),
+    }));
+    // Never leave a half-written file behind
+    fs.renameSync(temporaryPath, this.path);
+  }
+
+  async set (key, value) {
+    await super.set(key, value);
+    this._scheduleSave();
+  }
+
+  async delete (key) {
+    await super.delete(key);
+    this._scheduleSave();
+  }
+}
+
+export default FileCache;
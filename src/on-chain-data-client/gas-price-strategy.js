@@ -0,0 +1,188 @@
+import Web3Utils from 'web3-utils';
+import { InputDataError } from './errors';
+
+const STRATEGY_TYPES = ['fixed', 'node', 'percentile', 'custom'];
+
+/**
+ * Determines gas price related fields of outgoing transactions.
+ *
+ * The strategy is configured with an object such as
+ *
+ * ```
+ * { type: 'fixed', gasPrice: '20000000000' }
+ * { type: 'fixed', eip1559: true, maxFeePerGas: '40000000000', maxPriorityFeePerGas: '2000000000' }
+ * { type: 'node', multiplier: 1.2 } // node's suggestion multiplied
+ * { type: 'percentile', percentile: 60, blocks: 20 } // based on recent blocks
+ * { type: 'custom', getFees: async (web3Eth) => ({ gasPrice: '20000000000' }) }
+ * ```
+ *
+ * A function can be used instead of an object as a shortcut to the
+ * `custom` type. With `eip1559` flag, `maxFeePerGas` and
+ * `maxPriorityFeePerGas` are produced instead of `gasPrice`. In that case
+ * `maxFeePerGas` is set to twice the current base fee plus the priority fee.
+ * All values are in wei and are returned as decimal strings.
+ *
+ * EIP-1559 fields are meant for external signers or raw transaction data,
+ * the bundled `Wallet` cannot sign such transactions with the current web3.
+ */
+export class GasPriceStrategy {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {Object|function} options
+   * @param  {Web3Eth} web3Eth instance used to query the network
+   * @throws {InputDataError} When the strategy is not properly configured
+   * @return {GasPriceStrategy}
+   */
+  static createInstance (options, web3Eth) {
+    return new GasPriceStrategy(options, web3Eth);
+  }
+
+  constructor (options, web3Eth) {
+    if (typeof options === 'function') {
+      options = { type: 'custom', getFees: options };
+    }
+    options = options || {};
+    if (STRATEGY_TYPES.indexOf(options.type) === -1) {
+      throw new InputDataError(`Unknown gas price strategy: ${options.type}`);
+    }
+    if (options.type === 'fixed') {
+      if (!options.eip1559 && !options.gasPrice) {
+        throw new InputDataError('Fixed gas price strategy requires gasPrice');
+      }
+      if (options.eip1559 && (!options.maxFeePerGas || !options.maxPriorityFeePerGas)) {
+        throw new InputDataError('Fixed EIP-1559 gas price strategy requires maxFeePerGas and maxPriorityFeePerGas');
+      }
+    }
+    if (options.type === 'custom' && typeof options.getFees !== 'function') {
+      throw new InputDataError('Custom gas price strategy requires getFees function');
+    }
+    this.options = Object.assign({
+      multiplier: 1,
+      percentile: 50,
+      blocks: 20,
+    }, options);
+    this.web3Eth = web3Eth;
+  }
+
+  _extendWeb3Eth () {
+    if (!this.web3Eth.getFeeHistory) {
+      this.web3Eth.extend({
+        methods: [
+          { name: 'getFeeHistory', call: 'eth_feeHistory', params: 3 },
+          { name: 'getMaxPriorityFeePerGas', call: 'eth_maxPriorityFeePerGas', params: 0 },
+        ],
+      });
+    }
+  }
+
+  _multiply (value, multiplier) {
+    // BN cannot work with fractions
+    return Web3Utils.toBN(value).muln(Math.round(multiplier * 1000)).divn(1000);
+  }
+
+  _percentile (values, percentile) {
+    const sorted = values.map((v) => Web3Utils.toBN(v)).sort((a, b) => a.cmp(b));
+    return sorted[Math.floor((percentile / 100) * (sorted.length - 1))];
+  }
+
+  async _getBaseFee () {
+    const block = await this.web3Eth.getBlock('latest');
+    if (!block || block.baseFeePerGas === undefined || block.baseFeePerGas === null) {
+      throw new InputDataError('Network does not support EIP-1559 transactions');
+    }
+    return Web3Utils.toBN(block.baseFeePerGas);
+  }
+
+  async _getLegacyFees () {
+    if (this.options.type === 'fixed') {
+      return { gasPrice: Web3Utils.toBN(this.options.gasPrice) };
+    }
+    if (this.options.type === 'percentile') {
+      const latestBlockNumber = await this.web3Eth.getBlockNumber();
+      const blocks = await Promise.all(
+        Array.from({ length: Math.min(this.options.blocks, latestBlockNumber + 1) }, (_, i) => this.web3Eth.getBlock(latestBlockNumber - i, true)),
+      );
+      const gasPrices = [];
+      for (const block of blocks) {
+        for (const tx of ((block && block.transactions) || [])) {
+          gasPrices.push(tx.gasPrice);
+        }
+      }
+      // Empty blocks, let the node decide
+      if (gasPrices.length) {
+        return { gasPrice: this._percentile(gasPrices, this.options.percentile) };
+      }
+    }
+    return { gasPrice: this._multiply(await this.web3Eth.getGasPrice(), this.options.multiplier) };
+  }
+
+  async _getEip1559Fees () {
+    if (this.options.type === 'fixed') {
+      return {
+        maxFeePerGas: Web3Utils.toBN(this.options.maxFeePerGas),
+        maxPriorityFeePerGas: Web3Utils.toBN(this.options.maxPriorityFeePerGas),
+      };
+    }
+    this._extendWeb3Eth();
+    let baseFee, priorityFee;
+    if (this.options.type === 'percentile') {
+      const feeHistory = await this.web3Eth.getFeeHistory(Web3Utils.toHex(this.options.blocks), 'latest', [this.options.percentile]);
+      const rewards = (feeHistory.reward || []).map((r) => r[0]);
+      priorityFee = rewards.length
+        ? this._percentile(rewards, 50)
+        : Web3Utils.toBN(await this.web3Eth.getMaxPriorityFeePerGas());
+      // The last item is the base fee of the next block
+      baseFee = Web3Utils.toBN(feeHistory.baseFeePerGas[feeHistory.baseFeePerGas.length - 1]);
+    } else {
+      priorityFee = this._multiply(await this.web3Eth.getMaxPriorityFeePerGas(), this.options.multiplier);
+      baseFee = await this._getBaseFee();
+    }
+    return {
+      maxFeePerGas: baseFee.muln(2).add(priorityFee),
+      maxPriorityFeePerGas: priorityFee,
+    };
+  }
+
+  async _getCustomFees () {
+    const result = await this.options.getFees(this.web3Eth);
+    if (result === undefined || result === null) {
+      return {};
+    }
+    if (typeof result !== 'object' || Web3Utils.isBN(result)) {
+      return { gasPrice: result };
+    }
+    const fees = {};
+    for (const field of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+      if (result[field] !== undefined) {
+        fees[field] = result[field];
+      }
+    }
+    return fees;
+  }
+
+  /**
+   * Returns gas price related fields that should be added
+   * to the transaction data.
+   *
+   * @return {Promise<Object>} Contains either `gasPrice` or `maxFeePerGas`
+   * and `maxPriorityFeePerGas`.
+   */
+  async getFees () {
+    let fees;
+    if (this.options.type === 'custom') {
+      fees = await this._getCustomFees();
+    } else if (this.options.eip1559) {
+      fees = await this._getEip1559Fees();
+    } else {
+      fees = await this._getLegacyFees();
+    }
+    const result = {};
+    for (const field of Object.keys(fees)) {
+      result[field] = Web3Utils.toBN(fees[field]).toString(10);
+    }
+    return result;
+  }
+}
+
+export default GasPriceStrategy;
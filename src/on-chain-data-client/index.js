@@ -1,62 +1,173 @@
 import Utils from './utils';
+import FailoverProvider from './failover-provider';
+import BatchingProvider from './batching-provider';
+import CachingProvider from './caching-provider';
 import Contracts from './contracts';
 import Entrypoint from './entrypoint';
 import UpdateableOrganization from './updateable-organization';
 import Organization from './organization';
+import {
+  TransactionFailedError,
+  TransactionDroppedError,
+  TransactionWaitTimeoutError,
+} from './errors';
 
 /**
  * A factory class used to access various on-chain data
  * represented by Winding Tree index.
+ *
+ * Every instance holds its own web3 provider, `Utils`, `Contracts`
+ * and entrypoint cache, so multiple instances (i. e. for different
+ * networks) can be used at the same time.
+ *
+ * The static methods work with a single shared configuration
+ * and are kept for backwards compatibility.
  */
 export class OnChainDataClient {
   static entrypoints;
 
   static options;
 
+  static provider;
+
   static web3Utils;
 
   static web3Contracts;
 
+  static offChainDataClient;
+
+  static trackedTransactions;
+
+  /**
+   * Returns an initialized instance.
+   *
+   * @param  {OnChainDataClientOptionsType} options
+   * @param  {OffChainDataClient} offChainDataClient used by all `StoragePointer`s
+   * created by organizations accessed through this instance. If not provided,
+   * the shared `OffChainDataClient` configuration is used.
+   * @return {OnChainDataClient}
+   */
+  static createInstance (options, offChainDataClient) {
+    return new OnChainDataClient(options, offChainDataClient);
+  }
+
   /**
    * Sets up Utils and Contracts with given web3 provider.
    * Sets up gasCoefficient or gasMargin. If neither is provided,
-   * sets gasCoefficient to a default of 2.
+   * sets gasCoefficient to a default of 2. Sets up gasPriceStrategy
+   * if provided (see `GasPriceStrategy` for options).
+   *
+   * When `provider` is a list, requests are spread over all of them
+   * by a `FailoverProvider` configured with `providerOptions`. With
+   * `batch` option (`true` or `BatchingProvider` options), concurrent
+   * reads are sent as JSON-RPC batches. With `cache` option (`true` or
+   * `CachingProvider` options), results of contract calls are cached.
+   * At most `maxTrackedTransactions` (defaults to 1000) transactions are
+   * tracked by `getTransactionsStatus`.
    */
-  static setup (options) {
+  constructor (options, offChainDataClient) {
     options = options || {};
     if (!options.gasMargin && !options.gasCoefficient) {
       options.gasCoefficient = 2;
     }
-    OnChainDataClient.entrypoints = {};
-    OnChainDataClient.options = options;
-    OnChainDataClient.web3Utils = Utils.createInstance({
-      gasCoefficient: OnChainDataClient.options.gasCoefficient,
-      gasMargin: OnChainDataClient.options.gasMargin,
-    }, OnChainDataClient.options.provider);
-    OnChainDataClient.web3Contracts = Contracts.createInstance(OnChainDataClient.options.provider);
+    this.entrypoints = {};
+    this.trackedTransactions = {};
+    this.options = options;
+    this.offChainDataClient = offChainDataClient;
+    this.provider = Array.isArray(this.options.provider)
+      ? FailoverProvider.createInstance(this.options.provider, this.options.providerOptions)
+      : this.options.provider;
+    if (this.options.batch) {
+      this.provider = BatchingProvider.createInstance(this.provider, this.options.batch === true ? {} : this.options.batch);
+    }
+    if (this.options.cache) {
+      this.provider = CachingProvider.createInstance(this.provider, this.options.cache === true ? {} : this.options.cache);
+    }
+    this.web3Utils = Utils.createInstance({
+      gasCoefficient: this.options.gasCoefficient,
+      gasMargin: this.options.gasMargin,
+      gasPriceStrategy: this.options.gasPriceStrategy,
+    }, this.provider);
+    this.web3Contracts = Contracts.createInstance(this.provider);
   }
 
   /**
-   * Deletes options and entrypoints. Useful for testing.
+   * Returns an `Entrypoint` wrapper. With `{ blockNumber }` context,
+   * everything read through it is pinned to that block.
+   *
+   * @param  {string} address
+   * @param  {Object} context `{blockNumber}`, optional
+   * @return {Entrypoint}
    */
-  static _reset () {
-    OnChainDataClient.options = {};
-    OnChainDataClient.entrypoints = {};
+  getEntrypoint (address, context) {
+    const blockNumber = context && context.blockNumber;
+    const key = blockNumber === undefined ? address : `${address}@${blockNumber}`;
+    if (!this.entrypoints[key]) {
+      this.entrypoints[key] = Entrypoint.createInstance(address, this.web3Utils, this.web3Contracts, this.offChainDataClient, context);
+    }
+    return this.entrypoints[key];
   }
 
-  static getEntrypoint (address) {
-    if (!OnChainDataClient.entrypoints[address]) {
-      OnChainDataClient.entrypoints[address] = Entrypoint.createInstance(address, OnChainDataClient.web3Utils, OnChainDataClient.web3Contracts);
-    }
-    return OnChainDataClient.entrypoints[address];
+  getUpdateableOrganization (address) {
+    return UpdateableOrganization.createInstance(this.web3Utils, this.web3Contracts, address, this.offChainDataClient);
   }
 
-  static getUpdateableOrganization (address) {
-    return UpdateableOrganization.createInstance(OnChainDataClient.web3Utils, OnChainDataClient.web3Contracts, address);
+  getOrganization (address, context) {
+    return Organization.createInstance(this.web3Utils, this.web3Contracts, address, this.offChainDataClient, context);
+  }
+
+  /**
+   * Releases the nonce reserved for a prepared transaction that
+   * is not going to be sent, so it can be reused by the next
+   * prepared transaction.
+   *
+   * @param {TransactionDataInterface} transactionData
+   */
+  abandonTransaction (transactionData) {
+    this.web3Utils.releaseNonce(transactionData.from, transactionData.nonce);
   }
 
-  static getOrganization (address) {
-    return Organization.createInstance(OnChainDataClient.web3Utils, OnChainDataClient.web3Contracts, address);
+  /**
+   * Runs a prepared transaction against the current (or chosen) block
+   * without sending it to the network, so it can be checked before
+   * signing.
+   *
+   * `events` are available only when the node supports `debug_traceCall`,
+   * they are undefined otherwise. When the transaction creates an organization
+   * through an `OrganizationFactory`, its would-be address is available
+   * as `organizationAddress`. This is reliable only until another
+   * organization is created by the same factory.
+   *
+   * @param {TransactionDataInterface} transactionData
+   * @param {number|string} blockNumber defaults to `latest`
+   * @throws {Error} When the node fails for other reason than a revert
+   * @return {Promise<Object>} Contains `success` flag, `revertReason`,
+   * decoded `method` and `returnValues`, decoded `events` and
+   * `organizationAddress`.
+   */
+  async simulate (transactionData, blockNumber) {
+    blockNumber = blockNumber === undefined ? 'latest' : blockNumber;
+    const [callResult, logs] = await Promise.all([
+      this.web3Utils.callTransaction(transactionData, blockNumber),
+      this.web3Utils.getTransactionLogs(transactionData, blockNumber),
+    ]);
+    const result = {
+      success: callResult.success,
+      revertReason: callResult.revertReason,
+    };
+    if (!callResult.success) {
+      return result;
+    }
+    result.events = logs && this.web3Contracts.decodeLogs(logs);
+    const decoded = this.web3Contracts.decodeReturnValues(transactionData.data, callResult.returnData);
+    if (decoded) {
+      result.method = decoded.method;
+      result.returnValues = decoded.values;
+      if (decoded.contract === 'organizationFactory' && ['create', 'createAndAddToDirectory'].indexOf(decoded.method) > -1) {
+        result.organizationAddress = decoded.values[0].value;
+      }
+    }
+    return result;
   }
 
   /**
@@ -65,32 +176,79 @@ export class OnChainDataClient {
    * are computed. If you pass all transactions related to a single
    * operation (such as update), you may benefit from the computed
    * metrics.
+   *
+   * The block in which a transaction was seen is remembered, so chain
+   * reorganizations can be detected by subsequent calls. A transaction that
+   * moved to another block is marked as `reorganized` (with its `previousBlockHash`)
+   * and listed in `meta.reorganized`. A transaction whose receipt disappeared
+   * (or is not in a canonical block anymore) is missing from the results
+   * and is listed in `meta.removed`. Remembered transactions are kept until
+   * they are passed to `untrackTransactions`, or until more than
+   * `maxTrackedTransactions` others are seen after them.
+   *
+   * Failed transactions are replayed at their block to find out
+   * the `revertReason`.
    */
-  static async getTransactionsStatus (txHashes) {
+  async getTransactionsStatus (txHashes) {
     const receiptsPromises = [];
     const txDataPromises = [];
     for (const hash of txHashes) {
-      receiptsPromises.push(OnChainDataClient.web3Utils.getTransactionReceipt(hash));
-      txDataPromises.push(OnChainDataClient.web3Utils.getTransaction(hash));
+      receiptsPromises.push(this.web3Utils.getTransactionReceipt(hash));
+      txDataPromises.push(this.web3Utils.getTransaction(hash));
     }
-    const currentBlockNumber = OnChainDataClient.web3Utils.getCurrentBlockNumber();
+    const currentBlockNumber = this.web3Utils.getCurrentBlockNumber();
     const receipts = await Promise.all(receiptsPromises);
     const txData = await Promise.all(txDataPromises);
+    const canonicalBlocks = {};
+    for (const receipt of receipts) {
+      if (receipt && !canonicalBlocks[receipt.blockNumber]) {
+        canonicalBlocks[receipt.blockNumber] = this.web3Utils.getBlock(receipt.blockNumber);
+      }
+    }
 
     const results = {};
+    const reorganized = [];
     for (const receipt of receipts) {
       if (!receipt) { continue; }
-      const decodedLogs = OnChainDataClient.web3Contracts.decodeLogs(receipt.logs);
-      const originalTxData = txData.find((tx) => tx.hash === receipt.transactionHash);
+      const canonicalBlock = await canonicalBlocks[receipt.blockNumber];
+      // Some nodes still return receipts from blocks that are no longer canonical
+      if (canonicalBlock && canonicalBlock.hash !== receipt.blockHash) { continue; }
+      const trackedTransaction = this.trackedTransactions[receipt.transactionHash];
+      const isReorganized = !!trackedTransaction && trackedTransaction.blockHash !== receipt.blockHash;
+      if (isReorganized) {
+        reorganized.push(receipt.transactionHash);
+      }
+      // Re-insert, so the least recently seen transaction goes first
+      delete this.trackedTransactions[receipt.transactionHash];
+      this.trackedTransactions[receipt.transactionHash] = {
+        blockHash: receipt.blockHash,
+        blockNumber: receipt.blockNumber,
+      };
+      const trackedHashes = Object.keys(this.trackedTransactions);
+      const maxTrackedTransactions = (this.options && this.options.maxTrackedTransactions) || 1000;
+      for (const hash of trackedHashes.slice(0, trackedHashes.length - maxTrackedTransactions)) {
+        delete this.trackedTransactions[hash];
+      }
+      const decodedLogs = this.web3Contracts.decodeLogs(receipt.logs);
+      const originalTxData = txData.find((tx) => tx && tx.hash === receipt.transactionHash);
+      let revertReason;
+      if (!receipt.status && originalTxData) {
+        revertReason = await this.web3Utils.getRevertReason(originalTxData, receipt.blockNumber);
+      }
       results[receipt.transactionHash] = {
         transactionHash: receipt.transactionHash,
         blockAge: (await currentBlockNumber) - receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        reorganized: isReorganized,
+        previousBlockHash: isReorganized ? trackedTransaction.blockHash : undefined,
         decodedLogs: decodedLogs,
         from: originalTxData && originalTxData.from,
         to: originalTxData && originalTxData.to,
+        revertReason: revertReason,
         raw: receipt,
       };
     }
+    const removed = txHashes.filter((hash) => !results[hash] && this.trackedTransactions[hash]);
     const resultsValues = Object.values(results);
     return {
       meta: {
@@ -100,10 +258,143 @@ export class OnChainDataClient {
         maxBlockAge: Math.max(...(resultsValues.map((a) => a.blockAge))),
         // https://ethereum.stackexchange.com/questions/28077/how-do-i-detect-a-failed-transaction-after-the-byzantium-fork-as-the-revert-opco
         allPassed: (resultsValues.map((a) => a.raw.status)).every((x) => x) && txHashes.length === resultsValues.length,
+        reorganized: reorganized,
+        removed: removed,
       },
       results: results,
     };
   }
+
+  /**
+   * Forgets blocks in which given transactions were seen by
+   * `getTransactionsStatus`, so their reorganizations are not
+   * detected anymore.
+   *
+   * @param {Array<string>} txHashes
+   */
+  untrackTransactions (txHashes) {
+    for (const hash of txHashes) {
+      delete this.trackedTransactions[hash];
+    }
+  }
+
+  /**
+   * Periodically checks the status of given transactions and resolves
+   * once all of them are mined and reach the required block age.
+   * The transactions are untracked when waiting fails. Confirmed ones
+   * stay tracked, so later reorganizations are still reported by
+   * `getTransactionsStatus`.
+   *
+   * @param {Array<string>} txHashes
+   * @param {Object} options
+   * - `confirmations` - required minimal block age of all transactions, defaults to 1
+   * - `timeout` - in milliseconds, defaults to 10 minutes
+   * - `pollInterval` - in milliseconds, defaults to 1 second
+   * @param {Object} eventCallbacks
+   * - `onProgress` is called after every check with the current result
+   * of `getTransactionsStatus`
+   * @throws {TransactionFailedError} When any of the transactions is reverted
+   * @throws {TransactionDroppedError} When any of the transactions disappears
+   * from the network (i. e. it was dropped or replaced)
+   * @throws {TransactionWaitTimeoutError} When transactions do not reach the
+   * required block age in time
+   * @return {Promise<Object>} the last result of `getTransactionsStatus`
+   */
+  async waitForTransactions (txHashes, options, eventCallbacks) {
+    options = Object.assign({
+      confirmations: 1,
+      timeout: 10 * 60 * 1000,
+      pollInterval: 1000,
+    }, options);
+    const startedAt = Date.now();
+    while (true) {
+      const status = await this.getTransactionsStatus(txHashes);
+      if (eventCallbacks && eventCallbacks.onProgress) {
+        eventCallbacks.onProgress(status);
+      }
+      for (const result of Object.values(status.results)) {
+        if (!result.raw.status) {
+          this.untrackTransactions(txHashes);
+          throw new TransactionFailedError(`Transaction ${result.transactionHash} was reverted.`, result.transactionHash, status);
+        }
+      }
+      const unmined = txHashes.filter((hash) => !status.results[hash]);
+      for (const hash of unmined) {
+        if (!(await this.web3Utils.getTransaction(hash))) {
+          this.untrackTransactions(txHashes);
+          throw new TransactionDroppedError(`Transaction ${hash} was dropped or replaced.`, hash, status);
+        }
+      }
+      if (!unmined.length && status.meta.minBlockAge >= options.confirmations) {
+        return status;
+      }
+      if (Date.now() - startedAt >= options.timeout) {
+        const hash = unmined.length ? unmined[0] : Object.values(status.results).find((r) => r.blockAge < options.confirmations).transactionHash;
+        this.untrackTransactions(txHashes);
+        throw new TransactionWaitTimeoutError(`Transaction ${hash} did not reach the block age of ${options.confirmations} in time.`, hash, status);
+      }
+      await new Promise((resolve) => setTimeout(resolve, options.pollInterval));
+    }
+  }
+
+  /**
+   * Sets up the shared configuration used by the static methods.
+   */
+  static setup (options) {
+    const client = OnChainDataClient.createInstance(options);
+    OnChainDataClient.entrypoints = client.entrypoints;
+    OnChainDataClient.options = client.options;
+    OnChainDataClient.provider = client.provider;
+    OnChainDataClient.offChainDataClient = client.offChainDataClient;
+    OnChainDataClient.trackedTransactions = client.trackedTransactions;
+    OnChainDataClient.web3Utils = client.web3Utils;
+    OnChainDataClient.web3Contracts = client.web3Contracts;
+  }
+
+  /**
+   * Deletes shared options, entrypoints and tracked transactions. Useful for testing.
+   */
+  static _reset () {
+    OnChainDataClient.options = {};
+    OnChainDataClient.provider = undefined;
+    OnChainDataClient.entrypoints = {};
+    OnChainDataClient.trackedTransactions = {};
+  }
+
+  // The class itself holds the same properties as an instance does,
+  // so the static methods can simply reuse the instance ones.
+
+  static getEntrypoint (address, context) {
+    return OnChainDataClient.prototype.getEntrypoint.call(OnChainDataClient, address, context);
+  }
+
+  static getUpdateableOrganization (address) {
+    return OnChainDataClient.prototype.getUpdateableOrganization.call(OnChainDataClient, address);
+  }
+
+  static getOrganization (address, context) {
+    return OnChainDataClient.prototype.getOrganization.call(OnChainDataClient, address, context);
+  }
+
+  static abandonTransaction (transactionData) {
+    return OnChainDataClient.prototype.abandonTransaction.call(OnChainDataClient, transactionData);
+  }
+
+  static async getTransactionsStatus (txHashes) {
+    return OnChainDataClient.prototype.getTransactionsStatus.call(OnChainDataClient, txHashes);
+  }
+
+  static async simulate (transactionData, blockNumber) {
+    return OnChainDataClient.prototype.simulate.call(OnChainDataClient, transactionData, blockNumber);
+  }
+
+  static untrackTransactions (txHashes) {
+    return OnChainDataClient.prototype.untrackTransactions.call(OnChainDataClient, txHashes);
+  }
+
+  static async waitForTransactions (txHashes, options, eventCallbacks) {
+    return OnChainDataClient.prototype.waitForTransactions.call(OnChainDataClient, txHashes, options, eventCallbacks);
+  }
 }
 
 export default OnChainDataClient;
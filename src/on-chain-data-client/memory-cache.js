@@ -0,0 +1,56 @@
+import { InputDataError } from './errors';
+
+/**
+ * In-memory least recently used cache, the default store
+ * of `CachingProvider`.
+ *
+ * Any other store can be used instead as long as it implements
+ * async `get(key)`, `set(key, value)` and `delete(key)` methods
+ * and values are JSON-serializable.
+ */
+export class MemoryCache {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {Object} options `maxEntries` (defaults to 10000)
+   * @throws {InputDataError} When maxEntries is invalid
+   * @return {MemoryCache}
+   */
+  static createInstance (options) {
+    return new MemoryCache(options);
+  }
+
+  constructor (options) {
+    options = options || {};
+    if (options.maxEntries !== undefined && !(Number.isInteger(options.maxEntries) && options.maxEntries > 0)) {
+      throw new InputDataError('Cannot create cache: maxEntries has to be a positive integer');
+    }
+    this.maxEntries = options.maxEntries || 10000;
+    // Map keeps insertion order, the least recently used entry goes first
+    this.entries = new Map();
+  }
+
+  async get (key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  async set (key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete (key) {
+    this.entries.delete(key);
+  }
+}
+
+export default MemoryCache;
@@ -0,0 +1,126 @@
+/**
+ * Keeps track of nonces handed out to transactions prepared
+ * by this library, so that multiple transactions prepared back
+ * to back for the same sender get sequential nonces.
+ *
+ * Every reservation takes into account transactions that are already
+ * pending in the network. A reserved nonce is either confirmed (once
+ * the transaction reaches the network) or released (when the transaction
+ * is abandoned or fails before reaching the network). Released nonces
+ * are reassigned to the next reservation so no gaps are left behind.
+ */
+export class NonceManager {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {Web3Eth} web3Eth instance used to query transaction counts
+   * @return {NonceManager}
+   */
+  static createInstance (web3Eth) {
+    return new NonceManager(web3Eth);
+  }
+
+  constructor (web3Eth) {
+    this.web3Eth = web3Eth;
+    this._senders = {};
+  }
+
+  _getSenderState (address) {
+    const key = String(address).toLowerCase();
+    if (!this._senders[key]) {
+      this._senders[key] = {
+        next: 0,
+        reserved: {},
+        released: [],
+        queue: Promise.resolve(),
+      };
+    }
+    return this._senders[key];
+  }
+
+  /**
+   * Reserves the next available nonce for given address. Reservations
+   * for the same address are processed one after another.
+   *
+   * @param  {string} address
+   * @return {Promise<number>}
+   */
+  async reserve (address) {
+    const state = this._getSenderState(address);
+    const reservation = state.queue.then(async () => {
+      const pendingCount = await this.web3Eth.getTransactionCount(address, 'pending');
+      // Everything below the pending count has been used in the meantime,
+      // possibly by someone else.
+      for (const nonce of Object.keys(state.reserved)) {
+        if (parseInt(nonce, 10) < pendingCount) {
+          delete state.reserved[nonce];
+        }
+      }
+      state.released = state.released.filter((n) => n >= pendingCount);
+      state.next = Math.max(state.next, pendingCount);
+      let nonce;
+      if (state.released.length) {
+        nonce = state.released.shift();
+      } else {
+        nonce = state.next;
+        state.next += 1;
+      }
+      state.reserved[nonce] = true;
+      return nonce;
+    });
+    // A failed reservation should not block the following ones
+    state.queue = reservation.catch(() => {});
+    return reservation;
+  }
+
+  /**
+   * Marks a reserved nonce as used, typically after the transaction
+   * reached the network.
+   *
+   * @param  {string} address
+   * @param  {number} nonce
+   */
+  confirm (address, nonce) {
+    const state = this._getSenderState(address);
+    delete state.reserved[nonce];
+  }
+
+  /**
+   * Returns a reserved nonce back, so it can be reassigned. Releasing
+   * a nonce that was not reserved (or was already confirmed) has no effect.
+   *
+   * @param  {string} address
+   * @param  {number} nonce
+   */
+  release (address, nonce) {
+    const state = this._getSenderState(address);
+    if (!state.reserved[nonce]) {
+      return;
+    }
+    delete state.reserved[nonce];
+    if (nonce !== state.next - 1) {
+      state.released.push(nonce);
+      state.released.sort((a, b) => a - b);
+      return;
+    }
+    state.next -= 1;
+    // Shrink the sequence as long as its tail is not used
+    while (state.released.length && state.released[state.released.length - 1] === state.next - 1) {
+      state.released.pop();
+      state.next -= 1;
+    }
+  }
+
+  /**
+   * Returns a list of currently reserved nonces for given address.
+   *
+   * @param  {string} address
+   * @return {Array<number>}
+   */
+  getReservedNonces (address) {
+    const state = this._getSenderState(address);
+    return Object.keys(state.reserved).map((n) => parseInt(n, 10)).sort((a, b) => a - b);
+  }
+}
+
+export default NonceManager;
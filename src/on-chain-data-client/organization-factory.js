@@ -1,21 +1,35 @@
+import cloneDeep from 'lodash.clonedeep';
+import Web3Utils from 'web3-utils';
 import { WTLibsError } from '../errors';
-import { InputDataError } from './errors';
-import UpdateableOnChainOrganization from './updateable-organization';
-import OnChainDataClient from './index';
+import { InputDataError, OnChainDataRuntimeError, OrganizationCreationError } from './errors';
+import UpdateableOnChainOrganization, { serializeCanonically } from './updateable-organization';
+import TransactionPlan from './transaction-plan';
+import OffChainDataClient from '../off-chain-data-client';
+
+// ORG.JSON sections describing organizations of each segment
+const SEGMENT_SECTIONS = {
+  hotels: 'hotel',
+  airlines: 'airline',
+};
 
 /**
  * Wrapper for an Organization Factory smart contract. Allows you to
  * call `create` or `createAndAddOrganization`.
+ *
+ * When obtained through `Entrypoint.getOrganizationFactory`, it can
+ * also `onboard` organizations to segment directories of that entrypoint.
  */
 export class OrganizationFactory {
-  static createInstance (factoryAddress, web3Utils, web3Contracts) {
-    return new OrganizationFactory(factoryAddress, web3Utils, web3Contracts);
+  static createInstance (factoryAddress, web3Utils, web3Contracts, offChainDataClient, context) {
+    return new OrganizationFactory(factoryAddress, web3Utils, web3Contracts, offChainDataClient, context);
   }
 
-  constructor (factoryAddress, web3Utils, web3Contracts) {
+  constructor (factoryAddress, web3Utils, web3Contracts, offChainDataClient, context) {
     this.address = factoryAddress;
     this.web3Utils = web3Utils;
     this.web3Contracts = web3Contracts;
+    this.offChainDataClient = offChainDataClient;
+    this.entrypoint = context && context.entrypoint;
   }
 
   async _getDeployedFactory () {
@@ -26,13 +40,12 @@ export class OrganizationFactory {
   }
 
   /**
-   * Prepares transaction data that creates and adds the organization
+   * Prepares a plan that creates and adds the organization
    * to the selected directory.
    *
    * @param  {Object} orgData
    * @param  {string} directoryAddress
-   * @return {Object} Contains `transactionData`, `eventCAllbacks` useful
-   * in the wallet abstraction and `organization` Promise that gets fullfilled
+   * @return {TransactionPlan} with `organization` Promise that gets fullfilled
    * once the `onReceipt` event occurs.
    */
   async createAndAddOrganization (orgData, directoryAddress) {
@@ -54,18 +67,17 @@ export class OrganizationFactory {
     try {
       const directory = await this._getDeployedFactory();
       const contractMethod = directory.methods.createAndAddToDirectory(orgJsonUri, orgJsonHash, directoryAddress);
-      return this._callContract(contractMethod, orgOwner);
+      return this._callContract(contractMethod, orgOwner, 'createAndAddToDirectory', ['OrganizationCreated', 'OrganizationAdded']);
     } catch (err) {
       throw new WTLibsError(`Cannot create and add Organization: ${err.message}`, err);
     }
   }
 
   /**
-   * Prepares transaction data that creates a new organization smart contract.
+   * Prepares a plan that creates a new organization smart contract.
    *
    * @param  {Object} orgData
-   * @return {Object} Contains `transactionData`, `eventCallbacks` useful
-   * in the wallet abstraction and `organization` Promise that gets fullfilled
+   * @return {TransactionPlan} with `organization` Promise that gets fullfilled
    * once the `onReceipt` event occurs.
    */
   async createOrganization (orgData) {
@@ -84,43 +96,168 @@ export class OrganizationFactory {
     try {
       const directory = await this._getDeployedFactory();
       const contractMethod = directory.methods.create(orgJsonUri, orgJsonHash);
-      return this._callContract(contractMethod, orgOwner);
+      return this._callContract(contractMethod, orgOwner, 'create', ['OrganizationCreated']);
     } catch (err) {
       throw new WTLibsError(`Cannot create Organization: ${err.message}`, err);
     }
   }
 
-  async _callContract (contractMethod, caller) {
-    const data = contractMethod.encodeABI();
-    const estimate = contractMethod.estimateGas({ from: caller });
-    const transactionData = {
-      nonce: await this.web3Utils.determineCurrentAddressNonce(caller),
-      data: data,
-      from: caller,
-      to: this.address,
-      gas: this.web3Utils.applyGasModifier(await estimate),
+  /**
+   * Uploads all off-chain data of a new organization and prepares
+   * a plan that creates and adds it to the directory of `segment`.
+   *
+   * `segmentDocuments` is the Winding Tree data index of the segment,
+   * such as `{ descriptionUri: {...}, ratePlansUri: {...}, availabilityUri: {...} }`.
+   * Every `...Uri` field holding an object or an array (even a nested one)
+   * is uploaded as a separate document first and replaced by its URI.
+   * The index itself is then uploaded and added to ORG.JSON as a `windingtree`
+   * API of the segment. Finally, ORG.JSON is uploaded and hashed.
+   *
+   * @param  {Object} onboardingData `{ orgJson, segmentDocuments, owner, segment, adapter }`,
+   * `adapter` is a schema of an off-chain data adapter such as `in-memory` and it can be
+   * omitted when only one adapter is configured. `segmentDocuments` are optional.
+   * @throws {InputDataError} When some of the data is missing or invalid
+   * @throws {OnChainDataRuntimeError} When the factory was not obtained through an entrypoint
+   * or when the segment does not exist
+   * @return {Promise<Object>} `{ orgJsonUri, orgJsonHash, transactionPlan }`, the plan
+   * has the same `organization` Promise as the one of `createAndAddOrganization`
+   */
+  async onboard (onboardingData) {
+    const { orgJson, segmentDocuments, owner, segment } = onboardingData || {};
+    if (!orgJson || typeof orgJson !== 'object' || Array.isArray(orgJson)) {
+      throw new InputDataError('Cannot onboard Organization: ORG.JSON has to be an object');
+    }
+    if (!owner) {
+      throw new InputDataError('Cannot onboard Organization: Missing owner');
+    }
+    if (!segment) {
+      throw new InputDataError('Cannot onboard Organization: Missing segment');
+    }
+    if (segmentDocuments && !SEGMENT_SECTIONS[segment]) {
+      throw new InputDataError(`Cannot onboard Organization: Unknown data model of segment ${segment}`);
+    }
+    if (!this.entrypoint) {
+      throw new OnChainDataRuntimeError('Cannot onboard Organization: Factory was not obtained through an entrypoint');
+    }
+    // Fail before uploading anything when there is no such directory
+    const directory = await this.entrypoint.getSegmentDirectory(segment);
+    const adapter = this._getOffChainDataClient().getAdapter(this._getAdapterSchema(onboardingData.adapter));
+    const finalOrgJson = cloneDeep(orgJson);
+    if (segmentDocuments) {
+      const index = await this._uploadDocuments(adapter, segmentDocuments);
+      const indexUri = await adapter.upload(serializeCanonically(index));
+      const section = finalOrgJson[SEGMENT_SECTIONS[segment]] = finalOrgJson[SEGMENT_SECTIONS[segment]] || {};
+      section.apis = (section.apis || []).concat([{ entrypoint: indexUri, format: 'windingtree' }]);
+    }
+    const contents = serializeCanonically(finalOrgJson);
+    const orgJsonUri = await adapter.upload(contents);
+    const orgJsonHash = this.web3Utils.getSoliditySha3Hash(contents);
+    return {
+      orgJsonUri: orgJsonUri,
+      orgJsonHash: orgJsonHash,
+      transactionPlan: await this.createAndAddOrganization({
+        orgJsonUri: orgJsonUri,
+        orgJsonHash: orgJsonHash,
+        owner: owner,
+      }, directory.address),
     };
+  }
+
+  // Falls back to the shared configuration just like `StoragePointer` does
+  _getOffChainDataClient () {
+    return this.offChainDataClient || OffChainDataClient;
+  }
+
+  _getAdapterSchema (schema) {
+    if (schema) {
+      return schema;
+    }
+    const configured = this._getOffChainDataClient().getAdapterSchemas();
+    if (configured.length !== 1) {
+      throw new InputDataError('Cannot onboard Organization: Missing adapter');
+    }
+    return configured[0];
+  }
+
+  // Uploads documents depth-first, so every document already contains
+  // URIs of its subdocuments when it is uploaded
+  async _uploadDocuments (adapter, data) {
+    if (Array.isArray(data)) {
+      const result = [];
+      for (const item of data) {
+        result.push(await this._uploadDocuments(adapter, item));
+      }
+      return result;
+    }
+    if (!data || typeof data !== 'object') {
+      return data;
+    }
+    const result = {};
+    for (const key of Object.keys(data)) {
+      result[key] = await this._uploadDocuments(adapter, data[key]);
+      if (key.match(/Uri$/) && result[key] && typeof result[key] === 'object') {
+        result[key] = await adapter.upload(serializeCanonically(result[key]));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Finds the address of the new organization in the `OrganizationCreated`
+   * event emitted by this factory. Other events of the transaction
+   * (i. e. of proxies or directories) are ignored regardless of their order.
+   *
+   * @param  {Object} receipt of the transaction
+   * @throws {OrganizationCreationError} When the event is missing or invalid
+   * @return {string} address of the organization
+   */
+  _getCreatedOrganizationAddress (receipt) {
+    if (!receipt) {
+      throw new OrganizationCreationError('Cannot resolve created Organization: Missing receipt', receipt);
+    }
+    const createdEvent = this.web3Contracts.decodeLogs(receipt.logs || []).find((e) => {
+      return e.event === 'OrganizationCreated' && e.address && e.address.toLowerCase() === this.address.toLowerCase();
+    });
+    if (!createdEvent) {
+      throw new OrganizationCreationError(`Cannot resolve created Organization: No OrganizationCreated event of factory ${this.address} in transaction ${receipt.transactionHash}`, receipt);
+    }
+    const attribute = createdEvent.attributes.find((a) => a.name === 'organization');
+    const orgAddress = attribute && attribute.value;
+    if (!Web3Utils.isAddress(orgAddress) || Web3Utils.toBN(orgAddress).isZero()) {
+      throw new OrganizationCreationError(`Cannot resolve created Organization: Invalid address ${orgAddress} in OrganizationCreated event`, receipt);
+    }
+    return orgAddress;
+  }
+
+  async _callContract (contractMethod, caller, stepId, expectedEvents) {
     let resolveOrgPromise, rejectOrgPromise;
     const orgPromise = new Promise((resolve, reject) => {
       resolveOrgPromise = resolve;
       rejectOrgPromise = reject;
     });
-    return {
-      transactionData: transactionData,
-      organization: orgPromise,
-      eventCallbacks: {
-        onReceipt: (receipt) => {
-          try {
-            const decodedLogs = OnChainDataClient.web3Contracts.decodeLogs(receipt.logs);
-            const orgAddress = decodedLogs[1].attributes[0].value;
-            const organization = UpdateableOnChainOrganization.createInstance(this.web3Utils, this.web3Contracts, orgAddress);
-            resolveOrgPromise(organization);
-          } catch (err) {
-            rejectOrgPromise(err);
-          }
-        },
+    const transaction = await this.web3Utils.prepareTransaction(contractMethod, caller, this.address, {
+      onReceipt: (receipt) => {
+        try {
+          const orgAddress = this._getCreatedOrganizationAddress(receipt);
+          const organization = UpdateableOnChainOrganization.createInstance(this.web3Utils, this.web3Contracts, orgAddress, this.offChainDataClient);
+          resolveOrgPromise(organization);
+        } catch (err) {
+          rejectOrgPromise(err);
+        }
       },
-    };
+      // web3 does not fire the receipt event for reverted transactions
+      onError: (err) => {
+        rejectOrgPromise(new OrganizationCreationError(`Cannot create Organization: ${err.message}`, undefined, err));
+      },
+    });
+    // Callers that never wait for the organization should not end up
+    // with an unhandled rejection when the transaction fails
+    orgPromise.catch(() => {});
+    return TransactionPlan.createInstance(this.web3Utils, this.web3Contracts, [
+      Object.assign({ id: stepId, expectedEvents: expectedEvents }, transaction),
+    ], {
+      organization: orgPromise,
+    });
   }
 }
 
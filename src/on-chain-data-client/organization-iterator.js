@@ -0,0 +1,114 @@
+import { InputDataError } from './errors';
+
+/**
+ * Calls async `fn` with every item, at most `concurrency` at once,
+ * and resolves with the results in the order of `items`.
+ *
+ * @param  {Array} items
+ * @param  {number} concurrency
+ * @param  {function} fn
+ * @return {Promise<Array>}
+ */
+export async function mapInChunks (items, concurrency, fn) {
+  let results = [];
+  for (let i = 0; i < items.length; i += concurrency) {
+    const chunk = items.slice(i, i + concurrency);
+    results = results.concat(await Promise.all(chunk.map((item) => fn(item))));
+  }
+  return results;
+}
+
+/**
+ * Async iterator over organizations of a `SegmentDirectory`, see
+ * `SegmentDirectory.iterateOrganizations`.
+ *
+ * - `cursor` - index of the next organization that was not yielded yet,
+ * use it as `startIndex` to resume the iteration
+ * - `totalCount` - number of positions in the directory (including
+ * removed organizations), available after the first page is loaded
+ * or after calling `getTotalCount`
+ */
+export class OrganizationIterator {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {SegmentDirectory} directory
+   * @param  {Object} options `{pageSize, startIndex, concurrency, prefetch}`
+   * @throws {InputDataError} When options are invalid
+   * @return {OrganizationIterator}
+   */
+  static createInstance (directory, options) {
+    return new OrganizationIterator(directory, options);
+  }
+
+  constructor (directory, options) {
+    options = options || {};
+    for (const option of ['pageSize', 'startIndex', 'concurrency']) {
+      if (options[option] !== undefined && !(Number.isInteger(options[option]) && options[option] > 0)) {
+        throw new InputDataError(`Cannot iterate organizations: ${option} has to be a positive integer`);
+      }
+    }
+    this.directory = directory;
+    this.pageSize = options.pageSize || 50;
+    this.concurrency = options.concurrency || this.pageSize;
+    this.prefetch = options.prefetch || [];
+    // Zeroeth position is reserved as empty during index deployment
+    this.cursor = options.startIndex || 1;
+    this.totalCount = undefined;
+    this._nextPageIndex = this.cursor;
+    this._buffer = [];
+  }
+
+  [Symbol.asyncIterator] () {
+    return this;
+  }
+
+  /**
+   * Reads the current number of positions in the directory.
+   *
+   * @return {Promise<number>}
+   */
+  async getTotalCount () {
+    const directory = await this.directory._getDeployedDirectory();
+    this.totalCount = parseInt(await directory.methods.getOrganizationsLength().call({}, this.directory.blockNumber), 10) - 1;
+    return this.totalCount;
+  }
+
+  async _loadPage () {
+    const directory = await this.directory._getDeployedDirectory();
+    const indices = [];
+    for (let i = this._nextPageIndex; i < Math.min(this._nextPageIndex + this.pageSize, this.totalCount + 1); i++) {
+      indices.push(i);
+    }
+    const addresses = await mapInChunks(indices, this.concurrency, (index) => directory.methods.organizations(index).call({}, this.directory.blockNumber));
+    const entries = indices
+      .map((index, i) => ({ index: index, address: addresses[i] }))
+      .filter((e) => !this.directory.web3Utils.isZeroAddress(e.address));
+    const organizations = await this.directory._getPrefetchedOrganizations(entries.map((e) => e.address), this.prefetch);
+    this._nextPageIndex += indices.length;
+    this._buffer = entries
+      .map((e, i) => ({ index: e.index, organization: organizations[i] }))
+      .filter((e) => !(e.organization instanceof Error));
+  }
+
+  /**
+   * Async iterator protocol.
+   *
+   * @return {Promise<Object>} `{done, value}` where `value` is an `OnChainOrganization`
+   */
+  async next () {
+    while (!this._buffer.length) {
+      // Directory can grow during the iteration
+      if (this._nextPageIndex > await this.getTotalCount()) {
+        this.cursor = this._nextPageIndex;
+        return { done: true, value: undefined };
+      }
+      await this._loadPage();
+    }
+    const item = this._buffer.shift();
+    this.cursor = this._buffer.length ? this._buffer[0].index : this._nextPageIndex;
+    return { done: false, value: item.organization };
+  }
+}
+
+export default OrganizationIterator;
@@ -1,6 +1,30 @@
+import Web3Utils from 'web3-utils';
 import RemotelyBackedDataset from './remotely-backed-dataset';
 import StoragePointer from './storage-pointer';
-import { SmartContractInstantiationError } from './errors';
+import EventWatcher from './event-watcher';
+import { ORGANIZATION_INTERFACES } from './contracts';
+import { InputDataError, SignatureVerificationError, SmartContractInstantiationError } from './errors';
+
+/**
+ * On-chain fields that can be read in bulk for many organizations
+ * (see `SegmentDirectory.getOrganizations`) and contract methods that
+ * return them.
+ */
+export const PREFETCHABLE_FIELDS = {
+  orgJsonUri: 'getOrgJsonUri',
+  orgJsonHash: 'getOrgJsonHash',
+  owner: 'owner',
+  associatedKeys: 'getAssociatedKeys',
+};
+
+// Organization contract events and on-chain fields they change
+const WATCHED_EVENTS = {
+  OrgJsonUriChanged: { signature: 'OrgJsonUriChanged(string,string)', fields: ['_orgJsonUri'] },
+  OrgJsonHashChanged: { signature: 'OrgJsonHashChanged(bytes32,bytes32)', fields: ['_orgJsonHash'] },
+  OwnershipTransferred: { signature: 'OwnershipTransferred(address,address)', fields: ['_owner'] },
+  AssociatedKeyAdded: { signature: 'AssociatedKeyAdded(address,uint256)', fields: ['_associatedKeys'] },
+  AssociatedKeyRemoved: { signature: 'AssociatedKeyRemoved(address)', fields: ['_associatedKeys'] },
+};
 
 /**
  * Wrapper class for an organization backed by a smart contract on
@@ -13,16 +37,22 @@ import { SmartContractInstantiationError } from './errors';
  * Every schema-specific implementation details
  * are dealt with in StoragePointer.
  *
+ * With `{ blockNumber }` context, the on-chain fields are read
+ * as they were at that block. The off-chain data is always
+ * the current one.
+ *
  */
 export class OnChainOrganization {
-  constructor (web3Utils, web3Contracts, address) {
+  constructor (web3Utils, web3Contracts, address, offChainDataClient, context) {
     this.address = address;
     this.web3Utils = web3Utils;
     this.web3Contracts = web3Contracts;
+    this.offChainDataClient = offChainDataClient;
+    this.blockNumber = (context && context.blockNumber !== undefined) ? context.blockNumber : 'latest';
   }
 
-  static createInstance (web3Utils, web3Contracts, address) {
-    const org = new OnChainOrganization(web3Utils, web3Contracts, address);
+  static createInstance (web3Utils, web3Contracts, address, offChainDataClient, context) {
+    const org = new OnChainOrganization(web3Utils, web3Contracts, address, offChainDataClient, context);
     org.initialize();
     return org;
   }
@@ -39,22 +69,22 @@ export class OnChainOrganization {
       fields: {
         _orgJsonUri: {
           remoteGetter: async () => {
-            return (await this._getContractInstance()).methods.getOrgJsonUri().call();
+            return (await this._getContractInstance()).methods.getOrgJsonUri().call({}, this.blockNumber);
           },
         },
         _orgJsonHash: {
           remoteGetter: async () => {
-            return (await this._getContractInstance()).methods.getOrgJsonHash().call();
+            return (await this._getContractInstance()).methods.getOrgJsonHash().call({}, this.blockNumber);
           },
         },
         _owner: {
           remoteGetter: async () => {
-            return (await this._getContractInstance()).methods.owner().call();
+            return (await this._getContractInstance()).methods.owner().call({}, this.blockNumber);
           },
         },
         _associatedKeys: {
           remoteGetter: async () => {
-            return (await this._getContractInstance()).methods.getAssociatedKeys().call();
+            return (await this._getContractInstance()).methods.getAssociatedKeys().call({}, this.blockNumber);
           },
         },
       },
@@ -65,6 +95,20 @@ export class OnChainOrganization {
     }
   }
 
+  /**
+   * Fills the on-chain fields with values read elsewhere, so they
+   * are not read again.
+   *
+   * @param  {Object} data with any of `PREFETCHABLE_FIELDS` as keys
+   */
+  setOnChainData (data) {
+    const remoteData = {};
+    for (const field of Object.keys(data)) {
+      remoteData[`_${field}`] = data[field];
+    }
+    this.onChainDataset.setRemoteData(remoteData);
+  }
+
   /**
    * Async getter for `StoragePointer` instance.
    * Since it has to eventually access the `orgJsonUri`
@@ -75,7 +119,7 @@ export class OnChainOrganization {
       if (!this._orgJson) {
         // we leverage StoragePointer to make this work with various off-chain storages
         // no direct linked subdocuments though for now
-        this._orgJson = StoragePointer.createInstance(await this.orgJsonUri, {});
+        this._orgJson = StoragePointer.createInstance(await this.orgJsonUri, {}, this.offChainDataClient);
       }
       return this._orgJson;
     })();
@@ -137,6 +181,25 @@ export class OnChainOrganization {
     return hash === await this.orgJsonHash;
   }
 
+  /**
+   * Detects which organization interfaces (see ERC-165) the contract
+   * supports, i. e. `{ erc165: true, owner: true, associatedKeys: true, orgJson: true, organization: true }`.
+   * A contract without ERC-165 support does not support anything.
+   *
+   * @return {Promise<Object>} Interface names mapped to booleans
+   */
+  async getSupportedInterfaces () {
+    const names = Object.keys(ORGANIZATION_INTERFACES);
+    const supportsErc165 = await this.web3Contracts.supportsErc165(this.address, this.blockNumber);
+    const supported = await Promise.all(names.map((name) => {
+      return supportsErc165 && this.web3Contracts.supportsInterface(this.address, ORGANIZATION_INTERFACES[name], this.blockNumber);
+    }));
+    return names.reduce((result, name, i) => {
+      result[name] = !!supported[i];
+      return result;
+    }, {});
+  }
+
   /**
    * Helper method that transforms the whole Organization into a sync simple
    * JavaScript object only with data properties.
@@ -192,12 +255,12 @@ export class OnChainOrganization {
                 descriptionUri: { required: true },
                 ratePlansUri: { required: false },
                 availabilityUri: { required: false },
-              }));
+              }, this.offChainDataClient));
             } else if (segment === 'airline') {
               ret.airline.push(StoragePointer.createInstance(a.entrypoint, {
                 descriptionUri: { required: true },
                 flightsUri: { required: false, children: { items: { children: { flightInstancesUri: { required: false } } } } },
-              }));
+              }, this.offChainDataClient));
             }
           });
       }
@@ -205,6 +268,71 @@ export class OnChainOrganization {
     return ret;
   }
 
+  /**
+   * Keeps the organization up to date by watching its contract events
+   * (see `SegmentDirectory.watch` for `options`). When `orgJsonUri`,
+   * `orgJsonHash`, owner or associated keys change, the affected on-chain
+   * fields are read again upon the next access. A changed `orgJsonUri`
+   * or `orgJsonHash` also drops the downloaded ORG.JSON. The `listener`
+   * is called with every event once the data is invalidated.
+   *
+   * Only changes made after the watching started are picked up unless
+   * `fromBlock` or `cursor` is given.
+   *
+   * @param  {function} listener optional
+   * @param  {Object} options `{pollInterval, confirmations, fromBlock, cursor, chunkSize, onError}`
+   * @throws {InputDataError} When the organization is read at a past block
+   * or when listener or options are invalid
+   * @return {EventWatcher} with `unsubscribe` method
+   */
+  watch (listener, options) {
+    if (this.blockNumber !== 'latest') {
+      throw new InputDataError(`Cannot watch Organization at ${this.address}: It is read at block ${this.blockNumber}`);
+    }
+    if (listener !== undefined && typeof listener !== 'function') {
+      throw new InputDataError(`Cannot watch Organization at ${this.address}: listener has to be a function`);
+    }
+    return EventWatcher.createInstance(this, async (event, cursor) => {
+      await this._invalidate(event);
+      if (listener) {
+        await listener(event, cursor);
+      }
+    }, options).start();
+  }
+
+  async _invalidate (event) {
+    this.onChainDataset.invalidate(WATCHED_EVENTS[event.event].fields);
+    if (event.event === 'OrgJsonUriChanged') {
+      this._orgJson = undefined;
+    } else if (event.event === 'OrgJsonHashChanged' && this._orgJson) {
+      await this._orgJson.reset();
+    }
+  }
+
+  // Reads events of `WATCHED_EVENTS` in chronological order
+  async _getEvents (fromBlock, toBlock, chunkSize) {
+    const logs = await this.web3Utils.getPastLogsInChunks({
+      address: this.address,
+      topics: [Object.keys(WATCHED_EVENTS).map((name) => Web3Utils.sha3(WATCHED_EVENTS[name].signature))],
+      fromBlock: fromBlock,
+      toBlock: toBlock,
+    }, chunkSize);
+    logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    return logs.map((log) => {
+      const decoded = this.web3Contracts.decodeLogs([log])[0];
+      const event = {
+        event: decoded.event,
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+      };
+      for (const attribute of decoded.attributes) {
+        event[attribute.name] = attribute.value;
+      }
+      return event;
+    });
+  }
+
   async _getContractInstance () {
     if (!this.address) {
       throw new SmartContractInstantiationError('Cannot get Organization instance without address');
@@ -217,7 +345,51 @@ export class OnChainOrganization {
 
   async hasAssociatedKey (associatedAddress, transactionOptions = {}) {
     const contract = await this._getContractInstance();
-    return contract.methods.hasAssociatedKey(associatedAddress).call(transactionOptions);
+    return contract.methods.hasAssociatedKey(associatedAddress).call(transactionOptions, this.blockNumber);
+  }
+
+  /**
+   * Verifies that `serializedData` was signed either by the owner
+   * or by one of the associated keys of the organization. The keys
+   * are always read from the contract, so a revoked key is not accepted.
+   *
+   * @param {string} serializedData String data that were signed
+   * @param {string} signature Strictly hex encoded (starting with 0x) signature of `serializedData`
+   * @param {number|string} blockNumber to check the keys at, defaults to the block
+   * the organization is pinned to (`latest` by default)
+   * @throws {InputDataError} When `serializedData` is missing
+   * @throws {SignatureVerificationError} When the signature is invalid or the signer
+   * is neither the owner nor an associated key
+   * @return {Promise<Object>} `{ signer, role }` where role is `owner` or `associatedKey`
+   */
+  async verifySignature (serializedData, signature, blockNumber) {
+    if (!serializedData) {
+      throw new InputDataError('Cannot verify signature: serializedData is missing');
+    }
+    if (!signature || !Web3Utils.isHexStrict(signature)) {
+      throw new SignatureVerificationError('Cannot verify signature: signature is either missing or not hex encoded with 0x prefix');
+    }
+    let signer;
+    try {
+      signer = this.web3Utils.recoverSigner(serializedData, signature);
+    } catch (e) {
+      throw new SignatureVerificationError(`Cannot verify signature: ${e.message}`, undefined, e);
+    }
+    if (blockNumber === undefined) {
+      blockNumber = this.blockNumber;
+    }
+    const contract = await this._getContractInstance();
+    const [owner, isAssociatedKey] = await Promise.all([
+      contract.methods.owner().call({}, blockNumber),
+      contract.methods.hasAssociatedKey(signer).call({}, blockNumber),
+    ]);
+    if (owner && owner.toLowerCase() === signer.toLowerCase()) {
+      return { signer: signer, role: 'owner' };
+    }
+    if (isAssociatedKey) {
+      return { signer: signer, role: 'associatedKey' };
+    }
+    throw new SignatureVerificationError(`Cannot verify signature: ${signer} is neither the owner nor an associated key of ${this.address}`, signer);
   }
 }
 
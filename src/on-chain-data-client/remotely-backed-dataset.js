@@ -209,13 +209,49 @@ export class RemotelyBackedDataset {
             }
           }
         } catch (err) {
-          throw new RemoteDataReadError('Cannot sync remote data: ' + err.message);
+          throw new RemoteDataReadError('Cannot sync remote data: ' + err.message, err);
         }
       })();
     }
     return this._syncing;
   }
 
+  /**
+   * Sets data that were read from the remote storage elsewhere
+   * (i. e. in bulk for many datasets), so they do not have to be
+   * fetched again. Locally modified fields keep their values.
+   *
+   * @param  {Object} data `{[field]: value}`
+   */
+  setRemoteData (data) {
+    for (const field of Object.keys(data)) {
+      if (this._fieldKeys.indexOf(field) === -1) {
+        continue;
+      }
+      this._remoteData[field] = data[field];
+      if (this._fieldStates[field] !== 'dirty') {
+        this._localData[field] = data[field];
+        this._fieldStates[field] = 'synced';
+      }
+    }
+  }
+
+  /**
+   * Marks fields as unsynced, so they are read from the remote
+   * storage again upon the next access. Useful when the remote data is
+   * known to have changed. Locally modified fields keep their values.
+   *
+   * @param  {Array<string>} fields defaults to all fields
+   */
+  invalidate (fields) {
+    for (const field of (fields || this._fieldKeys)) {
+      if (this._fieldKeys.indexOf(field) > -1 && this._fieldStates[field] !== 'dirty') {
+        this._fieldStates[field] = 'unsynced';
+      }
+    }
+    this._syncing = undefined;
+  }
+
   /**
    * Returns field's current state.
    *
@@ -1,20 +1,34 @@
+import Web3Utils from 'web3-utils';
 import { WTLibsError } from '../errors';
-import { InputDataError, OrganizationNotFoundError, OrganizationNotInstantiableError } from './errors';
-import OnChainOrganization from './organization';
+import {
+  InputDataError,
+  OrganizationNotFoundError,
+  OrganizationNotInstantiableError,
+  SmartContractInstantiationError,
+} from './errors';
+import OnChainOrganization, { PREFETCHABLE_FIELDS } from './organization';
+import TransactionPlan from './transaction-plan';
+import OrganizationIterator, { mapInChunks } from './organization-iterator';
+import EventWatcher from './event-watcher';
 
 /**
  * Wrapper class for a SegmentDirectory smart contract. Allows you to
  * add and remove organizations from this directory.
+ *
+ * With `{ blockNumber }` context, the directory and all organizations
+ * obtained from it are read as they were at that block.
  */
 export class SegmentDirectory {
-  static createInstance (address, web3Utils, web3Contracts) {
-    return new SegmentDirectory(address, web3Utils, web3Contracts);
+  static createInstance (address, web3Utils, web3Contracts, offChainDataClient, context) {
+    return new SegmentDirectory(address, web3Utils, web3Contracts, offChainDataClient, context);
   }
 
-  constructor (address, web3Utils, web3Contracts) {
+  constructor (address, web3Utils, web3Contracts, offChainDataClient, context) {
     this.address = address;
     this.web3Utils = web3Utils;
     this.web3Contracts = web3Contracts;
+    this.offChainDataClient = offChainDataClient;
+    this.blockNumber = (context && context.blockNumber !== undefined) ? context.blockNumber : 'latest';
   }
 
   async _getDeployedDirectory () {
@@ -25,9 +39,8 @@ export class SegmentDirectory {
   }
 
   /**
-   * Generates transaction data required for adding an organization
-   * and more metadata required for sucessful mining of that transaction.
-   * Does not sign or send the transaction.
+   * Prepares a `TransactionPlan` that adds an organization
+   * to this directory. Does not sign or send the transaction.
    *
    * @throws {InputDataError} When orgData does not contain address property.
    * @throws {InputDataError} When orgData does not contain a owner property.
@@ -43,30 +56,20 @@ export class SegmentDirectory {
     }
     try {
       const directory = await this._getDeployedDirectory();
-      const data = directory.methods.add(orgData.address).encodeABI();
-      const estimate = directory.methods.add(orgData.address).estimateGas({ from: orgOwner });
-      const transactionData = {
-        nonce: await this.web3Utils.determineCurrentAddressNonce(orgOwner),
-        data: data,
-        from: orgOwner,
-        to: this.address,
-        gas: this.web3Utils.applyGasModifier(await estimate),
-      };
-      return {
-        transactionData: transactionData,
-        eventCallbacks: {
-          onReceipt: () => {}, // use empty callback to ensure consistent behaviour of all tx methods
-        },
-      };
+      const transaction = await this.web3Utils.prepareTransaction(directory.methods.add(orgData.address), orgOwner, this.address, {
+        onReceipt: () => {}, // use empty callback to ensure consistent behaviour of all tx methods
+      });
+      return TransactionPlan.createInstance(this.web3Utils, this.web3Contracts, [
+        Object.assign({ id: 'add', expectedEvents: ['OrganizationAdded'] }, transaction),
+      ]);
     } catch (err) {
       throw new WTLibsError(`Cannot add Organization: ${err.message}`, err);
     }
   }
 
   /**
-   * Generates transaction data required for removing an organization
-   * and more metadata required for successful mining of that transaction.
-   * Does not sign or send the transaction.
+   * Prepares a `TransactionPlan` that removes an organization
+   * from this directory. Does not sign or send the transaction.
    *
    * @throws {InputDataError} When organization does not contain address property.
    * @throws {InputDataError} When organization does not contain a owner property.
@@ -82,21 +85,12 @@ export class SegmentDirectory {
     }
     try {
       const directory = await this._getDeployedDirectory();
-      const data = directory.methods.remove(orgData.address).encodeABI();
-      const estimate = directory.methods.remove(orgData.address).estimateGas({ from: orgOwner });
-      const transactionData = {
-        nonce: await this.web3Utils.determineCurrentAddressNonce(orgOwner),
-        data: data,
-        from: orgOwner,
-        to: this.address,
-        gas: this.web3Utils.applyGasModifier(await estimate),
-      };
-      return {
-        transactionData: transactionData,
-        eventCallbacks: {
-          onReceipt: () => {}, // use empty callback to ensure consistent behaviour of all tx methods
-        },
-      };
+      const transaction = await this.web3Utils.prepareTransaction(directory.methods.remove(orgData.address), orgOwner, this.address, {
+        onReceipt: () => {}, // use empty callback to ensure consistent behaviour of all tx methods
+      });
+      return TransactionPlan.createInstance(this.web3Utils, this.web3Contracts, [
+        Object.assign({ id: 'remove', expectedEvents: ['OrganizationRemoved'] }, transaction),
+      ]);
     } catch (err) {
       throw new WTLibsError(`Cannot remove Organization: ${err.message}`, err);
     }
@@ -124,7 +118,9 @@ export class SegmentDirectory {
       throw new OrganizationNotFoundError(`Cannot find Organization at ${address}: Not found in Organization list`);
     } else {
       try {
-        return OnChainOrganization.createInstance(this.web3Utils, this.web3Contracts, address);
+        return OnChainOrganization.createInstance(this.web3Utils, this.web3Contracts, address, this.offChainDataClient, {
+          blockNumber: this.blockNumber,
+        });
       } catch (err) {
         throw new OrganizationNotInstantiableError(`Cannot instantiate Organization at ${address}: ${err.message}`, err);
       }
@@ -133,12 +129,12 @@ export class SegmentDirectory {
 
   async getOrganizationIndex (address) {
     const directory = await this._getDeployedDirectory();
-    return parseInt(await directory.methods.organizationsIndex(address).call(), 10);
+    return parseInt(await directory.methods.organizationsIndex(address).call({}, this.blockNumber), 10);
   }
 
   async getOrganizationByIndex (organizationIndex) {
     const directory = await this._getDeployedDirectory();
-    const address = await directory.methods.organizations(organizationIndex).call();
+    const address = await directory.methods.organizations(organizationIndex).call({}, this.blockNumber);
     return this.getOrganization(address);
   }
 
@@ -146,35 +142,295 @@ export class SegmentDirectory {
    * Returns a list of all organizations. It will filter out
    * every organization that is inaccessible for any reason.
    *
-   * Currently any inaccessible organization is silently ignored.
-   * Subject to change.
+   * Any inaccessible organization is silently ignored, use
+   * `getOrganizationsReport` to find out what went wrong.
+   *
+   * With `prefetch` option (a list of `orgJsonUri`, `orgJsonHash`, `owner`
+   * and `associatedKeys`), the selected fields of all organizations are
+   * read at once in a single batch request and the organizations are
+   * returned already synced. The per-organization `organizationsIndex`
+   * lookup is skipped in that case.
+   *
+   * @param  {Object} options `{prefetch: Array<string>}`
+   * @throws {InputDataError} When an unknown field should be prefetched
+   * @return {Promise<Array<OnChainOrganization>>}
+   */
+  async getOrganizations (options) {
+    return (await this.getOrganizationsReport(options)).organizations;
+  }
+
+  /**
+   * Works as `getOrganizations`, but also reports organizations
+   * that were left out because they are inaccessible.
+   *
+   * Every rejected organization is described with its `address`,
+   * `index` in the directory, the `error` itself, `errorType` (name of
+   * the error class, such as `OrganizationNotFoundError` or
+   * `SmartContractInstantiationError`) and `transient` flag telling
+   * whether the failure was likely caused by a network or node issue,
+   * so trying again later might help.
+   *
+   * @param  {Object} options same as in `getOrganizations`
+   * @throws {InputDataError} When an unknown field should be prefetched
+   * @return {Promise<Object>} `{organizations, rejected}`
    */
-  async getOrganizations () {
+  async getOrganizationsReport (options) {
+    const prefetch = options && options.prefetch;
+    this._checkPrefetch(prefetch);
     const directory = await this._getDeployedDirectory();
-    const orgAddressList = await directory.methods.getOrganizations().call();
-    const getOrgDetails = orgAddressList
+    const entries = (await directory.methods.getOrganizations().call({}, this.blockNumber))
+      .map((address, index) => ({ address, index }))
       // Filtering null addresses beforehand improves efficiency
-      .filter((addr) => !this.web3Utils.isZeroAddress(addr))
-      .map((addr) => {
-        return this.getOrganization(addr) // eslint-disable-line promise/no-nesting
-          // We don't really care why the organization is inaccessible
-          // and we need to catch exceptions here on each individual organization
-          .catch((err) => { // eslint-disable-line
-            return null;
-          });
+      .filter((e) => !this.web3Utils.isZeroAddress(e.address));
+    let results;
+    if (prefetch) {
+      results = await this._getPrefetchedOrganizations(entries.map((e) => e.address), prefetch);
+    } else {
+      results = await Promise.all(entries.map((e) => {
+        return this.getOrganization(e.address) // eslint-disable-line promise/no-nesting
+          // We need to catch exceptions here on each individual organization
+          .catch((err) => (err instanceof Error ? err : new WTLibsError(`Cannot get Organization at ${e.address}: ${err}`)));
+      }));
+    }
+    const report = {
+      organizations: [],
+      rejected: [],
+    };
+    for (let i = 0; i < entries.length; i++) {
+      if (!(results[i] instanceof Error)) {
+        report.organizations.push(results[i]);
+        continue;
+      }
+      report.rejected.push({
+        address: entries[i].address,
+        index: entries[i].index,
+        error: results[i],
+        errorType: results[i].name,
+        transient: this.web3Utils.isTransientError(results[i]),
       });
-    const orgDetails = await (Promise.all(getOrgDetails));
-    return (orgDetails.filter(a => a != null));
+    }
+    return report;
+  }
+
+  /**
+   * Returns an async iterator over organizations in the order of
+   * their index in the directory. Organizations are loaded page by page
+   * (`pageSize`, defaults to 50), with at most `concurrency` (defaults
+   * to `pageSize`) requests at once. Removed and inaccessible organizations
+   * are skipped. Fields listed in `prefetch` are read in bulk for every
+   * page (see `getOrganizations`).
+   *
+   * The iteration can be resumed later with `startIndex` set to
+   * the `cursor` of the iterator.
+   *
+   * ```
+   * const iterator = directory.iterateOrganizations({ pageSize: 100 });
+   * for await (const organization of iterator) {
+   *   // iterator.cursor is the index to start from next time
+   * }
+   * ```
+   *
+   * @param  {Object} options `{pageSize, startIndex, concurrency, prefetch}`
+   * @throws {InputDataError} When options are invalid
+   * @return {OrganizationIterator}
+   */
+  iterateOrganizations (options) {
+    options = options || {};
+    this._checkPrefetch(options.prefetch);
+    return OrganizationIterator.createInstance(this, options);
+  }
+
+  /**
+   * Calls `callback` with every `OrganizationAdded` and `OrganizationRemoved`
+   * event of this directory (in the same form as in `getHistory`) once it
+   * has `confirmations` (defaults to 0) confirmations. New events are
+   * looked for every `pollInterval` ms (defaults to 15 s) with plain log
+   * queries, so no subscription support is needed from the provider.
+   *
+   * Every event is delivered exactly once. When the callback returns
+   * a promise, it is awaited before the next event is delivered. The
+   * callback also gets a cursor (`{blockNumber, logIndex}`), store it
+   * together with the event and pass it as `cursor` to resume after
+   * a restart without missing or repeating any event. Watching can also start at a block number with `fromBlock`.
+   * Without either, only events from blocks that are not confirmed yet
+   * are delivered.
+   *
+   * Errors thrown by the callback and failures to read the events are
+   * passed to `onError` and retried with the next poll. No other event
+   * is delivered until the failed one is processed.
+   *
+   * ```
+   * const watcher = directory.watch(async (event, cursor) => {
+   *   await db.save(event, cursor);
+   * }, { confirmations: 12, cursor: await db.getCursor() });
+   * // later
+   * watcher.unsubscribe();
+   * ```
+   *
+   * @param  {function} callback
+   * @param  {Object} options `{pollInterval, confirmations, fromBlock, cursor, chunkSize, onError}`
+   * @throws {InputDataError} When callback or options are invalid
+   * @return {EventWatcher} with `unsubscribe` method
+   */
+  watch (callback, options) {
+    return EventWatcher.createInstance(this, callback, options).start();
+  }
+
+  _checkPrefetch (prefetch) {
+    const unknownField = prefetch && prefetch.find((field) => !PREFETCHABLE_FIELDS[field]);
+    if (unknownField) {
+      throw new InputDataError(`Cannot prefetch unknown field: ${unknownField}`);
+    }
+  }
+
+  // Returns organizations for given addresses, errors for those that are inaccessible
+  async _getPrefetchedOrganizations (addresses, fields) {
+    const values = fields.length
+      ? await this.web3Contracts.readOrganizations(addresses, fields.map((field) => PREFETCHABLE_FIELDS[field]), this.blockNumber)
+      : addresses.map(() => ({}));
+    return addresses.map((address, i) => {
+      const data = {};
+      for (const field of fields) {
+        data[field] = values[i][PREFETCHABLE_FIELDS[field]];
+      }
+      const failedField = Object.keys(data).find((field) => data[field] instanceof Error);
+      if (failedField) {
+        const err = data[failedField];
+        // Empty result means there is no contract on the address
+        if (err.message.match(/Returned values aren't valid/i)) {
+          return new SmartContractInstantiationError(`Cannot read Organization at ${address}: ${err.message}`, err);
+        }
+        return err;
+      }
+      try {
+        const organization = OnChainOrganization.createInstance(this.web3Utils, this.web3Contracts, address, this.offChainDataClient, {
+          blockNumber: this.blockNumber,
+        });
+        organization.setOnChainData(data);
+        return organization;
+      } catch (err) {
+        return new OrganizationNotInstantiableError(`Cannot instantiate Organization at ${address}: ${err.message}`, err);
+      }
+    });
+  }
+
+  /**
+   * Reconstructs the membership history of this directory from its
+   * `OrganizationAdded` and `OrganizationRemoved` events. Blocks are
+   * scanned in chunks of `chunkSize` blocks (defaults to 5000), as nodes
+   * usually limit the range of a single logs query. Transactions and blocks
+   * of the events are then read with at most `concurrency` (defaults to 10)
+   * requests at once.
+   *
+   * Every event contains `event` name, `organization` address, `index`
+   * (for additions), `blockNumber`, block `timestamp`, `transactionHash`
+   * and `by`, the address that sent the transaction.
+   *
+   * Every organization is described by `address`, `isMember` flag,
+   * `memberSince` (the addition event it is a member since, if it
+   * is a member) and all of its `events`. Only events within the scanned
+   * range are considered, so scan from the directory deployment
+   * to get complete results.
+   *
+   * @param  {Object} options `{fromBlock, toBlock, chunkSize, concurrency}`, `fromBlock`
+   * defaults to 0 and `toBlock` to the block this directory is read at
+   * (the latest one by default).
+   * @throws {InputDataError} When the block range is invalid
+   * @throws {WTLibsError} When the events cannot be read
+   * @return {Promise<Object>} `{events, organizations}` where `events` are
+   * in chronological order and `organizations` are keyed by address.
+   */
+  async getHistory (options) {
+    options = options || {};
+    const chunkSize = options.chunkSize || 5000;
+    const concurrency = options.concurrency || 10;
+    const fromBlock = options.fromBlock || 0;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new InputDataError('Cannot get directory history: chunkSize has to be a positive integer');
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new InputDataError('Cannot get directory history: concurrency has to be a positive integer');
+    }
+    try {
+      let toBlock = options.toBlock === undefined ? this.blockNumber : options.toBlock;
+      if (toBlock === 'latest') {
+        toBlock = await this.web3Utils.getCurrentBlockNumber();
+      }
+      if (fromBlock > toBlock) {
+        throw new InputDataError(`Cannot get directory history: fromBlock ${fromBlock} is after toBlock ${toBlock}`);
+      }
+      const events = await this._getEvents(fromBlock, toBlock, chunkSize, concurrency);
+      const organizations = {};
+      for (const event of events) {
+        const organization = organizations[event.organization] = organizations[event.organization] || {
+          address: event.organization,
+          isMember: false,
+          memberSince: undefined,
+          events: [],
+        };
+        organization.events.push(event);
+        organization.isMember = event.event === 'OrganizationAdded';
+        organization.memberSince = organization.isMember ? event : undefined;
+      }
+      return {
+        events: events,
+        organizations: organizations,
+      };
+    } catch (err) {
+      if (err instanceof InputDataError) {
+        throw err;
+      }
+      throw new WTLibsError(`Cannot get directory history: ${err.message}`, err);
+    }
+  }
+
+  // Reads `OrganizationAdded` and `OrganizationRemoved` events in chunks
+  // and returns them decoded in chronological order
+  async _getEvents (fromBlock, toBlock, chunkSize, concurrency = 10) {
+    const topics = [[
+      Web3Utils.sha3('OrganizationAdded(address,uint256)'),
+      Web3Utils.sha3('OrganizationRemoved(address)'),
+    ]];
+    const logs = await this.web3Utils.getPastLogsInChunks({
+      address: this.address,
+      topics: topics,
+      fromBlock: fromBlock,
+      toBlock: toBlock,
+    }, chunkSize);
+    logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    const transactionHashes = Array.from(new Set(logs.map((l) => l.transactionHash)));
+    const blockNumbers = Array.from(new Set(logs.map((l) => l.blockNumber)));
+    const transactions = await mapInChunks(transactionHashes, concurrency, (hash) => this.web3Utils.getTransaction(hash));
+    const blocks = await mapInChunks(blockNumbers, concurrency, (number) => this.web3Utils.getBlock(number));
+    return logs.map((log) => {
+      const decoded = this.web3Contracts.decodeLogs([log])[0];
+      const attribute = (name) => {
+        const found = decoded.attributes.find((a) => a.name === name);
+        return found && found.value;
+      };
+      const transaction = transactions[transactionHashes.indexOf(log.transactionHash)];
+      const block = blocks[blockNumbers.indexOf(log.blockNumber)];
+      return {
+        event: decoded.event,
+        organization: attribute('organization'),
+        index: attribute('index'),
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        timestamp: block && block.timestamp,
+        transactionHash: log.transactionHash,
+        by: transaction && transaction.from,
+      };
+    });
   }
 
   async getLifTokenAddress () {
     const index = await this._getDeployedDirectory();
-    return index.methods.getLifToken().call();
+    return index.methods.getLifToken().call({}, this.blockNumber);
   }
 
   async getSegment (transactionOptions = {}) {
     const directory = await this._getDeployedDirectory();
-    return directory.methods.getSegment().call(transactionOptions);
+    return directory.methods.getSegment().call(transactionOptions, this.blockNumber);
   }
 }
 
@@ -1,5 +1,4 @@
 import cloneDeep from 'lodash.clonedeep';
-// TODO replace this with a runtime passed implementation of an interface
 import OffChainDataClient from '../off-chain-data-client';
 
 import { StoragePointerError } from './errors';
@@ -80,9 +79,11 @@ export class StoragePointer {
    *
    * @param {string} uri where to look for data document. It has to include schema, i. e. `https://example.com/data`
    * @param {ChildrenType} children subordinate storage pointers
+   * @param {OffChainDataClient} offChainDataClient used to get the adapters, optional.
+   * If not provided, the shared `OffChainDataClient` configuration is used.
    * @throw {StoragePointerError} if uri is not defined
    */
-  static createInstance (uri, children) {
+  static createInstance (uri, children, offChainDataClient) {
     if (!uri) {
       throw new StoragePointerError('Cannot instantiate StoragePointer without uri');
     }
@@ -98,7 +99,7 @@ export class StoragePointer {
       }
       uniqueFields[fieldName.toLowerCase()] = 1;
     }
-    return new StoragePointer(uri, children);
+    return new StoragePointer(uri, children, offChainDataClient);
   }
 
   /**
@@ -108,12 +109,14 @@ export class StoragePointer {
    *
    * @param {string} uri where to look for the data
    * @param {ChildrenType} children subordinate storage pointers
+   * @param {OffChainDataClient} offChainDataClient used to get the adapters
    */
-  constructor (uri, children) {
+  constructor (uri, children, offChainDataClient) {
     this.ref = uri;
     this._downloaded = false;
     this._data = {};
     this._children = children || [];
+    this._offChainDataClient = offChainDataClient;
   }
 
   get contents () {
@@ -152,11 +155,13 @@ export class StoragePointer {
 
   /**
    * Returns appropriate implementation of `OffChainDataAdapterInterface`
-   * based on schema. Uses `OffChainDataClient.getAdapter` factory method.
+   * based on schema. Uses `getAdapter` factory method of the `OffChainDataClient`
+   * instance passed during creation, or of the shared `OffChainDataClient`.
    */
   _getOffChainDataClient () {
     if (!this._adapter) {
-      this._adapter = OffChainDataClient.getAdapter(this._detectSchema(this.ref));
+      const offChainDataClient = this._offChainDataClient || OffChainDataClient;
+      this._adapter = offChainDataClient.getAdapter(this._detectSchema(this.ref));
     }
     return this._adapter;
   }
@@ -190,7 +195,7 @@ export class StoragePointer {
             if (typeof fieldData[key] !== 'string') {
               throw new StoragePointerError(`Cannot access field '${fieldName}.${key}' which does not appear to be of type string.`);
             }
-            pointers[key] = StoragePointer.createInstance(fieldData[key], fieldDef.children || {});
+            pointers[key] = StoragePointer.createInstance(fieldData[key], fieldDef.children || {}, this._offChainDataClient);
           }
           this._data[fieldName] = pointers;
         }
@@ -201,12 +206,12 @@ export class StoragePointer {
             this._data[fieldName].push(fieldData[i]);
             for (const refName in fieldDef.children) {
               if (!fieldData[i][refName].ref || !fieldData[i][refName].contents) {
-                this._data[fieldName][i][refName] = StoragePointer.createInstance(fieldData[i][refName], fieldDef.children[refName].children);
+                this._data[fieldName][i][refName] = StoragePointer.createInstance(fieldData[i][refName], fieldDef.children[refName].children, this._offChainDataClient);
               }
             }
           }
         } else {
-          this._data[fieldName] = StoragePointer.createInstance(fieldData, fieldDef.children || {});
+          this._data[fieldName] = StoragePointer.createInstance(fieldData, fieldDef.children || {}, this._offChainDataClient);
         }
       }
     }
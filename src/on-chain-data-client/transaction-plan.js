@@ -0,0 +1,144 @@
+import { TransactionPlanError } from './errors';
+
+/**
+ * Describes everything that has to happen on chain for a single
+ * write operation (such as creating or updating an organization).
+ * Every write API returns a plan, nothing is signed or sent
+ * at that point.
+ *
+ * A plan consists of ordered steps, every step holds
+ *
+ * - `id` - name of the step unique within the plan
+ * - `transactionData` - transaction ready to be signed and sent
+ * - `eventCallbacks` - callbacks that apply the post-receipt effects of the step
+ * (such as updating local state of an organization)
+ * - `dependsOn` - list of step ids that have to be mined before this step
+ * - `expectedEvents` - list of events that the mined transaction emits
+ *
+ * Steps can be signed and sent one by one with a `Wallet`, or the whole
+ * plan can be run with `execute`. The outcome of a plan (if any) is
+ * available as `organization`.
+ */
+export class TransactionPlan {
+  /**
+   * Returns an initialized instance
+   *
+   * @param  {Utils} web3Utils
+   * @param  {Contracts} web3Contracts
+   * @param  {Array<Object>} steps
+   * @param  {Object} outcome, currently only `organization` is supported
+   * @return {TransactionPlan}
+   */
+  static createInstance (web3Utils, web3Contracts, steps, outcome) {
+    return new TransactionPlan(web3Utils, web3Contracts, steps, outcome);
+  }
+
+  constructor (web3Utils, web3Contracts, steps, outcome) {
+    this.web3Utils = web3Utils;
+    this.web3Contracts = web3Contracts;
+    this.steps = (steps || []).map((step, i) => {
+      return Object.assign({
+        id: `step-${i}`,
+        dependsOn: [],
+        expectedEvents: [],
+      }, step);
+    });
+    this.organization = outcome && outcome.organization;
+  }
+
+  /**
+   * Shortcut to transaction data of single-step plans.
+   *
+   * @return {TransactionDataInterface|undefined}
+   */
+  get transactionData () {
+    return this.steps.length === 1 ? this.steps[0].transactionData : undefined;
+  }
+
+  /**
+   * Shortcut to event callbacks of single-step plans.
+   *
+   * @return {TransactionCallbacksInterface|undefined}
+   */
+  get eventCallbacks () {
+    return this.steps.length === 1 ? this.steps[0].eventCallbacks : undefined;
+  }
+
+  /**
+   * Releases nonces reserved for all steps, use it when
+   * the plan is not going to be executed.
+   */
+  abandon () {
+    for (const step of this.steps) {
+      this.web3Utils.releaseNonce(step.transactionData.from, step.transactionData.nonce);
+    }
+  }
+
+  /**
+   * Signs and sends all steps one by one with given wallet. Every step
+   * is sent only after the previous one is mined. When a step fails
+   * (or does not emit all expected events), the following steps are
+   * skipped and their nonces are released.
+   *
+   * @param  {Wallet} wallet unlocked wallet
+   * @return {Promise<Object>} Contains `success` flag and `steps`, a list
+   * of results with `id`, `status` (`mined`, `failed` or `skipped`)
+   * and `receipt`, decoded `events`, `missingEvents` and `error` where available.
+   */
+  async execute (wallet) {
+    const results = [];
+    let failed = false;
+    for (const step of this.steps) {
+      if (failed) {
+        this.web3Utils.releaseNonce(step.transactionData.from, step.transactionData.nonce);
+        results.push({ id: step.id, status: 'skipped' });
+        continue;
+      }
+      const missingDependency = step.dependsOn.find((id) => {
+        return !results.find((r) => r.id === id && r.status === 'mined');
+      });
+      if (missingDependency) {
+        this.web3Utils.releaseNonce(step.transactionData.from, step.transactionData.nonce);
+        results.push({
+          id: step.id,
+          status: 'failed',
+          error: new TransactionPlanError(`Step ${step.id} depends on ${missingDependency} which was not mined before.`),
+        });
+        failed = true;
+        continue;
+      }
+      const eventCallbacks = Object.assign({}, step.eventCallbacks);
+      // Wallet waits for the receipt only when there is an onReceipt callback
+      if (!eventCallbacks.onReceipt) {
+        eventCallbacks.onReceipt = () => {};
+      }
+      try {
+        const receipt = await wallet.signAndSendTransaction(step.transactionData, eventCallbacks);
+        const events = this.web3Contracts.decodeLogs(receipt.logs || []);
+        const missingEvents = step.expectedEvents.filter((name) => !events.find((e) => e.event === name));
+        const result = {
+          id: step.id,
+          status: 'mined',
+          receipt: receipt,
+          events: events,
+          missingEvents: missingEvents,
+        };
+        if (missingEvents.length) {
+          result.status = 'failed';
+          result.error = new TransactionPlanError(`Step ${step.id} did not emit ${missingEvents.join(', ')}.`);
+          failed = true;
+        }
+        results.push(result);
+      } catch (err) {
+        results.push({ id: step.id, status: 'failed', error: err });
+        failed = true;
+      }
+    }
+    return {
+      success: !failed,
+      steps: results,
+    };
+  }
+}
+
+export default TransactionPlan;
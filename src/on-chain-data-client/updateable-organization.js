@@ -1,20 +1,46 @@
+import Web3Utils from 'web3-utils';
 import RemotelyBackedDataset from './remotely-backed-dataset';
 import Organization from './organization';
 import StoragePointer from './storage-pointer';
+import OffChainDataClient from '../off-chain-data-client';
+import TransactionPlan from './transaction-plan';
 import { InputDataError, SmartContractInstantiationError } from './errors';
 
+/**
+ * Serializes data to JSON with recursively sorted object keys,
+ * so equal data always produce the same document and hash.
+ *
+ * @param  {any} data
+ * @return {string}
+ */
+export function serializeCanonically (data) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.keys(value).sort().reduce((result, key) => {
+        result[key] = sortKeys(value[key]);
+        return result;
+      }, {});
+    }
+    return value;
+  };
+  return JSON.stringify(sortKeys(data));
+}
+
 /**
  * Wrapper class for an organization backed by a smart contract on
  * Ethereum that's holding `orgJsonUri` pointer to its data.
  *
  * This is meant as a read/write wrapper. If you want to change some field,
  * just use its setter and call `updateOnChainData` when ready. This will produce
- * as many transactions as necessary for you to execute on chain.
+ * a `TransactionPlan` with as many transactions as necessary for you to execute on chain.
  *
  */
 export class UpdateableOnChainOrganization extends Organization {
-  static createInstance (web3Utils, web3Contracts, address) {
-    const org = new UpdateableOnChainOrganization(web3Utils, web3Contracts, address);
+  static createInstance (web3Utils, web3Contracts, address, offChainDataClient) {
+    const org = new UpdateableOnChainOrganization(web3Utils, web3Contracts, address, offChainDataClient);
     org.initialize();
     return org;
   }
@@ -68,7 +94,7 @@ export class UpdateableOnChainOrganization extends Organization {
       if (!this._orgJson) {
         // we leverage StoragePointer to make this work with various off-chain storages
         // no direct linked subdocuments though for now
-        this._orgJson = StoragePointer.createInstance(await this.orgJsonUri, {});
+        this._orgJson = StoragePointer.createInstance(await this.orgJsonUri, {}, this.offChainDataClient);
       }
       return this._orgJson;
     })();
@@ -165,7 +191,7 @@ export class UpdateableOnChainOrganization extends Organization {
    *
    * @param  {string} field name to be updated
    * @param  {string} base contract method name that updates that single field
-   * @return {function} function that can prepare tx data
+   * @return {function} function that can prepare a single step of `TransactionPlan`
    */
   _editOrgJsonDataOnChain (field, baseMethod) {
     const update = async (contract, fieldName, baseMethodName) => {
@@ -173,67 +199,178 @@ export class UpdateableOnChainOrganization extends Organization {
         this.onChainDataset.getFieldState('_orgJsonUri') === 'dirty' &&
         this.onChainDataset.getFieldState('_orgJsonHash') === 'dirty'
       ) {
-        return contract.methods.changeOrgJsonUriAndHash(await this.orgJsonUri, await this.orgJsonHash);
+        return {
+          id: 'changeOrgJsonUriAndHash',
+          expectedEvents: ['OrgJsonUriChanged', 'OrgJsonHashChanged'],
+          method: contract.methods.changeOrgJsonUriAndHash(await this.orgJsonUri, await this.orgJsonHash),
+        };
       }
-      return contract.methods[baseMethodName](await this[fieldName]);
+      return {
+        id: baseMethodName,
+        expectedEvents: [baseMethodName === 'changeOrgJsonUri' ? 'OrgJsonUriChanged' : 'OrgJsonHashChanged'],
+        method: contract.methods[baseMethodName](await this[fieldName]),
+      };
     };
 
     return async function (transactionOptions) {
       const contract = await this._getContractInstance();
-      const updateMethod = await update(contract, field, baseMethod);
-      const estimate = updateMethod.estimateGas({
-        from: transactionOptions.from,
-      });
-      const txData = updateMethod.encodeABI({
-        from: transactionOptions.from,
-      });
-      const transactionData = {
-        nonce: await this.web3Utils.determineCurrentAddressNonce(transactionOptions.from),
-        data: txData,
-        from: transactionOptions.from,
-        to: this.address,
-        gas: this.web3Utils.applyGasModifier(await estimate),
-      };
-      return {
-        organization: this,
-        transactionData: transactionData,
-      };
+      const updateStep = await update(contract, field, baseMethod);
+      const transaction = await this.web3Utils.prepareTransaction(updateStep.method, transactionOptions.from, this.address);
+      return Object.assign({ id: updateStep.id, expectedEvents: updateStep.expectedEvents }, transaction);
     };
   }
 
+  /**
+   * Prepares a `TransactionPlan` that propagates all locally changed
+   * fields to the smart contract.
+   *
+   * @param  {Object} transactionOptions, `from` is required
+   * @return {TransactionPlan}
+   */
   async updateOnChainData (transactionOptions) {
-    // TODO somehow check that the contract supports this interface
-    // pre-check if contract is available at all and fail fast
+    // pre-check if contract is available and supports the organization
+    // interface (see ERC-165) and fail fast
     await this._getContractInstance();
     // We have to clone options for each dataset as they may get modified
     // along the way
-    return this.onChainDataset.updateRemoteData(Object.assign({}, transactionOptions));
+    const steps = await this.onChainDataset.updateRemoteData(Object.assign({}, transactionOptions));
+    return TransactionPlan.createInstance(this.web3Utils, this.web3Contracts, steps, {
+      organization: this,
+    });
+  }
+
+  /**
+   * Publishes a new ORG.JSON in a single step. The document is serialized
+   * canonically (with sorted keys), uploaded through the off-chain data
+   * adapter registered for `adapter` schema and its hash is computed.
+   * Without an `OffChainDataClient` instance, the shared configuration is used.
+   * Both `orgJsonUri` and `orgJsonHash` are then changed locally and
+   * a `TransactionPlan` that changes them on chain in a single
+   * `changeOrgJsonUriAndHash` call is prepared, even when the adapter
+   * returns the same URI.
+   *
+   * @param  {Object} orgJson ORG.JSON contents
+   * @param  {Object} options `adapter` is a schema of an off-chain data adapter such as `in-memory`,
+   * `txOptions` are transaction options with `from` required
+   * @throws {InputDataError} When ORG.JSON or options are missing
+   * @throws {OffChainDataRuntimeError} When there is no adapter for the schema
+   * @return {Promise<Object>} `{ orgJsonUri, orgJsonHash, transactionPlan }`
+   */
+  async publishOrgJson (orgJson, options) {
+    if (!orgJson || typeof orgJson !== 'object' || Array.isArray(orgJson)) {
+      throw new InputDataError('Cannot publish ORG.JSON: ORG.JSON has to be an object');
+    }
+    if (!options || !options.adapter || !options.txOptions || !options.txOptions.from) {
+      throw new InputDataError('Cannot publish ORG.JSON: adapter and txOptions.from are required');
+    }
+    const contents = serializeCanonically(orgJson);
+    const offChainDataClient = this.offChainDataClient || OffChainDataClient;
+    const orgJsonUri = await offChainDataClient.getAdapter(options.adapter).upload(contents);
+    const orgJsonHash = this.web3Utils.getSoliditySha3Hash(contents);
+    // Unsynced fields are always marked as dirty, so both are sent together
+    this.onChainDataset.invalidate(['_orgJsonUri', '_orgJsonHash']);
+    this.orgJsonUri = orgJsonUri;
+    this.orgJsonHash = orgJsonHash;
+    // The document might have changed even under the same URI
+    this._orgJson = null;
+    return {
+      orgJsonUri: orgJsonUri,
+      orgJsonHash: orgJsonHash,
+      transactionPlan: await this.updateOnChainData(options.txOptions),
+    };
   }
 
+  /**
+   * Prepares a `TransactionPlan` that transfers the organization
+   * to a new owner.
+   *
+   * @param  {string} newOwner
+   * @param  {Object} transactionOptions, `from` is required
+   * @return {TransactionPlan}
+   */
   async transferOnChainOwnership (newOwner, transactionOptions) {
     if (!this.onChainDataset.isDeployed()) {
       throw new SmartContractInstantiationError('Cannot transfer Organization: not deployed');
     }
     const contract = await this._getContractInstance();
-    const estimate = contract.methods.transferOwnership(newOwner).estimateGas();
-    const txData = contract.methods.transferOwnership(newOwner).encodeABI();
-    const transactionData = {
-      nonce: await this.web3Utils.determineCurrentAddressNonce(transactionOptions.from),
-      data: txData,
-      from: transactionOptions.from,
-      to: this.address,
-      gas: this.web3Utils.applyGasModifier(await estimate),
-    };
-    const eventCallbacks = {
+    const transaction = await this.web3Utils.prepareTransaction(contract.methods.transferOwnership(newOwner), transactionOptions.from, this.address, {
       onReceipt: (receipt) => {
         this._owner = newOwner;
       },
-    };
-    return {
+    });
+    return TransactionPlan.createInstance(this.web3Utils, this.web3Contracts, [
+      Object.assign({ id: 'transferOwnership', expectedEvents: ['OwnershipTransferred'] }, transaction),
+    ], {
       organization: this,
-      transactionData: transactionData,
-      eventCallbacks: eventCallbacks,
-    };
+    });
+  }
+
+  async _prepareAssociatedKeyChange (action, associatedAddress) {
+    if (!this.onChainDataset.isDeployed()) {
+      throw new SmartContractInstantiationError(`Cannot ${action} associated key: not deployed`);
+    }
+    if (!Web3Utils.isAddress(associatedAddress) || Web3Utils.toBN(associatedAddress).isZero()) {
+      throw new InputDataError(`Cannot ${action} associated key: Invalid address ${associatedAddress}`);
+    }
+    const associatedKeys = await this.associatedKeys;
+    const isAssociated = !!associatedKeys.find((key) => key.toLowerCase() === associatedAddress.toLowerCase());
+    if (action === 'add' && isAssociated) {
+      throw new InputDataError(`Cannot add associated key: ${associatedAddress} is already associated`);
+    }
+    if (action === 'remove' && !isAssociated) {
+      throw new InputDataError(`Cannot remove associated key: ${associatedAddress} is not associated`);
+    }
+    return this._getContractInstance();
+  }
+
+  /**
+   * Prepares a `TransactionPlan` that associates another address
+   * with the organization, i. e. so it can sign on its behalf.
+   *
+   * @param  {string} associatedAddress
+   * @param  {Object} transactionOptions, `from` is required
+   * @throws {SmartContractInstantiationError} When the organization is not deployed
+   * @throws {InputDataError} When the address is invalid or already associated
+   * @return {TransactionPlan}
+   */
+  async addAssociatedKey (associatedAddress, transactionOptions) {
+    const contract = await this._prepareAssociatedKeyChange('add', associatedAddress);
+    const transaction = await this.web3Utils.prepareTransaction(contract.methods.addAssociatedKey(associatedAddress), transactionOptions.from, this.address, {
+      onReceipt: (receipt) => {
+        // Other changes might have been mined meanwhile, re-read the keys
+        this.onChainDataset.invalidate(['_associatedKeys']);
+      },
+    });
+    return TransactionPlan.createInstance(this.web3Utils, this.web3Contracts, [
+      Object.assign({ id: 'addAssociatedKey', expectedEvents: ['AssociatedKeyAdded'] }, transaction),
+    ], {
+      organization: this,
+    });
+  }
+
+  /**
+   * Prepares a `TransactionPlan` that removes an associated address
+   * from the organization.
+   *
+   * @param  {string} associatedAddress
+   * @param  {Object} transactionOptions, `from` is required
+   * @throws {SmartContractInstantiationError} When the organization is not deployed
+   * @throws {InputDataError} When the address is invalid or not associated
+   * @return {TransactionPlan}
+   */
+  async removeAssociatedKey (associatedAddress, transactionOptions) {
+    const contract = await this._prepareAssociatedKeyChange('remove', associatedAddress);
+    const transaction = await this.web3Utils.prepareTransaction(contract.methods.removeAssociatedKey(associatedAddress), transactionOptions.from, this.address, {
+      onReceipt: (receipt) => {
+        // Other changes might have been mined meanwhile, re-read the keys
+        this.onChainDataset.invalidate(['_associatedKeys']);
+      },
+    });
+    return TransactionPlan.createInstance(this.web3Utils, this.web3Contracts, [
+      Object.assign({ id: 'removeAssociatedKey', expectedEvents: ['AssociatedKeyRemoved'] }, transaction),
+    ], {
+      organization: this,
+    });
   }
 }
 
@@ -1,5 +1,11 @@
 import Web3Eth from 'web3-eth';
 import Web3Utils from 'web3-utils';
+import NonceManager from './nonce-manager';
+import GasPriceStrategy from './gas-price-strategy';
+import { NodeUnavailableError } from './errors';
+
+// Selector of Solidity's `Error(string)`
+const ERROR_STRING_SELECTOR = '0x08c379a0';
 
 /**
  * Collection of utility methods useful during
@@ -10,7 +16,8 @@ export class Utils {
    * Returns an initialized instance
    *
    * @param  {GasModifiersType} gasCoefficient or gasMargin that can be applied
-   * to outgoing transactions.
+   * to outgoing transactions. A `gasPriceStrategy` (see `GasPriceStrategy`)
+   * can be passed along to set gas price of outgoing transactions.
    * @param  {string|Object} web3 instance provider used to create web3-eth
    * @return {Utils}
    */
@@ -22,6 +29,10 @@ export class Utils {
     this.gasModifiers = gasModifiers;
     this.provider = provider;
     this.web3Eth = new Web3Eth(provider);
+    this.nonceManager = NonceManager.createInstance(this.web3Eth);
+    if (gasModifiers && gasModifiers.gasPriceStrategy) {
+      this.gasPriceStrategy = GasPriceStrategy.createInstance(gasModifiers.gasPriceStrategy, this.web3Eth);
+    }
   }
 
   /**
@@ -37,6 +48,26 @@ export class Utils {
     return String(address) === '0x0000000000000000000000000000000000000000';
   }
 
+  /**
+   * Tells whether an error (or any error it wraps) was likely caused
+   * by a network or node failure, so repeating the request might help.
+   *
+   * @param  {Error} error
+   * @return {boolean}
+   */
+  isTransientError (error) {
+    while (error) {
+      if (error instanceof NodeUnavailableError) {
+        return true;
+      }
+      if (error.message && error.message.match(/(Invalid JSON RPC response)|(CONNECTION ERROR)|(CONNECTION TIMEOUT)|(ECONNREFUSED)|(ECONNRESET)|(ETIMEDOUT)|(socket hang up)|(header not found)/i)) {
+        return true;
+      }
+      error = error.originalError;
+    }
+    return false;
+  }
+
   /**
    * Modifies the gas with a previously configured `gasCoefficient`
    * or `gasMargin`.
@@ -54,6 +85,21 @@ export class Utils {
     return gas;
   }
 
+  /**
+   * Returns gas price related fields for outgoing transactions
+   * based on a previously configured `gasPriceStrategy`. Without
+   * a strategy, no fields are returned and the node's default is used.
+   *
+   * @return {Promise<Object>} Contains either `gasPrice` or `maxFeePerGas`
+   * and `maxPriorityFeePerGas`.
+   */
+  async getGasPriceFields () {
+    if (!this.gasPriceStrategy) {
+      return {};
+    }
+    return this.gasPriceStrategy.getFees();
+  }
+
   /**
    * Proxy method for `web3.eth.getBlockNumber`
    */
@@ -72,6 +118,17 @@ export class Utils {
     return Web3Utils.soliditySha3(data);
   }
 
+  /**
+   * Proxy method for `web3.eth.accounts.recover`
+   *
+   * @param {string} serializedData that were signed
+   * @param {string} signature hex encoded signature
+   * @return {string} checksummed address of the signer
+   */
+  recoverSigner (serializedData, signature) {
+    return this.web3Eth.accounts.recover(serializedData, signature);
+  }
+
   /**
    * Returns current number of transactions mined for given
    * Ethereum address
@@ -83,6 +140,93 @@ export class Utils {
     return this.web3Eth.getTransactionCount(address);
   }
 
+  /**
+   * Reserves a nonce for a new transaction sent from given
+   * Ethereum address. Pending transactions and nonces reserved
+   * for other not yet sent transactions are taken into account.
+   * This should be the last step of the transaction preparation,
+   * so the nonce does not get lost when anything else fails.
+   *
+   * @param {string} address
+   * @return number
+   */
+  async reserveNonce (address) {
+    return this.nonceManager.reserve(address);
+  }
+
+  /**
+   * Releases a previously reserved nonce, typically when
+   * the prepared transaction is not going to be sent.
+   *
+   * @param {string} address
+   * @param {number} nonce
+   */
+  releaseNonce (address, nonce) {
+    this.nonceManager.release(address, nonce);
+  }
+
+  /**
+   * Prepares a transaction calling given contract method. Gas is
+   * estimated (with the gas modifier applied), gas price is set by
+   * the gas price strategy and a nonce is reserved.
+   * Returned eventCallbacks take care of the reserved nonce.
+   *
+   * @param {Object} contractMethod `web3.eth.Contract` method with all arguments applied
+   * @param {string} from
+   * @param {string} to address of the called contract
+   * @param {TransactionCallbacksInterface} eventCallbacks
+   * @return {Object} Contains `transactionData` and `eventCallbacks`
+   */
+  async prepareTransaction (contractMethod, from, to, eventCallbacks) {
+    const data = contractMethod.encodeABI();
+    const estimate = contractMethod.estimateGas({ from: from });
+    const gas = this.applyGasModifier(await estimate);
+    const gasPriceFields = await this.getGasPriceFields();
+    const transactionData = Object.assign({
+      nonce: await this.reserveNonce(from),
+      data: data,
+      from: from,
+      to: to,
+      gas: gas,
+    }, gasPriceFields);
+    return {
+      transactionData: transactionData,
+      eventCallbacks: this.bindNonceCallbacks(transactionData, eventCallbacks),
+    };
+  }
+
+  /**
+   * Extends eventCallbacks of a prepared transaction so that its
+   * reserved nonce is confirmed once the transaction reaches the network,
+   * or released when the transaction fails before that.
+   *
+   * @param {TransactionDataInterface} transactionData
+   * @param {TransactionCallbacksInterface} eventCallbacks
+   * @return {TransactionCallbacksInterface}
+   */
+  bindNonceCallbacks (transactionData, eventCallbacks) {
+    eventCallbacks = eventCallbacks || {};
+    let sent = false;
+    return Object.assign({}, eventCallbacks, {
+      onTransactionHash: (hash) => {
+        sent = true;
+        this.nonceManager.confirm(transactionData.from, transactionData.nonce);
+        if (eventCallbacks.onTransactionHash) {
+          return eventCallbacks.onTransactionHash(hash);
+        }
+      },
+      onError: (err) => {
+        // Once the transaction is in the network, the nonce is used up even if it fails
+        if (!sent) {
+          this.nonceManager.release(transactionData.from, transactionData.nonce);
+        }
+        if (eventCallbacks.onError) {
+          return eventCallbacks.onError(err);
+        }
+      },
+    });
+  }
+
   /**
    * Proxy method for `web3.eth.getTransactionReceipt`
    *
@@ -99,6 +243,176 @@ export class Utils {
   async getTransaction (txHash) {
     return this.web3Eth.getTransaction(txHash);
   }
+
+  /**
+   * Decodes the reason from data returned by a reverted call
+   * (ABI encoded Solidity `Error(string)`).
+   *
+   * @param {string} data hex encoded return data
+   * @return {string|undefined} undefined when data does not carry a reason
+   */
+  decodeRevertReason (data) {
+    if (typeof data !== 'string' || data.substring(0, 10).toLowerCase() !== ERROR_STRING_SELECTOR) {
+      return undefined;
+    }
+    try {
+      return this.web3Eth.abi.decodeParameter('string', '0x' + data.substring(10));
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  _getCallData (transactionData) {
+    return {
+      from: transactionData.from,
+      to: transactionData.to,
+      data: transactionData.data || transactionData.input,
+      value: transactionData.value,
+      gas: transactionData.gas,
+    };
+  }
+
+  /**
+   * Runs a transaction via `eth_call` at given block without
+   * sending it to the network. Different nodes report a revert in
+   * different ways (return data, error data or just an error message),
+   * all of them are taken into account. Errors that are not caused
+   * by the EVM (such as a lost connection) are rethrown.
+   *
+   * @param {TransactionDataInterface} transactionData (`input` is accepted
+   * instead of `data`, so the result of `getTransaction` can be used)
+   * @param {number|string} blockNumber
+   * @throws {Error} When the node fails for other reason than a revert
+   * @return {Object} with `success` flag, raw `returnData` of a successful
+   * call and `revertReason` (if any) of a reverted one.
+   */
+  async callTransaction (transactionData, blockNumber) {
+    try {
+      const result = await this.web3Eth.call(this._getCallData(transactionData), blockNumber);
+      const reason = this.decodeRevertReason(result);
+      if (reason !== undefined) {
+        return { success: false, revertReason: reason };
+      }
+      return { success: true, returnData: result };
+    } catch (e) {
+      const errorData = e.data && typeof e.data === 'object'
+        ? Object.values(e.data).map((d) => d && d.return).find((d) => d)
+        : e.data;
+      const isRevert = (typeof errorData === 'string' && errorData.substring(0, 2) === '0x') ||
+        !!(e.message && e.message.match(/revert|VM Exception|invalid opcode/i));
+      if (!isRevert) {
+        throw e;
+      }
+      let reason = this.decodeRevertReason(errorData);
+      if (reason === undefined) {
+        const match = e.message && e.message.match(/(?:reverted:|revert) (.+)$/m);
+        reason = match ? match[1].trim() : undefined;
+      }
+      return { success: false, revertReason: reason };
+    }
+  }
+
+  /**
+   * Replays a transaction via `eth_call` at given block and returns
+   * the reason of its revert.
+   *
+   * @param {TransactionDataInterface} transactionData
+   * @param {number|string} blockNumber
+   * @throws {Error} When the node fails for other reason than a revert
+   * @return {string|undefined} undefined when no reason can be found
+   */
+  async getRevertReason (transactionData, blockNumber) {
+    return (await this.callTransaction(transactionData, blockNumber)).revertReason;
+  }
+
+  /**
+   * Returns raw logs that a transaction would emit if it was mined
+   * at given block. This relies on `debug_traceCall` with geth's `callTracer`
+   * which is not supported by all nodes.
+   *
+   * @param {TransactionDataInterface} transactionData
+   * @param {number|string} blockNumber
+   * @return {Array<RawLogRecordInterface>|undefined} undefined when the node
+   * cannot trace calls
+   */
+  async getTransactionLogs (transactionData, blockNumber) {
+    if (!this.web3Eth.traceCall) {
+      this.web3Eth.extend({
+        methods: [{ name: 'traceCall', call: 'debug_traceCall', params: 3 }],
+      });
+    }
+    const callData = this._getCallData(transactionData);
+    for (const field of ['value', 'gas']) {
+      if (callData[field] === undefined) {
+        delete callData[field];
+      } else {
+        callData[field] = Web3Utils.toHex(callData[field]);
+      }
+    }
+    let trace;
+    try {
+      trace = await this.web3Eth.traceCall(
+        callData,
+        typeof blockNumber === 'number' ? Web3Utils.toHex(blockNumber) : blockNumber,
+        { tracer: 'callTracer', tracerConfig: { withLog: true } },
+      );
+    } catch (e) {
+      return undefined;
+    }
+    const logs = [];
+    const collectLogs = (frame) => {
+      // Logs of reverted calls are discarded
+      if (!frame || frame.error) {
+        return;
+      }
+      for (const log of (frame.logs || [])) {
+        logs.push(Object.assign({ address: frame.to }, log));
+      }
+      for (const call of (frame.calls || [])) {
+        collectLogs(call);
+      }
+    };
+    collectLogs(trace);
+    return logs;
+  }
+
+  /**
+   * Proxy method for `web3.eth.getBlock`
+   *
+   * @param {number|string} blockHashOrNumber
+   */
+  async getBlock (blockHashOrNumber) {
+    return this.web3Eth.getBlock(blockHashOrNumber);
+  }
+
+  /**
+   * Proxy method for `web3.eth.getPastLogs`
+   *
+   * @param {Object} options `{address, topics, fromBlock, toBlock}`
+   */
+  async getPastLogs (options) {
+    return this.web3Eth.getPastLogs(options);
+  }
+
+  /**
+   * Reads logs between `fromBlock` and `toBlock` (both numbers) in chunks
+   * of `chunkSize` blocks, as nodes usually limit the range of
+   * a single logs query.
+   *
+   * @param {Object} options `{address, topics, fromBlock, toBlock}`
+   * @param {number} chunkSize
+   * @return {Promise<Array<Object>>} logs in the order of the chunks
+   */
+  async getPastLogsInChunks (options, chunkSize) {
+    let logs = [];
+    for (let start = options.fromBlock; start <= options.toBlock; start += chunkSize) {
+      logs = logs.concat(await this.getPastLogs(Object.assign({}, options, {
+        fromBlock: start,
+        toBlock: Math.min(start + chunkSize - 1, options.toBlock),
+      })));
+    }
+    return logs;
+  }
 }
 
 export default Utils;
@@ -0,0 +1,70 @@
+import Web3Eth from 'web3-eth';
+import { InputDataError } from './errors';
+
+/**
+ * JSON-RPC methods that only read the chain state, so they can be
+ * safely repeated or sent together with other requests.
+ */
+export const READ_METHODS = [
+  'eth_call',
+  'eth_getCode',
+  'eth_getTransactionReceipt',
+  'eth_getTransactionByHash',
+  'eth_getTransactionCount',
+  'eth_getBlockByNumber',
+  'eth_getBlockByHash',
+  'eth_blockNumber',
+  'eth_getBalance',
+  'eth_getStorageAt',
+  'eth_getLogs',
+  'eth_estimateGas',
+  'eth_gasPrice',
+  'eth_feeHistory',
+  'eth_maxPriorityFeePerGas',
+  'eth_chainId',
+  'net_version',
+];
+
+/**
+ * JSON-RPC methods that send transactions to the network.
+ */
+export const WRITE_METHODS = ['eth_sendRawTransaction', 'eth_sendTransaction'];
+
+/**
+ * Creates a web3 provider from an URL (`http(s)://` or `ws(s)://`),
+ * any other provider instance is returned as is.
+ *
+ * @param  {string|Object} provider
+ * @throws {InputDataError} When the URL is not supported
+ * @return {Object}
+ */
+export function createWeb3Provider (provider) {
+  if (typeof provider !== 'string') {
+    return provider;
+  }
+  if (provider.match(/^https?:\/\//i)) {
+    return new Web3Eth.providers.HttpProvider(provider);
+  }
+  if (provider.match(/^wss?:\/\//i)) {
+    return new Web3Eth.providers.WebsocketProvider(provider);
+  }
+  throw new InputDataError(`Unsupported web3 provider: ${provider}`);
+}
+
+/**
+ * Sends a JSON-RPC payload through any web3 provider.
+ *
+ * @param  {Object} provider
+ * @param  {Object|Array} payload
+ * @return {Promise<Object|Array>} JSON-RPC response
+ */
+export function sendPayload (provider, payload) {
+  return new Promise((resolve, reject) => {
+    provider[provider.sendAsync ? 'sendAsync' : 'send'](payload, (err, response) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(response);
+    });
+  });
+}
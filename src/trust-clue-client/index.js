@@ -1,5 +1,6 @@
 import Web3Eth from 'web3-eth';
 import Web3Utils from 'web3-utils';
+import FailoverProvider from '../on-chain-data-client/failover-provider';
 import {
   TrustClueConfigurationError,
   TrustClueRuntimeError,
@@ -39,7 +40,9 @@ export class TrustClueClient {
     this._clues = {};
     this.options = options || {};
     this.clueNameList = Object.keys(options.clues);
-    this.web3Eth = new Web3Eth(options.provider);
+    this.web3Eth = new Web3Eth(Array.isArray(options.provider)
+      ? FailoverProvider.createInstance(options.provider, options.providerOptions)
+      : options.provider);
   }
 
   /**
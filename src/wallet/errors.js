@@ -54,8 +54,17 @@ export class InsufficientFundsError extends TransactionMiningError {}
  * Transaction was supposedly reverted and was not mined.
  * This depends on how precisely the error is reported by EVM
  * and subsequently web3.js
+ *
+ * The `revertReason` is available when the contract provided one
+ * and the transaction could be replayed. It is also available as `reason`.
  */
-export class TransactionRevertedError extends TransactionMiningError {}
+export class TransactionRevertedError extends TransactionMiningError {
+  constructor (message, originalError, revertReason) {
+    super(message, originalError);
+    this.revertReason = revertReason;
+    this.reason = revertReason;
+  }
+}
 
 /**
  * Transaction did not go into mining at all. It might be due to
@@ -64,6 +73,19 @@ export class TransactionRevertedError extends TransactionMiningError {}
  */
 export class TransactionDidNotComeThroughError extends TransactionMiningError {}
 
+/**
+ * Replacement transaction (such as from `speedUp` or `cancel`) did not
+ * pay enough more than the transaction it should replace. Bump the gas
+ * price further and try again.
+ */
+export class ReplacementUnderpricedError extends TransactionDidNotComeThroughError {}
+
+/**
+ * Transaction cannot be replaced, i. e. it is not known
+ * to the network or it has already been mined.
+ */
+export class TransactionReplacementError extends WalletError {}
+
 /**
  * There was a problem with getting a transaction receipt (network issue,
  * timeout, small gasPrice). It does not necessarily mean that the
@@ -1,5 +1,7 @@
 import Web3Utils from 'web3-utils';
 import Web3Eth from 'web3-eth';
+import Utils from '../on-chain-data-client/utils';
+import GasPriceStrategy from '../on-chain-data-client/gas-price-strategy';
 
 import {
   WalletError,
@@ -12,10 +14,16 @@ import {
   InsufficientFundsError,
   TransactionRevertedError,
   TransactionDidNotComeThroughError,
+  ReplacementUnderpricedError,
+  TransactionReplacementError,
   NoReceiptError,
   InaccessibleEthereumNodeError,
 } from './errors';
 
+// Nodes accept a replacement transaction only if it pays at least 10 % more
+const MIN_REPLACEMENT_BUMP = 1.1;
+const DEFAULT_REPLACEMENT_BUMP = 1.2;
+
 /**
  * web3-eth based wallet implementation
  */
@@ -30,13 +38,21 @@ export class Wallet {
   constructor (keystoreJsonV3) {
     this._jsonWallet = keystoreJsonV3;
     this._destroyedFlag = false;
+    this._replacements = {};
+    // Settlement of transactions that are not mined yet, by hash
+    this._pendingTransactions = {};
   }
 
   /**
    * Sets up an initialized web3-eth instance for later use
+   *
+   * @param {string|Object} provider
+   * @param {Utils} web3Utils used to replay reverted transactions,
+   * a new one working with the same provider is created when not provided
    */
-  setupWeb3Eth (provider) {
+  setupWeb3Eth (provider, web3Utils) {
     this.web3Eth = new Web3Eth(provider);
+    this.web3Utils = web3Utils || Utils.createInstance(undefined, this.web3Eth.currentProvider);
   }
 
   /**
@@ -108,12 +124,16 @@ export class Wallet {
    * Takes transaction data, signs them with an unlocked private key and sends them to
    * the network. Resolves either immediately after receiving a `transactionHash` (with hash) or after
    * a `receipt` event (with raw receipt object). This depends on passed eventCallbacks.
-   * When onReceipt callback is present, Promise is resolved after `receipt` event
+   * When onReceipt callback is present, Promise is resolved after `receipt` event.
+   * When onError callback is present, it is called with the repackaged error
+   * before the Promise is rejected. When a mined transaction is reverted,
+   * it is replayed to find out the reason of the revert.
    *
    * @throws {WalletStateError} When wallet was destroyed.
    * @throws {WalletStateError} When there is no web3-eth instance configured.
    * @throws {WalletStateError} When wallet is not unlocked.
    * @throws {WalletSigningError} When transaction.from does not match the wallet account.
+   * @throws {WalletSigningError} When transaction has EIP-1559 fees which web3 cannot sign yet.
    * @throws {NoReceiptError} When there are issues with getting a transaction receipt.
    * @throws {OutOfGasError} When it seems transaction ran out of gas
    * @throws {TransactionRevertedError} When it seems transaction was reverted in EVM
@@ -138,11 +158,65 @@ export class Wallet {
     if (transactionData.from && transactionData.from.toLowerCase() !== this.getAddress().toLowerCase()) {
       throw new WalletSigningError('Transaction originator does not match the wallet address.');
     }
+    // web3 would silently drop them and sign a legacy transaction instead
+    if (transactionData.maxFeePerGas !== undefined || transactionData.maxPriorityFeePerGas !== undefined) {
+      throw new WalletSigningError('Cannot sign EIP-1559 transaction, use an external signer or gasPrice.');
+    }
     try {
       const signedTx = await this._account.signTransaction(transactionData);
       return new Promise((resolve, reject) => {
+        // web3 fires both the error event and the promise rejection
+        let failed = false;
+        let transactionHash;
+        // Once replaced by `speedUp` or `cancel`, the replacement settles
+        // this transaction instead of its own (i. e. timeout) errors
+        const pending = {
+          superseded: false,
+          settle: (receipt) => {
+            if (!failed) {
+              failed = true;
+              delete this._pendingTransactions[transactionHash];
+              try {
+                if (eventCallbacks && eventCallbacks.onReceipt) {
+                  eventCallbacks.onReceipt(receipt);
+                }
+                resolve(receipt);
+              } catch (e) {
+                reject(e);
+              }
+            }
+          },
+          fail: (error) => {
+            if (!failed) {
+              failed = true;
+              delete this._pendingTransactions[transactionHash];
+              try {
+                if (eventCallbacks && eventCallbacks.onError) {
+                  eventCallbacks.onError(error);
+                }
+                reject(error);
+              } catch (e) {
+                reject(e);
+              }
+            }
+          },
+        };
+        const fail = async (err, receipt) => {
+          if (!failed && !pending.superseded) {
+            failed = true;
+            delete this._pendingTransactions[transactionHash];
+            // The listener is not awaited by anyone, so nothing can escape it
+            try {
+              reject(await this._handleTransactionError(err, eventCallbacks, transactionData, receipt));
+            } catch (e) {
+              reject(e);
+            }
+          }
+        };
         return this.web3Eth.sendSignedTransaction(signedTx.rawTransaction)
           .on('transactionHash', (hash) => {
+            transactionHash = hash;
+            this._pendingTransactions[hash] = pending;
             if (eventCallbacks && eventCallbacks.onTransactionHash) {
               eventCallbacks.onTransactionHash(hash);
             }
@@ -150,18 +224,54 @@ export class Wallet {
               resolve({ transactionHash: hash });
             }
           }).on('receipt', (receipt) => {
-            if (eventCallbacks && eventCallbacks.onReceipt) {
-              eventCallbacks.onReceipt(receipt);
-            }
-            resolve(receipt);
-          }).on('error', (err) => {
-            reject(this._repackageWeb3Error(err));
-          }).catch((err) => {
-            reject(this._repackageWeb3Error(err));
-          });
+            // The original transaction might get mined even when it was superseded
+            pending.settle(receipt);
+          }).on('error', fail)
+          .catch(fail);
       });
     } catch (err) {
-      throw new this._repackageWeb3Error(err);
+      throw await this._handleTransactionError(err, eventCallbacks, transactionData);
+    }
+  }
+
+  async _handleTransactionError (originalError, eventCallbacks, transactionData, receipt) {
+    let error = this._repackageWeb3Error(originalError);
+    if (error instanceof TransactionRevertedError && error.revertReason === undefined) {
+      receipt = receipt || this._getReceiptFromError(originalError);
+      if (receipt && receipt.blockNumber !== undefined) {
+        const reason = await this._getRevertReason(transactionData, receipt.blockNumber);
+        if (reason !== undefined) {
+          error = new TransactionRevertedError(`Transaction reverted: ${reason}`, originalError, reason);
+        }
+      }
+    }
+    if (eventCallbacks && eventCallbacks.onError) {
+      eventCallbacks.onError(error);
+    }
+    return error;
+  }
+
+  _getReceiptFromError (originalError) {
+    if (originalError.receipt) {
+      return originalError.receipt;
+    }
+    // web3.js appends the receipt JSON to the error message
+    const receiptStart = originalError.message ? originalError.message.indexOf('{') : -1;
+    if (receiptStart === -1) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(originalError.message.substring(receiptStart));
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  async _getRevertReason (transactionData, blockNumber) {
+    try {
+      return await this.web3Utils.getRevertReason(transactionData, blockNumber);
+    } catch (e) {
+      return undefined;
     }
   }
 
@@ -178,7 +288,15 @@ export class Wallet {
       if (originalError.message.match(/Transaction has been reverted by the EVM/i)) {
         return new TransactionRevertedError('Transaction reverted', originalError);
       }
-      if (originalError.message.match(/(known transaction)|(replacement transaction underpriced)|(nonce too low)|(transaction underpriced)|(intrinsic gas too low)|(exceeds block gas limit)/i)) {
+      const revertMatch = originalError.message.match(/VM Exception while processing transaction: revert ?(.*)$/im);
+      if (revertMatch) {
+        const reason = revertMatch[1].trim() || undefined;
+        return new TransactionRevertedError(reason ? `Transaction reverted: ${reason}` : 'Transaction reverted', originalError, reason);
+      }
+      if (originalError.message.match(/replacement transaction underpriced/i)) {
+        return new ReplacementUnderpricedError('Replacement transaction underpriced', originalError);
+      }
+      if (originalError.message.match(/(known transaction)|(nonce too low)|(transaction underpriced)|(intrinsic gas too low)|(exceeds block gas limit)/i)) {
         return new TransactionDidNotComeThroughError('Transaction did not come through', originalError);
       }
       if (originalError.message.match(/(insufficient funds for gas)|(have enough funds to send tx)/i)) {
@@ -191,6 +309,168 @@ export class Wallet {
     return new TransactionMiningError('Cannot send transaction: ' + originalError.message, originalError);
   }
 
+  /**
+   * Replaces a pending transaction with the same one paying a higher
+   * gas price, so it gets mined sooner.
+   *
+   * The `strategy` can contain a `multiplier` of the original gas price
+   * (defaults to 1.2), or any `GasPriceStrategy` options (with `type`). The
+   * gas price is always bumped at least by 10 %, as required by the nodes.
+   *
+   * When the original transaction was sent through this wallet, its callbacks
+   * (and the Promise returned by `signAndSendTransaction`) are settled by the
+   * replacement, its own errors (such as a mining timeout) are ignored. The
+   * returned Promise then resolves only once the replacement is mined.
+   *
+   * @throws {TransactionReplacementError} When transaction does not exist or is already mined.
+   * @throws {ReplacementUnderpricedError} When the new gas price is not high enough.
+   * @param  {string} txHash of the original transaction (or any of its replacements)
+   * @param  {Object} strategy
+   * @param  {TransactionCallbacksInterface} optional callbacks, same as in `signAndSendTransaction`
+   * @return {Promise<string|TxReceiptInterface>} same as `signAndSendTransaction`
+   */
+  async speedUp (txHash, strategy, eventCallbacks) {
+    const originalTx = await this._getReplaceableTransaction(txHash);
+    const transactionData = Object.assign({
+      from: originalTx.from,
+      to: originalTx.to,
+      data: originalTx.input,
+      value: originalTx.value,
+      gas: originalTx.gas,
+      nonce: originalTx.nonce,
+    }, await this._getReplacementFees(originalTx, strategy));
+    return this._sendReplacement(originalTx.hash, transactionData, eventCallbacks);
+  }
+
+  /**
+   * Replaces a pending transaction with a zero-value transfer to self,
+   * effectively cancelling it. Gas price is bumped in the same way as in `speedUp`.
+   * The original transaction, when sent through this wallet, fails with
+   * `TransactionReplacementError` once the cancellation is mined.
+   *
+   * @throws {TransactionReplacementError} When transaction does not exist or is already mined.
+   * @throws {ReplacementUnderpricedError} When the new gas price is not high enough.
+   * @param  {string} txHash of the original transaction (or any of its replacements)
+   * @param  {Object} strategy
+   * @param  {TransactionCallbacksInterface} optional callbacks, same as in `signAndSendTransaction`
+   * @return {Promise<string|TxReceiptInterface>} same as `signAndSendTransaction`
+   */
+  async cancel (txHash, strategy, eventCallbacks) {
+    const originalTx = await this._getReplaceableTransaction(txHash);
+    const transactionData = Object.assign({
+      from: originalTx.from,
+      to: originalTx.from,
+      value: '0',
+      data: '0x',
+      gas: 21000,
+      nonce: originalTx.nonce,
+    }, await this._getReplacementFees(originalTx, strategy));
+    return this._sendReplacement(originalTx.hash, transactionData, eventCallbacks, true);
+  }
+
+  /**
+   * Returns hashes of all transactions sent through this wallet
+   * replacing each other, starting with the original one.
+   *
+   * @param  {string} txHash of any transaction in the chain
+   * @return {Array<string>}
+   */
+  getReplacementChain (txHash) {
+    let first = txHash;
+    let previous;
+    while ((previous = Object.keys(this._replacements).find((h) => this._replacements[h] === first))) {
+      first = previous;
+    }
+    const chain = [first];
+    while (this._replacements[chain[chain.length - 1]]) {
+      chain.push(this._replacements[chain[chain.length - 1]]);
+    }
+    return chain;
+  }
+
+  async _getReplaceableTransaction (txHash) {
+    if (this.isDestroyed()) {
+      throw new WalletStateError('Cannot use destroyed wallet.');
+    }
+    if (!this.web3Eth) {
+      throw new WalletStateError('Cannot use wallet without web3Eth instance (call setupWeb3Eth first).');
+    }
+    const chain = this.getReplacementChain(txHash);
+    const latestHash = chain[chain.length - 1];
+    const transaction = await this.web3Eth.getTransaction(latestHash);
+    if (!transaction) {
+      throw new TransactionReplacementError(`Cannot replace transaction ${latestHash}: Not found`);
+    }
+    if (transaction.blockNumber !== null && transaction.blockNumber !== undefined) {
+      throw new TransactionReplacementError(`Cannot replace transaction ${latestHash}: Already mined`);
+    }
+    return transaction;
+  }
+
+  async _getReplacementFees (originalTx, strategy) {
+    strategy = strategy || {};
+    const bump = (value, multiplier) => {
+      // ceil(value * multiplier) as BN cannot work with fractions
+      return Web3Utils.toBN(value).muln(Math.round(multiplier * 1000)).addn(999).divn(1000);
+    };
+    const max = (a, b) => (a.gt(b) ? a : b);
+    // web3 cannot sign EIP-1559 transactions yet. A legacy gas price acts
+    // as both fee cap and tip, so bumping the original fee cap is enough.
+    const originalPrice = (originalTx.maxFeePerGas !== undefined && originalTx.maxFeePerGas !== null)
+      ? originalTx.maxFeePerGas
+      : originalTx.gasPrice;
+    let proposedFees = {};
+    if (strategy.type) {
+      proposedFees = await GasPriceStrategy.createInstance(strategy, this.web3Eth).getFees();
+      if (proposedFees.maxFeePerGas !== undefined) {
+        throw new WalletSigningError('Cannot sign EIP-1559 transaction, use a gas price strategy without eip1559.');
+      }
+    }
+    const minimal = bump(originalPrice, MIN_REPLACEMENT_BUMP);
+    const proposed = proposedFees.gasPrice !== undefined
+      ? Web3Utils.toBN(proposedFees.gasPrice)
+      : bump(originalPrice, strategy.multiplier || DEFAULT_REPLACEMENT_BUMP);
+    return { gasPrice: max(minimal, proposed).toString(10) };
+  }
+
+  async _sendReplacement (originalHash, transactionData, eventCallbacks, isCancellation) {
+    const original = this._pendingTransactions[originalHash];
+    const callbacks = Object.assign({}, eventCallbacks, {
+      onTransactionHash: (hash) => {
+        this._replacements[originalHash] = hash;
+        if (original) {
+          original.superseded = true;
+        }
+        if (eventCallbacks && eventCallbacks.onTransactionHash) {
+          eventCallbacks.onTransactionHash(hash);
+        }
+      },
+    });
+    // The original transaction was sent through this wallet, so its
+    // callbacks and its pending promise are settled by the replacement
+    if (original) {
+      callbacks.onReceipt = (receipt) => {
+        if (eventCallbacks && eventCallbacks.onReceipt) {
+          eventCallbacks.onReceipt(receipt);
+        }
+        if (isCancellation) {
+          original.fail(new TransactionReplacementError(`Transaction ${originalHash} was cancelled by ${receipt.transactionHash}`));
+        } else {
+          original.settle(receipt);
+        }
+      };
+      callbacks.onError = (error) => {
+        if (eventCallbacks && eventCallbacks.onError) {
+          eventCallbacks.onError(error);
+        }
+        if (original.superseded) {
+          original.fail(error);
+        }
+      };
+    }
+    return this.signAndSendTransaction(transactionData, callbacks);
+  }
+
   /**
    * Signs a claim with a private key associated with this wallet.
    *
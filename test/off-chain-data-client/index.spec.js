@@ -42,6 +42,49 @@ describe('WTLibs.OffChainDataClient', () => {
       }), OffChainDataConfigurationError, /Adapter declared twice/);
   });
 
+  it('should not share adapters between instances', () => {
+    const client1 = OffChainDataClient.createInstance({
+      adapters: {
+        'in-memory': { create: () => { return new InMemoryAdapter(); } },
+      },
+    });
+    const client2 = OffChainDataClient.createInstance({
+      adapters: {
+        'bzz-raw': { create: () => { return new InMemoryAdapter(); } },
+      },
+    });
+    assert.isDefined(client1.getAdapter('in-memory'));
+    assert.isDefined(client2.getAdapter('bzz-raw'));
+    assert.throws(() => client1.getAdapter('bzz-raw'), OffChainDataRuntimeError, /unsupported data storage type/i);
+    assert.throws(() => client2.getAdapter('in-memory'), OffChainDataRuntimeError, /unsupported data storage type/i);
+    // shared configuration stays untouched
+    assert.isDefined(OffChainDataClient.getAdapter('in-memory'));
+    assert.throws(() => OffChainDataClient.getAdapter('bzz-raw'), OffChainDataRuntimeError, /unsupported data storage type/i);
+  });
+
+  it('should throw when instance adapter schemas are ambiguous', () => {
+    assert.throws(() =>
+      OffChainDataClient.createInstance({
+        adapters: {
+          'in-memory': { create: () => { return new InMemoryAdapter(); } },
+          'IN-MEMOrY': { create: () => { return new InMemoryAdapter(); } },
+        },
+      }), OffChainDataConfigurationError, /Adapter declared twice/);
+  });
+
+  it('should return configured adapter schemas', () => {
+    const client = OffChainDataClient.createInstance({
+      adapters: {
+        'IN-MEMORY': { create: () => { return new InMemoryAdapter(); } },
+        'bzz-raw': { create: () => { return new InMemoryAdapter(); } },
+      },
+    });
+    assert.deepEqual(client.getAdapterSchemas(), ['in-memory', 'bzz-raw']);
+    assert.deepEqual(OffChainDataClient.getAdapterSchemas(), ['in-memory']);
+    OffChainDataClient._reset();
+    assert.deepEqual(OffChainDataClient.getAdapterSchemas(), []);
+  });
+
   it('should throw when no adapter is found for given schema', () => {
     try {
       OffChainDataClient.getAdapter('non-existent');
@@ -0,0 +1,203 @@
+import { assert } from 'chai';
+import sinon from 'sinon';
+import Web3Eth from 'web3-eth';
+import BatchingProvider from '../../src/on-chain-data-client/batching-provider';
+
+describe('WTLibs.on-chain-data.BatchingProvider', () => {
+  const multicallAddress = '0xcA11bde05977b3631167028862bE2a173976CA11';
+  const abi = new Web3Eth().abi;
+  const payload = (id, method, params) => ({ jsonrpc: '2.0', id: id, method: method, params: params || [] });
+  const send = (provider, request) => {
+    return new Promise((resolve, reject) => {
+      provider.send(request, (err, response) => (err ? reject(err) : resolve(response)));
+    });
+  };
+  let underlying, provider;
+
+  beforeEach(() => {
+    underlying = {
+      send: sinon.spy((request, callback) => {
+        const respond = (p) => ({ jsonrpc: '2.0', id: p.id, result: `${p.method}:${p.params.join(',')}` });
+        if (Array.isArray(request)) {
+          // Nodes may respond in any order
+          return callback(null, request.map(respond).reverse());
+        }
+        callback(null, respond(request));
+      }),
+    };
+    provider = BatchingProvider.createInstance(underlying);
+  });
+
+  it('should send concurrent reads as a single batch', async () => {
+    const responses = await Promise.all([
+      send(provider, payload(11, 'eth_getCode', ['a'])),
+      send(provider, payload(12, 'eth_call', ['b'])),
+      send(provider, payload(13, 'eth_blockNumber')),
+    ]);
+    assert.equal(underlying.send.callCount, 1);
+    const batch = underlying.send.firstCall.args[0];
+    assert.equal(batch.length, 3);
+    assert.deepEqual(responses.map((r) => r.id), [11, 12, 13]);
+    assert.deepEqual(responses.map((r) => r.result), ['eth_getCode:a', 'eth_call:b', 'eth_blockNumber:']);
+  });
+
+  it('should send a single request without batching', async () => {
+    const response = await send(provider, payload(11, 'eth_getCode', ['a']));
+    assert.equal(underlying.send.callCount, 1);
+    assert.isFalse(Array.isArray(underlying.send.firstCall.args[0]));
+    assert.equal(response.result, 'eth_getCode:a');
+  });
+
+  it('should not delay writes', async () => {
+    const response = await send(provider, payload(11, 'eth_sendRawTransaction', ['0x']));
+    assert.equal(response.result, 'eth_sendRawTransaction:0x');
+    assert.equal(provider.queue.length, 0);
+  });
+
+  it('should respect maxBatchSize', async () => {
+    provider = BatchingProvider.createInstance(underlying, { maxBatchSize: 2 });
+    await Promise.all([1, 2, 3].map((i) => send(provider, payload(i, 'eth_getCode', [i]))));
+    assert.equal(underlying.send.callCount, 2);
+    assert.equal(underlying.send.firstCall.args[0].length, 2);
+  });
+
+  it('should pass a transport error to all requests', async () => {
+    underlying.send = sinon.stub().callsFake((request, callback) => callback(new Error('CONNECTION ERROR')));
+    const results = await Promise.all([
+      send(provider, payload(1, 'eth_getCode', ['a'])).catch((e) => e),
+      send(provider, payload(2, 'eth_getCode', ['b'])).catch((e) => e),
+    ]);
+    assert.match(results[0].message, /connection error/i);
+    assert.match(results[1].message, /connection error/i);
+  });
+
+  it('should fail requests missing in the batch response', async () => {
+    underlying.send = sinon.stub().callsFake((request, callback) => {
+      callback(null, [{ jsonrpc: '2.0', id: request[0].id, result: '0x1' }]);
+    });
+    const results = await Promise.all([
+      send(provider, payload(1, 'eth_getCode', ['a'])).catch((e) => e),
+      send(provider, payload(2, 'eth_getCode', ['b'])).catch((e) => e),
+    ]);
+    assert.equal(results[0].result, '0x1');
+    assert.match(results[1].message, /no response for eth_getCode/i);
+  });
+
+  it('should settle the rest of the batch when a callback throws', async () => {
+    const unhandled = sinon.spy();
+    process.on('unhandledRejection', unhandled);
+    try {
+      provider.send(payload(1, 'eth_getCode', ['a']), () => {
+        throw new Error('callback failed');
+      });
+      const result = await send(provider, payload(2, 'eth_getCode', ['b'])).catch((e) => e);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      assert.match(result.message, /callback failed/i);
+      assert.equal(unhandled.callCount, 0);
+    } finally {
+      process.removeListener('unhandledRejection', unhandled);
+    }
+  });
+
+  it('should be usable by web3', async () => {
+    underlying.send = sinon.stub().callsFake((request, callback) => {
+      callback(null, request.map((p) => ({ jsonrpc: '2.0', id: p.id, result: p.method === 'eth_blockNumber' ? '0xa' : '0x1234' })));
+    });
+    const web3Eth = new Web3Eth(provider);
+    const results = await Promise.all([
+      web3Eth.getBlockNumber(),
+      web3Eth.getCode('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA'),
+    ]);
+    assert.deepEqual(results, [10, '0x1234']);
+    assert.equal(underlying.send.callCount, 1);
+  });
+
+  describe('multicall', () => {
+    const outputs = [{
+      name: 'returnData',
+      type: 'tuple[]',
+      components: [{ name: 'success', type: 'bool' }, { name: 'returnData', type: 'bytes' }],
+    }];
+    const call = (id, to, data, block) => payload(id, 'eth_call', [{ to: to, data: data }, block || 'latest']);
+
+    beforeEach(() => {
+      underlying.send = sinon.spy((request, callback) => {
+        const respond = (p) => {
+          if (p.method === 'eth_call' && p.params[0].to === multicallAddress) {
+            return {
+              jsonrpc: '2.0',
+              id: p.id,
+              result: abi.encodeParameters(outputs, [[[true, '0x01'], [false, '0x08c379a0']]]),
+            };
+          }
+          return { jsonrpc: '2.0', id: p.id, result: '0x02' };
+        };
+        callback(null, Array.isArray(request) ? request.map(respond) : respond(request));
+      });
+      provider = BatchingProvider.createInstance(underlying, { multicallAddress: multicallAddress });
+    });
+
+    it('should merge calls into a single tryAggregate call', async () => {
+      const results = await Promise.all([
+        send(provider, call(1, '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', '0xaa')),
+        send(provider, call(2, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769', '0xbb')),
+      ]);
+      assert.equal(underlying.send.callCount, 1);
+      const request = underlying.send.firstCall.args[0];
+      assert.equal(request.params[0].to, multicallAddress);
+      assert.equal(results[0].id, 1);
+      assert.equal(results[0].result, '0x01');
+      assert.equal(results[1].id, 2);
+      assert.match(results[1].error.message, /execution reverted/i);
+      assert.equal(results[1].error.data, '0x08c379a0');
+    });
+
+    it('should not merge calls with other fields or against different blocks', async () => {
+      await Promise.all([
+        send(provider, call(1, '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', '0xaa', 'latest')),
+        send(provider, call(2, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769', '0xbb', '0x1')),
+        send(provider, payload(3, 'eth_call', [{ to: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769', data: '0xbb', from: '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA' }, 'latest'])),
+      ]);
+      const batch = underlying.send.firstCall.args[0];
+      assert.equal(batch.length, 3);
+      assert.isUndefined(batch.find((p) => p.params[0].to === multicallAddress));
+    });
+
+    it('should fall back to separate calls when multicall does not work', async () => {
+      underlying.send = sinon.spy((request, callback) => {
+        if (!Array.isArray(request)) {
+          return callback(null, { jsonrpc: '2.0', id: request.id, result: '0x' });
+        }
+        callback(null, request.map((p) => ({ jsonrpc: '2.0', id: p.id, result: '0x03' })));
+      });
+      const results = await Promise.all([
+        send(provider, call(1, '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', '0xaa')),
+        send(provider, call(2, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769', '0xbb')),
+      ]);
+      assert.equal(underlying.send.callCount, 2);
+      assert.deepEqual(results.map((r) => r.result), ['0x03', '0x03']);
+    });
+
+    it('should settle the rest of the fallback calls when a callback throws', async () => {
+      underlying.send = sinon.spy((request, callback) => {
+        if (!Array.isArray(request)) {
+          return callback(null, { jsonrpc: '2.0', id: request.id, result: '0x' });
+        }
+        callback(null, request.map((p) => ({ jsonrpc: '2.0', id: p.id, result: '0x03' })));
+      });
+      const unhandled = sinon.spy();
+      process.on('unhandledRejection', unhandled);
+      try {
+        provider.send(call(1, '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', '0xaa'), () => {
+          throw new Error('callback failed');
+        });
+        const result = await send(provider, call(2, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769', '0xbb')).catch((e) => e);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        assert.match(result.message, /callback failed/i);
+        assert.equal(unhandled.callCount, 0);
+      } finally {
+        process.removeListener('unhandledRejection', unhandled);
+      }
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { assert } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Web3Eth from 'web3-eth';
+import CachingProvider from '../../src/on-chain-data-client/caching-provider';
+import MemoryCache from '../../src/on-chain-data-client/memory-cache';
+import FileCache from '../../src/on-chain-data-client/file-cache';
+import { InputDataError } from '../../src/on-chain-data-client/errors';
+
+describe('WTLibs.on-chain-data.CachingProvider', () => {
+  const address = '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA';
+  const payload = (id, method, params) => ({ jsonrpc: '2.0', id: id, method: method, params: params || [] });
+  const call = (id, data, block) => payload(id, 'eth_call', [{ to: address, data: data }, block || 'latest']);
+  const send = (provider, request) => {
+    return new Promise((resolve, reject) => {
+      provider.send(request, (err, response) => (err ? reject(err) : resolve(response)));
+    });
+  };
+  let underlying, provider, blockNumber, calls;
+
+  beforeEach(() => {
+    blockNumber = 10;
+    calls = 0;
+    const respond = (p) => {
+      if (p.method === 'eth_blockNumber') {
+        return { jsonrpc: '2.0', id: p.id, result: `0x${blockNumber.toString(16)}` };
+      }
+      if (p.method === 'eth_call') {
+        calls++;
+        return { jsonrpc: '2.0', id: p.id, result: `${p.params[0].data}-at-${p.params[1]}` };
+      }
+      if (p.method === 'eth_getLogs') {
+        return { jsonrpc: '2.0', id: p.id, result: [{ address: address.toLowerCase(), blockNumber: '0xc', topics: [], data: '0x' }] };
+      }
+      return { jsonrpc: '2.0', id: p.id, result: '0x1' };
+    };
+    underlying = {
+      send: sinon.spy((request, callback) => {
+        callback(null, Array.isArray(request) ? request.map(respond) : respond(request));
+      }),
+    };
+    provider = CachingProvider.createInstance(underlying, { blockNumberTtl: 0 });
+  });
+
+  it('should cache calls against the latest block within the same block', async () => {
+    const first = await send(provider, call(1, '0xaa'));
+    const second = await send(provider, call(2, '0xaa'));
+    assert.equal(first.result, '0xaa-at-0xa');
+    assert.equal(second.id, 2);
+    assert.equal(second.result, '0xaa-at-0xa');
+    assert.equal(calls, 1);
+    await send(provider, call(3, '0xbb'));
+    assert.equal(calls, 2);
+    blockNumber = 11;
+    assert.equal((await send(provider, call(4, '0xaa'))).result, '0xaa-at-0xb');
+    assert.equal(calls, 3);
+  });
+
+  it('should respect maxStaleness', async () => {
+    provider = CachingProvider.createInstance(underlying, { blockNumberTtl: 0, maxStaleness: 2 });
+    await send(provider, call(1, '0xaa'));
+    blockNumber = 12;
+    assert.equal((await send(provider, call(2, '0xaa'))).result, '0xaa-at-0xa');
+    blockNumber = 13;
+    assert.equal((await send(provider, call(3, '0xaa'))).result, '0xaa-at-0xd');
+    assert.equal(calls, 2);
+  });
+
+  it('should cache calls against a specific block for good', async () => {
+    await send(provider, call(1, '0xaa', '0x5'));
+    blockNumber = 1000;
+    assert.equal((await send(provider, call(2, '0xaa', '0x5'))).result, '0xaa-at-0x5');
+    assert.equal(calls, 1);
+  });
+
+  it('should invalidate results on observed contract events', async () => {
+    provider = CachingProvider.createInstance(underlying, { blockNumberTtl: 0, maxStaleness: 100 });
+    await send(provider, call(1, '0xaa'));
+    blockNumber = 12;
+    await send(provider, call(2, '0xaa'));
+    assert.equal(calls, 1);
+    await send(provider, payload(3, 'eth_getLogs', [{ address: address }]));
+    assert.equal((await send(provider, call(4, '0xaa'))).result, '0xaa-at-0xc');
+    assert.equal(calls, 2);
+    await send(provider, call(5, '0xaa'));
+    assert.equal(calls, 2);
+  });
+
+  it('should invalidate results explicitly', async () => {
+    provider = CachingProvider.createInstance(underlying, { blockNumberTtl: 0, maxStaleness: 100 });
+    await send(provider, call(1, '0xaa'));
+    blockNumber = 11;
+    await provider.invalidate(address);
+    await send(provider, call(2, '0xaa'));
+    assert.equal(calls, 2);
+  });
+
+  it('should not evict invalidations from a small store', async () => {
+    const store = MemoryCache.createInstance({ maxEntries: 2 });
+    provider = CachingProvider.createInstance(underlying, { store: store, blockNumberTtl: 0, maxStaleness: 100 });
+    // Event from block 12 is observed while the node still reports block 10
+    await send(provider, payload(1, 'eth_getLogs', [{ address: address }]));
+    await send(provider, call(2, '0xaa'));
+    await send(provider, call(3, '0xbb'));
+    assert.equal(store.entries.size, 2);
+    blockNumber = 12;
+    assert.equal((await send(provider, call(4, '0xaa'))).result, '0xaa-at-0xc');
+    assert.equal(calls, 3);
+  });
+
+  it('should not serve results against the latest block cached before a restart', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wt-js-libs-cache-'));
+    const file = path.join(directory, 'cache.json');
+    try {
+      let store = FileCache.createInstance(file);
+      provider = CachingProvider.createInstance(underlying, { store: store, blockNumberTtl: 0, maxStaleness: 100 });
+      await send(provider, call(1, '0xaa'));
+      await send(provider, call(2, '0xaa', '0xa'));
+      store.save();
+      // Event from block 12 is observed only before the restart
+      await send(provider, payload(3, 'eth_getLogs', [{ address: address }]));
+      blockNumber = 12;
+      store = FileCache.createInstance(file);
+      provider = CachingProvider.createInstance(underlying, { store: store, blockNumberTtl: 0, maxStaleness: 100 });
+      assert.equal((await send(provider, call(4, '0xaa'))).result, '0xaa-at-0xc');
+      assert.equal((await send(provider, call(5, '0xaa', '0xa'))).result, '0xaa-at-0xa');
+      assert.equal(calls, 3);
+      // Read again after the restart, so it is fresh
+      await send(provider, call(6, '0xaa'));
+      assert.equal(calls, 3);
+      store.save();
+    } finally {
+      for (const name of fs.readdirSync(directory)) {
+        fs.unlinkSync(path.join(directory, name));
+      }
+      fs.rmdirSync(directory);
+    }
+  });
+
+  it('should not cache other requests and failed calls', async () => {
+    underlying.send = sinon.spy((request, callback) => {
+      if (request.method === 'eth_blockNumber') {
+        return callback(null, { jsonrpc: '2.0', id: request.id, result: '0xa' });
+      }
+      callback(null, { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: 'execution reverted' } });
+    });
+    await send(provider, call(1, '0xaa'));
+    await send(provider, call(2, '0xaa'));
+    await send(provider, payload(3, 'eth_call', [{ to: address, data: '0xaa', value: '0x1' }, 'latest']));
+    await send(provider, payload(4, 'eth_getCode', [address, 'latest']));
+    await send(provider, payload(5, 'eth_getCode', [address, 'latest']));
+    assert.equal(underlying.send.getCalls().filter((c) => c.args[0].method !== 'eth_blockNumber').length, 5);
+  });
+
+  it('should serve batches partly from the cache', async () => {
+    await send(provider, call(1, '0xaa'));
+    const responses = await send(provider, [call(2, '0xaa'), call(3, '0xbb'), payload(4, 'eth_getCode', [address, 'latest'])]);
+    assert.deepEqual(responses.map((r) => r.id), [2, 3, 4]);
+    assert.deepEqual(responses.map((r) => r.result), ['0xaa-at-0xa', '0xbb-at-0xa', '0x1']);
+    const batch = underlying.send.lastCall.args[0];
+    assert.deepEqual(batch.map((p) => p.method), ['eth_call', 'eth_getCode']);
+  });
+
+  it('should use the given store', async () => {
+    const store = MemoryCache.createInstance();
+    sinon.spy(store, 'set');
+    provider = CachingProvider.createInstance(underlying, { store: store });
+    await send(provider, call(1, '0xaa'));
+    assert.equal(store.set.callCount, 1);
+    assert.equal(store.set.firstCall.args[1].blockNumber, 10);
+    assert.equal(store.set.firstCall.args[1].result, '0xaa-at-0xa');
+  });
+
+  it('should be usable by web3', async () => {
+    const web3Eth = new Web3Eth(provider);
+    await web3Eth.call({ to: address, data: '0xaa' });
+    await web3Eth.call({ to: address, data: '0xaa' });
+    assert.equal(calls, 1);
+  });
+
+  it('should throw on invalid options', () => {
+    try {
+      CachingProvider.createInstance(underlying, { maxStaleness: -1 });
+      assert(false);
+    } catch (e) {
+      assert.instanceOf(e, InputDataError);
+    }
+  });
+});
@@ -1,17 +1,34 @@
 import { assert } from 'chai';
 import sinon from 'sinon';
-import Contracts from '../../src/on-chain-data-client/contracts';
-import { SmartContractInstantiationError } from '../../src/on-chain-data-client/errors';
+import Web3Utils from 'web3-utils';
+import OrganizationInterfaceMetadata from '@windingtree/wt-contracts/build/contracts/OrganizationInterface.json';
+import OrganizationMetadata from '@windingtree/wt-contracts/build/contracts/Organization.json';
+import Contracts, { ORGANIZATION_INTERFACES } from '../../src/on-chain-data-client/contracts';
+import { IncompatibleContractError, SmartContractInstantiationError } from '../../src/on-chain-data-client/errors';
 
 describe('WTLibs.Contracts', () => {
-  let contracts, getCodeStub, ContractStub;
+  const TRUE = '0x0000000000000000000000000000000000000000000000000000000000000001';
+  const FALSE = '0x0000000000000000000000000000000000000000000000000000000000000000';
+  let contracts, getCodeStub, ContractStub, supportedInterfaces;
 
   beforeEach(() => {
     getCodeStub = sinon.stub().resolves('0x01');
     ContractStub = sinon.spy();
+    supportedInterfaces = {
+      '0x8c2373842d5ea4ce4baf53f4175e5e42a364c59c': ['0x01ffc9a7', '0x1c3af5f4'],
+    };
     contracts = Contracts.createInstance('http://localhost:8545');
     contracts.web3Eth.getCode = getCodeStub;
     contracts.web3Eth.Contract = ContractStub;
+    // supportsInterface(bytes4), interface id follows the method selector,
+    // contracts without ERC-165 revert
+    contracts.web3Eth.call = sinon.spy(async (transaction) => {
+      const supported = supportedInterfaces[transaction.to.toLowerCase()];
+      if (!supported) {
+        throw new Error('Returned error: execution reverted');
+      }
+      return supported.indexOf(`0x${transaction.data.substring(10, 18)}`) > -1 ? TRUE : FALSE;
+    });
   });
 
   it('should throw on an invalid address', async () => {
@@ -52,6 +69,148 @@ describe('WTLibs.Contracts', () => {
     assert.equal(ContractStub.calledWithNew(), true);
   });
 
+  it('should throw if the organization does not support the organization interface', async () => {
+    supportedInterfaces['0x8c2373842d5ea4ce4baf53f4175e5e42a364c59c'] = ['0x01ffc9a7'];
+    try {
+      await contracts.getOrganizationInstance('0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C');
+      throw new Error('should not have been called');
+    } catch (e) {
+      assert.match(e.message, /does not support interface 0x1c3af5f4/i);
+      assert.instanceOf(e, IncompatibleContractError);
+      assert.instanceOf(e, SmartContractInstantiationError);
+    }
+  });
+
+  it('should throw if the organization does not support ERC-165', async () => {
+    supportedInterfaces = {};
+    try {
+      await contracts.getUpdateableOrganizationInstance('0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C');
+      throw new Error('should not have been called');
+    } catch (e) {
+      assert.instanceOf(e, IncompatibleContractError);
+    }
+  });
+
+  it('should not check the interface of other contracts', async () => {
+    supportedInterfaces['0x0c4c734f0ecb92270d1ebe7b04aec4440eb05caa'] = ['0x01ffc9a7'];
+    await contracts.getSegmentDirectoryInstance('0x0C4c734F0Ecb92270D1ebE7b04aEC4440EB05CAa');
+    await contracts.getOrganizationFactoryInstance('0x36bbf6b87d1a770edd5d64145cc617385c66885d');
+    assert.equal(ContractStub.callCount, 2);
+    assert.equal(contracts.web3Eth.call.callCount, 0);
+  });
+
+  it('should use interface identifiers matching the organization contract ABI', () => {
+    const getInterfaceId = (abi, names) => {
+      const interfaceId = abi
+        .filter((m) => m.type === 'function' && names.indexOf(m.name) > -1)
+        .map((m) => parseInt(Web3Utils.sha3(`${m.name}(${m.inputs.map((i) => i.type).join(',')})`).substring(0, 10), 16))
+        .reduce((result, selector) => (result ^ selector) >>> 0, 0);
+      return Web3Utils.padLeft(Web3Utils.toHex(interfaceId), 8);
+    };
+    const groups = {
+      erc165: ['supportsInterface'],
+      owner: ['owner'],
+      associatedKeys: ['hasAssociatedKey', 'getAssociatedKeys'],
+      orgJson: ['getOrgJsonUri', 'getOrgJsonHash'],
+    };
+    groups.organization = groups.owner.concat(groups.associatedKeys, groups.orgJson);
+    for (const abi of [OrganizationInterfaceMetadata.abi, OrganizationMetadata.abi]) {
+      for (const key of Object.keys(ORGANIZATION_INTERFACES)) {
+        assert.equal(getInterfaceId(abi, groups[key]), ORGANIZATION_INTERFACES[key], key);
+      }
+    }
+    // All functions of the organization interface are covered
+    const functions = OrganizationInterfaceMetadata.abi.filter((m) => m.type === 'function').map((m) => m.name);
+    assert.sameMembers(functions, groups.organization.concat(groups.erc165));
+  });
+
+  describe('supportsInterface', () => {
+    it('should ask the contract at the given block', async () => {
+      assert.isTrue(await contracts.supportsInterface('0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C', '0x1c3af5f4', 12));
+      assert.isFalse(await contracts.supportsInterface('0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C', '0x8da5cb5b'));
+      assert.equal(contracts.web3Eth.call.firstCall.args[0].data, '0x01ffc9a71c3af5f400000000000000000000000000000000000000000000000000000000');
+      assert.equal(contracts.web3Eth.call.firstCall.args[1], 12);
+      assert.equal(contracts.web3Eth.call.secondCall.args[1], 'latest');
+    });
+
+    it('should accept only a proper true', async () => {
+      contracts.web3Eth.call = sinon.stub().resolves('0x');
+      assert.isFalse(await contracts.supportsInterface('0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C', '0x1c3af5f4'));
+    });
+
+    it('should rethrow network errors', async () => {
+      contracts.web3Eth.call = sinon.stub().rejects(new Error('Invalid JSON RPC response'));
+      try {
+        await contracts.supportsInterface('0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C', '0x1c3af5f4');
+        throw new Error('should not have been called');
+      } catch (e) {
+        assert.match(e.message, /invalid json rpc response/i);
+      }
+    });
+
+    it('should not detect ERC-165 on contracts supporting everything', async () => {
+      contracts.web3Eth.call = sinon.stub().resolves(TRUE);
+      assert.isFalse(await contracts.supportsErc165('0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C'));
+    });
+  });
+
+  describe('readOrganizations', () => {
+    it('should read all organizations in a single batch request', async () => {
+      const provider = {
+        send: sinon.spy((payload, callback) => {
+          callback(null, payload.map((p, i) => {
+            // the second organization fails
+            if (p.params[0].to === '0xbf18b616ac81830dd0c5d4b771f22fd8144fe769' && i === 3) {
+              return { jsonrpc: '2.0', id: p.id, error: { code: -32000, message: 'execution reverted' } };
+            }
+            return {
+              jsonrpc: '2.0',
+              id: p.id,
+              result: i % 2 === 0
+                ? contracts.web3Eth.abi.encodeParameter('string', `uri-${p.params[0].to}`)
+                : contracts.web3Eth.abi.encodeParameter('address', '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906'),
+            };
+          }));
+        }),
+      };
+      contracts = Contracts.createInstance(provider);
+      const result = await contracts.readOrganizations([
+        '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C',
+        '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769',
+      ], ['getOrgJsonUri', 'owner']);
+      assert.equal(provider.send.callCount, 1);
+      assert.equal(provider.send.firstCall.args[0].length, 4);
+      assert.equal(result.length, 2);
+      assert.equal(result[0].getOrgJsonUri, 'uri-0x8c2373842d5ea4ce4baf53f4175e5e42a364c59c');
+      assert.equal(result[0].owner, '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906');
+      assert.equal(result[1].getOrgJsonUri, 'uri-0xbf18b616ac81830dd0c5d4b771f22fd8144fe769');
+      assert.instanceOf(result[1].owner, Error);
+    });
+
+    it('should read at the given block', async () => {
+      const provider = {
+        send: sinon.spy((payload, callback) => {
+          callback(null, payload.map((p) => ({
+            jsonrpc: '2.0',
+            id: p.id,
+            result: contracts.web3Eth.abi.encodeParameter('address', '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906'),
+          })));
+        }),
+      };
+      contracts = Contracts.createInstance(provider);
+      const result = await contracts.readOrganizations(['0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C'], ['owner', 'getOrgJsonHash'], 100);
+      assert.deepEqual(provider.send.firstCall.args[0].map((p) => p.params[1]), ['0x64', '0x64']);
+      assert.equal(result[0].owner, '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906');
+    });
+
+    it('should not send anything when there is nothing to read', async () => {
+      const provider = { send: sinon.spy() };
+      contracts = Contracts.createInstance(provider);
+      assert.deepEqual(await contracts.readOrganizations([], ['owner']), []);
+      assert.equal(provider.send.callCount, 0);
+    });
+  });
+
   it('should not panic on empty logs', async () => {
     assert.isEmpty(await contracts.decodeLogs([]));
     assert.isEmpty(await contracts.decodeLogs([{}]));
@@ -84,4 +243,30 @@ describe('WTLibs.Contracts', () => {
     assert.equal(decodedLogs[0].attributes[0].value, '0x0C4c734F0Ecb92270D1ebE7b04aEC4440EB05CAa');
     assert.equal(decodedLogs[0].attributes[1].value, '1');
   });
+
+  describe('decodeReturnValues', () => {
+    it('should decode values returned by known method', () => {
+      const data = contracts.web3Eth.abi.encodeFunctionSignature('create(string,bytes32)') + '0000';
+      const returnData = contracts.web3Eth.abi.encodeParameter('address', '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769');
+      const result = contracts.decodeReturnValues(data, returnData);
+      assert.equal(result.contract, 'organizationFactory');
+      assert.equal(result.method, 'create');
+      assert.equal(result.values.length, 1);
+      assert.equal(result.values[0].type, 'address');
+      assert.equal(result.values[0].value, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769');
+    });
+
+    it('should handle methods without return values', () => {
+      const data = contracts.web3Eth.abi.encodeFunctionSignature('remove(address)');
+      const result = contracts.decodeReturnValues(data, '0x');
+      assert.equal(result.contract, 'segmentDirectory');
+      assert.equal(result.method, 'remove');
+      assert.deepEqual(result.values, []);
+    });
+
+    it('should return undefined for unknown method', () => {
+      assert.isUndefined(contracts.decodeReturnValues('0x12345678', '0x'));
+      assert.isUndefined(contracts.decodeReturnValues(undefined, '0x'));
+    });
+  });
 });
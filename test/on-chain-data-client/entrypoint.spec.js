@@ -94,12 +94,36 @@ describe('WTLibs.on-chain-data.Entrypoint', () => {
     });
   });
 
+  describe('point-in-time reads', () => {
+    it('should read at the pinned block', async () => {
+      entrypoint = Entrypoint.createInstance('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', utilsStub, contractsStub, undefined, { blockNumber: 100 });
+      const contract = await contractsStub.getEntrypointInstance();
+      assert.equal(await entrypoint.getOwner(), '0x8888');
+      assert.equal(contract.methods.owner().call.firstCall.args[1], 100);
+      await entrypoint.getSegmentAddress('hotels');
+      assert.equal(contract.methods.getSegment().call.firstCall.args[1], 100);
+    });
+
+    it('should pin the SegmentDirectory to the same block', async () => {
+      entrypoint = Entrypoint.createInstance('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', utilsStub, contractsStub, undefined, { blockNumber: 100 });
+      const directory = await entrypoint.getSegmentDirectory('hotels');
+      assert.equal(directory.blockNumber, 100);
+    });
+
+    it('should read at the latest block by default', async () => {
+      const directory = await entrypoint.getSegmentDirectory('hotels');
+      assert.equal(entrypoint.blockNumber, 'latest');
+      assert.equal(directory.blockNumber, 'latest');
+    });
+  });
+
   describe('getOrganizationFactory', () => {
     it('should return OrganizationFactory instance', async () => {
       const factory = await entrypoint.getOrganizationFactory();
       assert.equal(orgFactoryStub().call.callCount, 1);
       assert.instanceOf(factory, OrganizationFactory);
       assert.equal(factory.address, '0x5678');
+      assert.equal(factory.entrypoint, entrypoint);
     });
 
     it('should cache OrganizationFactory instance', async () => {
@@ -0,0 +1,143 @@
+import { assert } from 'chai';
+import sinon from 'sinon';
+import SegmentDirectory from '../../src/on-chain-data-client/segment-directory';
+import EventWatcher from '../../src/on-chain-data-client/event-watcher';
+import { WTLibsError } from '../../src/errors';
+import { InputDataError } from '../../src/on-chain-data-client/errors';
+
+describe('WTLibs.on-chain-data.EventWatcher', () => {
+  let directory, utilsStub, events, received;
+
+  const event = (name, organization, blockNumber, logIndex) => ({ event: name, organization: organization, blockNumber: blockNumber, logIndex: logIndex || 0 });
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    events = [
+      event('OrganizationAdded', '0x1', 3),
+      event('OrganizationAdded', '0x2', 5),
+      event('OrganizationRemoved', '0x1', 5, 3),
+      event('OrganizationAdded', '0x3', 9),
+    ];
+    received = [];
+    utilsStub = {
+      getCurrentBlockNumber: sinon.stub().resolves(10),
+    };
+    directory = SegmentDirectory.createInstance('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', utilsStub, {});
+    sinon.stub(directory, '_getEvents').callsFake((fromBlock, toBlock) => {
+      return Promise.resolve(events.filter((e) => e.blockNumber >= fromBlock && e.blockNumber <= toBlock));
+    });
+  });
+
+  const createWatcher = (options) => EventWatcher.createInstance(directory, (e, cursor) => {
+    received.push([e.organization, e.blockNumber, cursor]);
+  }, options);
+
+  it('should deliver only new events without a cursor', async () => {
+    const watcher = createWatcher();
+    await watcher.poll();
+    assert.deepEqual(watcher.cursor, { blockNumber: 11, logIndex: 0 });
+    assert.equal(directory._getEvents.callCount, 0);
+    events.push(event('OrganizationAdded', '0x4', 11, 2));
+    utilsStub.getCurrentBlockNumber.resolves(12);
+    await watcher.poll();
+    assert.deepEqual(received, [['0x4', 11, { blockNumber: 11, logIndex: 3 }]]);
+    assert.deepEqual(watcher.cursor, { blockNumber: 13, logIndex: 0 });
+  });
+
+  it('should deliver events from a given block exactly once', async () => {
+    const watcher = createWatcher({ fromBlock: 4 });
+    await watcher.poll();
+    await watcher.poll();
+    assert.deepEqual(received, [
+      ['0x2', 5, { blockNumber: 5, logIndex: 1 }],
+      ['0x1', 5, { blockNumber: 5, logIndex: 4 }],
+      ['0x3', 9, { blockNumber: 9, logIndex: 1 }],
+    ]);
+    assert.deepEqual(watcher.cursor, { blockNumber: 11, logIndex: 0 });
+    assert.deepEqual(directory._getEvents.firstCall.args, [4, 10, 5000]);
+  });
+
+  it('should resume from a stored cursor in the middle of a block', async () => {
+    const watcher = createWatcher({ cursor: { blockNumber: 5, logIndex: 1 } });
+    await watcher.poll();
+    assert.deepEqual(received.map((r) => r[0]), ['0x1', '0x3']);
+    assert.deepEqual(directory._getEvents.firstCall.args, [5, 10, 5000]);
+  });
+
+  it('should wait for confirmations', async () => {
+    const watcher = createWatcher({ fromBlock: 0, confirmations: 3 });
+    await watcher.poll();
+    assert.deepEqual(received.map((r) => r[0]), ['0x1', '0x2', '0x1']);
+    assert.deepEqual(watcher.cursor, { blockNumber: 8, logIndex: 0 });
+    utilsStub.getCurrentBlockNumber.resolves(12);
+    await watcher.poll();
+    assert.deepEqual(received.map((r) => r[0]), ['0x1', '0x2', '0x1', '0x3']);
+  });
+
+  it('should retry with the next poll when events cannot be read', async () => {
+    const onError = sinon.spy();
+    const watcher = createWatcher({ fromBlock: 0, onError: onError });
+    directory._getEvents.onFirstCall().rejects(new Error('connection error'));
+    await watcher.poll();
+    assert.equal(onError.callCount, 1);
+    assert.instanceOf(onError.firstCall.args[0], WTLibsError);
+    assert.match(onError.firstCall.args[0].message, /cannot watch events: connection error/i);
+    assert.deepEqual(watcher.cursor, { blockNumber: 0, logIndex: 0 });
+    await watcher.poll();
+    assert.equal(received.length, 4);
+  });
+
+  it('should pass callback errors to onError and retry the event with the next poll', async () => {
+    const onError = sinon.spy();
+    const callback = sinon.stub().onSecondCall().rejects(new Error('db down'));
+    const watcher = EventWatcher.createInstance(directory, callback, { fromBlock: 0, onError: onError });
+    await watcher.poll();
+    assert.equal(callback.callCount, 2);
+    assert.equal(onError.callCount, 1);
+    assert.match(onError.firstCall.args[0].message, /db down/i);
+    assert.deepEqual(watcher.cursor, { blockNumber: 3, logIndex: 1 });
+    await watcher.poll();
+    assert.deepEqual(callback.getCalls().map((c) => c.args[0].organization), ['0x1', '0x2', '0x2', '0x1', '0x3']);
+    assert.deepEqual(watcher.cursor, { blockNumber: 11, logIndex: 0 });
+  });
+
+  it('should stop after the current event when unsubscribed during a delivery', async () => {
+    const watcher = EventWatcher.createInstance(directory, (e) => {
+      received.push(e.organization);
+      watcher.unsubscribe();
+    }, { fromBlock: 4 });
+    await watcher.poll();
+    assert.deepEqual(received, ['0x2']);
+    assert.deepEqual(watcher.cursor, { blockNumber: 5, logIndex: 1 });
+  });
+
+  it('should poll periodically until unsubscribed', async () => {
+    const watcher = directory.watch(() => {}, { pollInterval: 5 });
+    assert.instanceOf(watcher, EventWatcher);
+    await wait(30);
+    const callCount = utilsStub.getCurrentBlockNumber.callCount;
+    assert.isAbove(callCount, 1);
+    watcher.unsubscribe();
+    await wait(30);
+    assert.equal(utilsStub.getCurrentBlockNumber.callCount, callCount);
+  });
+
+  it('should throw on invalid arguments', () => {
+    const invalid = [
+      [undefined, {}],
+      [() => {}, { pollInterval: 0 }],
+      [() => {}, { confirmations: -1 }],
+      [() => {}, { fromBlock: 'latest' }],
+      [() => {}, { cursor: 5 }],
+      [() => {}, { cursor: { blockNumber: 5 } }],
+    ];
+    for (const [callback, options] of invalid) {
+      try {
+        directory.watch(callback, options);
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+      }
+    }
+  });
+});
@@ -0,0 +1,211 @@
+import { assert } from 'chai';
+import sinon from 'sinon';
+import Web3Eth from 'web3-eth';
+import FailoverProvider from '../../src/on-chain-data-client/failover-provider';
+import { InputDataError, NodeUnavailableError } from '../../src/on-chain-data-client/errors';
+
+describe('WTLibs.on-chain-data.FailoverProvider', () => {
+  const stubProvider = (results, blockNumber) => {
+    return {
+      blockNumber: blockNumber,
+      send: sinon.spy(function (payload, callback) {
+        if (this.down) {
+          return callback(new Error('CONNECTION ERROR: Couldn\'t connect to node'));
+        }
+        if (payload.method === 'eth_blockNumber') {
+          return callback(null, { jsonrpc: '2.0', id: payload.id, result: `0x${this.blockNumber.toString(16)}` });
+        }
+        callback(null, { jsonrpc: '2.0', id: payload.id, result: results[payload.method.replace('eth_', '')] });
+      }),
+    };
+  };
+  const payload = (method, params) => ({ jsonrpc: '2.0', id: 1, method: method, params: params || [] });
+  const send = (provider, request) => {
+    return new Promise((resolve, reject) => {
+      provider.send(request, (err, response) => (err ? reject(err) : resolve(response)));
+    });
+  };
+  let first, second, provider;
+
+  beforeEach(() => {
+    first = stubProvider({ call: '0x01', sendRawTransaction: '0xfirst' }, 10);
+    second = stubProvider({ call: '0x02', sendRawTransaction: '0xsecond' }, 10);
+    provider = FailoverProvider.createInstance([first, second], { retries: 2, retryDelay: 1 });
+  });
+
+  describe('createInstance', () => {
+    it('should throw without providers', () => {
+      try {
+        FailoverProvider.createInstance([]);
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+        assert.match(e.message, /no providers/i);
+      }
+    });
+
+    it('should create providers from urls', () => {
+      const instance = FailoverProvider.createInstance(['http://localhost:8545', 'https://localhost:8546']);
+      assert.instanceOf(instance.nodes[0].provider, Web3Eth.providers.HttpProvider);
+      assert.instanceOf(instance.nodes[1].provider, Web3Eth.providers.HttpProvider);
+    });
+
+    it('should throw on unsupported url', () => {
+      try {
+        FailoverProvider.createInstance(['ftp://localhost']);
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+      }
+    });
+
+    it('should be usable by web3', async () => {
+      const web3Eth = new Web3Eth(provider);
+      assert.equal(await web3Eth.getBlockNumber(), 10);
+    });
+  });
+
+  describe('reads', () => {
+    it('should prefer the first provider', async () => {
+      const response = await send(provider, payload('eth_call'));
+      assert.equal(response.result, '0x01');
+      assert.equal(second.send.callCount, 0);
+    });
+
+    it('should fail over to the next provider', async () => {
+      first.down = true;
+      const response = await send(provider, payload('eth_call'));
+      assert.equal(response.result, '0x02');
+      assert.equal(provider.nodes[0].healthy, false);
+      // Failed node is skipped from now on
+      await send(provider, payload('eth_call'));
+      assert.equal(first.send.callCount, 1);
+    });
+
+    it('should retry with backoff when all providers fail', async () => {
+      first.down = true;
+      second.down = true;
+      const clock = sinon.stub(provider, '_delay').callsFake(() => {
+        second.down = false;
+        return Promise.resolve();
+      });
+      try {
+        const response = await send(provider, payload('eth_getCode'));
+        assert.equal(clock.callCount, 1);
+        assert.equal(clock.firstCall.args[0], 1);
+        assert.isUndefined(response.error);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      first.down = true;
+      second.down = true;
+      try {
+        await send(provider, payload('eth_getTransactionReceipt', ['0x1']));
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /connection error/i);
+        // one attempt and two retries on both nodes
+        assert.equal(first.send.callCount, 3);
+        assert.equal(second.send.callCount, 3);
+      }
+    });
+
+    it('should not retry methods that are not known to be idempotent', async () => {
+      first.down = true;
+      try {
+        await send(provider, payload('personal_sign'));
+        assert(false);
+      } catch (e) {
+        assert.equal(first.send.callCount, 1);
+        assert.equal(second.send.callCount, 0);
+      }
+    });
+
+    it('should skip providers behind a previously seen block', async () => {
+      second.blockNumber = 12;
+      provider.nodes[0].healthy = false;
+      provider.nodes[0].failedAt = Date.now();
+      await send(provider, payload('eth_blockNumber'));
+      assert.equal(provider.minBlockNumber, 12);
+      provider.nodes[0].healthy = true;
+      const response = await send(provider, payload('eth_call'));
+      assert.equal(response.result, '0x02');
+      assert.equal(provider.nodes[0].blockNumber, 10);
+    });
+
+    it('should remember blocks from receipts', async () => {
+      first = stubProvider({ getTransactionReceipt: { blockNumber: '0x14' } }, 10);
+      provider = FailoverProvider.createInstance([first, second], { retries: 0 });
+      await send(provider, payload('eth_getTransactionReceipt', ['0x1']));
+      assert.equal(provider.minBlockNumber, 20);
+    });
+
+    it('should fail when no provider is synced', async () => {
+      provider.minBlockNumber = 15;
+      try {
+        await send(provider, payload('eth_call'));
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, NodeUnavailableError);
+        assert.match(e.message, /synced to block 15/i);
+      }
+    });
+  });
+
+  describe('writes', () => {
+    it('should stick to a single provider', async () => {
+      await send(provider, payload('eth_sendRawTransaction', ['0x']));
+      await send(provider, payload('eth_getTransactionCount', ['0xaddress', 'pending']));
+      await send(provider, payload('eth_sendRawTransaction', ['0x']));
+      assert.equal(first.send.callCount, 3);
+      assert.equal(second.send.callCount, 0);
+    });
+
+    it('should not retry and switch to the next provider after a failure', async () => {
+      first.down = true;
+      try {
+        await send(provider, payload('eth_sendRawTransaction', ['0x']));
+        assert(false);
+      } catch (e) {
+        assert.equal(second.send.callCount, 0);
+      }
+      const response = await send(provider, payload('eth_sendRawTransaction', ['0x']));
+      assert.equal(response.result, '0xsecond');
+      first.down = false;
+      await send(provider, payload('eth_sendRawTransaction', ['0x']));
+      assert.equal(first.send.callCount, 1);
+    });
+  });
+
+  describe('checkHealth', () => {
+    it('should report health and block numbers', async () => {
+      second.down = true;
+      const result = await provider.checkHealth();
+      assert.deepEqual(result, [
+        { healthy: true, blockNumber: 10 },
+        { healthy: false, blockNumber: undefined },
+      ]);
+      second.down = false;
+      await provider.checkHealth();
+      assert.equal(provider.nodes[1].healthy, true);
+    });
+
+    it('should run periodically', () => {
+      const clock = sinon.useFakeTimers();
+      try {
+        sinon.spy(provider, 'checkHealth');
+        provider.startHealthChecks(1000);
+        clock.tick(2500);
+        assert.equal(provider.checkHealth.callCount, 2);
+        provider.stopHealthChecks();
+        clock.tick(2500);
+        assert.equal(provider.checkHealth.callCount, 2);
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+});
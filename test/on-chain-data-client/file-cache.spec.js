@@ -0,0 +1,63 @@
+import { assert } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FileCache from '../../src/on-chain-data-client/file-cache';
+import { InputDataError } from '../../src/on-chain-data-client/errors';
+
+describe('WTLibs.on-chain-data.FileCache', () => {
+  let directory, file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wt-js-libs-cache-'));
+    file = path.join(directory, 'cache.json');
+  });
+
+  afterEach(() => {
+    for (const name of fs.readdirSync(directory)) {
+      fs.unlinkSync(path.join(directory, name));
+    }
+    fs.rmdirSync(directory);
+  });
+
+  it('should survive a restart', async () => {
+    const cache = FileCache.createInstance(file, { maxEntries: 2 });
+    await cache.set('a', { blockNumber: 1, result: '0x1' });
+    await cache.set('b', 2);
+    await cache.set('c', 3);
+    cache.save();
+    const restarted = FileCache.createInstance(file, { maxEntries: 2 });
+    assert.isUndefined(await restarted.get('a'));
+    assert.equal(await restarted.get('b'), 2);
+    assert.equal(await restarted.get('c'), 3);
+  });
+
+  it('should save changes after a delay', async () => {
+    const cache = FileCache.createInstance(file, { saveDelay: 5 });
+    await cache.set('a', 1);
+    assert.isFalse(fs.existsSync(file));
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.equal(await FileCache.createInstance(file).get('a'), 1);
+    await cache.delete('a');
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.isUndefined(await FileCache.createInstance(file).get('a'));
+  });
+
+  it('should start empty with an unreadable file', async () => {
+    fs.writeFileSync(file, '{"broken');
+    const cache = FileCache.createInstance(file);
+    assert.isUndefined(await cache.get('a'));
+    await cache.set('a', 1);
+    cache.save();
+    assert.equal(await FileCache.createInstance(file).get('a'), 1);
+  });
+
+  it('should throw without path', () => {
+    try {
+      FileCache.createInstance();
+      assert(false);
+    } catch (e) {
+      assert.instanceOf(e, InputDataError);
+    }
+  });
+});
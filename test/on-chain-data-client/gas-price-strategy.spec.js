@@ -0,0 +1,146 @@
+import { assert } from 'chai';
+import sinon from 'sinon';
+import GasPriceStrategy from '../../src/on-chain-data-client/gas-price-strategy';
+import { InputDataError } from '../../src/on-chain-data-client/errors';
+
+describe('WTLibs.on-chain-data.GasPriceStrategy', () => {
+  let web3EthStub;
+
+  beforeEach(() => {
+    web3EthStub = {
+      getGasPrice: sinon.stub().resolves('1000000000'),
+      getBlockNumber: sinon.stub().resolves(2),
+      getBlock: sinon.stub().callsFake((number) => {
+        if (number === 'latest') {
+          return Promise.resolve({ baseFeePerGas: '5000000000' });
+        }
+        return Promise.resolve({
+          transactions: [{ gasPrice: String((number + 1) * 1000000000) }, { gasPrice: String((number + 1) * 2000000000) }],
+        });
+      }),
+      getMaxPriorityFeePerGas: sinon.stub().resolves('0x3b9aca00'),
+      getFeeHistory: sinon.stub().resolves({
+        baseFeePerGas: ['0x1', '0x2', '0x12a05f200'],
+        reward: [['0x77359400'], ['0x3b9aca00'], ['0xb2d05e00']],
+      }),
+    };
+  });
+
+  describe('createInstance', () => {
+    it('should throw on unknown strategy', () => {
+      try {
+        GasPriceStrategy.createInstance({ type: 'random' }, web3EthStub);
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+        assert.match(e.message, /unknown gas price strategy/i);
+      }
+    });
+
+    it('should throw on fixed strategy without values', () => {
+      try {
+        GasPriceStrategy.createInstance({ type: 'fixed' }, web3EthStub);
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /requires gasPrice/i);
+      }
+      try {
+        GasPriceStrategy.createInstance({ type: 'fixed', eip1559: true, maxFeePerGas: '1' }, web3EthStub);
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /requires maxFeePerGas and maxPriorityFeePerGas/i);
+      }
+    });
+
+    it('should throw on custom strategy without function', () => {
+      try {
+        GasPriceStrategy.createInstance({ type: 'custom' }, web3EthStub);
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /requires getFees/i);
+      }
+    });
+  });
+
+  describe('getFees', () => {
+    it('should return fixed gasPrice', async () => {
+      const strategy = GasPriceStrategy.createInstance({ type: 'fixed', gasPrice: 20000000000 }, web3EthStub);
+      assert.deepEqual(await strategy.getFees(), { gasPrice: '20000000000' });
+    });
+
+    it('should return fixed EIP-1559 fees', async () => {
+      const strategy = GasPriceStrategy.createInstance({ type: 'fixed', eip1559: true, maxFeePerGas: '40', maxPriorityFeePerGas: '2' }, web3EthStub);
+      assert.deepEqual(await strategy.getFees(), { maxFeePerGas: '40', maxPriorityFeePerGas: '2' });
+    });
+
+    it('should multiply node suggestion', async () => {
+      const strategy = GasPriceStrategy.createInstance({ type: 'node', multiplier: 1.25 }, web3EthStub);
+      assert.deepEqual(await strategy.getFees(), { gasPrice: '1250000000' });
+    });
+
+    it('should compute EIP-1559 fees from node suggestion', async () => {
+      const strategy = GasPriceStrategy.createInstance({ type: 'node', eip1559: true, multiplier: 2 }, web3EthStub);
+      assert.deepEqual(await strategy.getFees(), {
+        maxFeePerGas: '12000000000',
+        maxPriorityFeePerGas: '2000000000',
+      });
+    });
+
+    it('should throw when network does not support EIP-1559', async () => {
+      web3EthStub.getBlock = sinon.stub().resolves({});
+      const strategy = GasPriceStrategy.createInstance({ type: 'node', eip1559: true }, web3EthStub);
+      try {
+        await strategy.getFees();
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+      }
+    });
+
+    it('should compute percentile of recent blocks', async () => {
+      const strategy = GasPriceStrategy.createInstance({ type: 'percentile', percentile: 50, blocks: 3 }, web3EthStub);
+      // 1, 2, 2, 3, 4, 6 gwei
+      assert.deepEqual(await strategy.getFees(), { gasPrice: '2000000000' });
+      assert.equal(web3EthStub.getBlock.callCount, 3);
+      assert.equal(web3EthStub.getBlock.firstCall.args[1], true);
+    });
+
+    it('should fall back to node suggestion for empty blocks', async () => {
+      web3EthStub.getBlock = sinon.stub().resolves({ transactions: [] });
+      const strategy = GasPriceStrategy.createInstance({ type: 'percentile' }, web3EthStub);
+      assert.deepEqual(await strategy.getFees(), { gasPrice: '1000000000' });
+    });
+
+    it('should compute EIP-1559 fees from fee history', async () => {
+      const strategy = GasPriceStrategy.createInstance({ type: 'percentile', eip1559: true, percentile: 75, blocks: 3 }, web3EthStub);
+      assert.deepEqual(await strategy.getFees(), {
+        maxFeePerGas: '12000000000',
+        maxPriorityFeePerGas: '2000000000',
+      });
+      assert.deepEqual(web3EthStub.getFeeHistory.firstCall.args, ['0x3', 'latest', [75]]);
+    });
+
+    it('should register fee related methods', async () => {
+      delete web3EthStub.getFeeHistory;
+      web3EthStub.extend = sinon.stub().callsFake(() => {
+        web3EthStub.getFeeHistory = sinon.stub();
+      });
+      const strategy = GasPriceStrategy.createInstance({ type: 'node', eip1559: true }, web3EthStub);
+      await strategy.getFees();
+      const methods = web3EthStub.extend.firstCall.args[0].methods.map((m) => m.call);
+      assert.deepEqual(methods, ['eth_feeHistory', 'eth_maxPriorityFeePerGas']);
+    });
+
+    it('should use custom function', async () => {
+      const getFees = sinon.stub().resolves({ maxFeePerGas: 30, maxPriorityFeePerGas: '3', other: 'field' });
+      const strategy = GasPriceStrategy.createInstance(getFees, web3EthStub);
+      assert.deepEqual(await strategy.getFees(), { maxFeePerGas: '30', maxPriorityFeePerGas: '3' });
+      assert.equal(getFees.firstCall.args[0], web3EthStub);
+    });
+
+    it('should accept plain gas price from custom function', async () => {
+      const strategy = GasPriceStrategy.createInstance({ type: 'custom', getFees: async () => '0x3b9aca00' }, web3EthStub);
+      assert.deepEqual(await strategy.getFees(), { gasPrice: '1000000000' });
+    });
+  });
+});
@@ -2,8 +2,122 @@ import { assert } from 'chai';
 import sinon from 'sinon';
 import OnChainDataClient from '../../src/on-chain-data-client';
 import Entrypoint from '../../src/on-chain-data-client/entrypoint';
+import FailoverProvider from '../../src/on-chain-data-client/failover-provider';
+import BatchingProvider from '../../src/on-chain-data-client/batching-provider';
+import CachingProvider from '../../src/on-chain-data-client/caching-provider';
+import { OffChainDataClient } from '../../src/off-chain-data-client';
+import {
+  TransactionFailedError,
+  TransactionDroppedError,
+  TransactionWaitTimeoutError,
+} from '../../src/on-chain-data-client/errors';
 
 describe('WTLibs.on-chain-data.OnChainDataClient', () => {
+  describe('createInstance', () => {
+    it('should setup default gasCoefficient', () => {
+      const client = OnChainDataClient.createInstance({ opt1: 'value' });
+      assert.equal(client.options.opt1, 'value');
+      assert.equal(client.options.gasCoefficient, 2);
+      assert.isDefined(client.entrypoints);
+    });
+
+    it('should setup web3Utils and web3Contracts', () => {
+      const client = OnChainDataClient.createInstance({ provider: 'http://localhost:8545', gasMargin: 4 });
+      assert.equal(client.web3Utils.gasModifiers.gasMargin, 4);
+      assert.isUndefined(client.web3Utils.gasPriceStrategy);
+      assert.equal(client.web3Utils.provider, 'http://localhost:8545');
+      assert.equal(client.web3Contracts.provider, 'http://localhost:8545');
+    });
+
+    it('should setup gasPriceStrategy', async () => {
+      const client = OnChainDataClient.createInstance({ provider: 'http://localhost:8545', gasPriceStrategy: { type: 'fixed', gasPrice: 10 } });
+      assert.isDefined(client.web3Utils.gasPriceStrategy);
+      assert.deepEqual(await client.web3Utils.getGasPriceFields(), { gasPrice: '10' });
+    });
+
+    it('should setup failover provider for a list of providers', () => {
+      const client = OnChainDataClient.createInstance({
+        provider: ['http://localhost:8545', 'http://localhost:8546'],
+        providerOptions: { retries: 5 },
+      });
+      assert.instanceOf(client.provider, FailoverProvider);
+      assert.equal(client.provider.nodes.length, 2);
+      assert.equal(client.provider.options.retries, 5);
+      assert.equal(client.web3Utils.provider, client.provider);
+      assert.equal(client.web3Contracts.provider, client.provider);
+    });
+
+    it('should setup batching provider', () => {
+      const client = OnChainDataClient.createInstance({
+        provider: ['http://localhost:8545', 'http://localhost:8546'],
+        batch: { wait: 10 },
+      });
+      assert.instanceOf(client.provider, BatchingProvider);
+      assert.instanceOf(client.provider.provider, FailoverProvider);
+      assert.equal(client.provider.options.wait, 10);
+      assert.equal(client.web3Utils.provider, client.provider);
+      assert.equal(client.web3Contracts.provider, client.provider);
+    });
+
+    it('should setup caching provider', () => {
+      const client = OnChainDataClient.createInstance({
+        provider: 'http://localhost:8545',
+        batch: true,
+        cache: { maxStaleness: 5 },
+      });
+      assert.instanceOf(client.provider, CachingProvider);
+      assert.instanceOf(client.provider.provider, BatchingProvider);
+      assert.equal(client.provider.maxStaleness, 5);
+      assert.equal(client.web3Contracts.provider, client.provider);
+    });
+
+    it('should not share state between instances', () => {
+      const client1 = OnChainDataClient.createInstance({ provider: 'http://localhost:8545' });
+      const client2 = OnChainDataClient.createInstance({ provider: 'http://localhost:8546' });
+      const entrypoint1 = client1.getEntrypoint('123');
+      const entrypoint2 = client2.getEntrypoint('123');
+      assert.notStrictEqual(entrypoint1, entrypoint2);
+      assert.equal(entrypoint1.web3Utils.provider, 'http://localhost:8545');
+      assert.equal(entrypoint2.web3Utils.provider, 'http://localhost:8546');
+      assert.notStrictEqual(client1.web3Contracts, client2.web3Contracts);
+    });
+
+    it('should not touch the shared configuration', () => {
+      OnChainDataClient.setup({ provider: 'http://localhost:8545' });
+      OnChainDataClient.createInstance({ provider: 'http://localhost:8546' });
+      assert.equal(OnChainDataClient.options.provider, 'http://localhost:8545');
+      assert.equal(OnChainDataClient.web3Utils.provider, 'http://localhost:8545');
+      OnChainDataClient._reset();
+    });
+
+    it('should release nonce of an abandoned transaction', () => {
+      const client = OnChainDataClient.createInstance({ provider: 'http://localhost:8545' });
+      const releaseStub = sinon.stub(client.web3Utils, 'releaseNonce');
+      client.abandonTransaction({ from: '0x123', nonce: 4 });
+      assert.equal(releaseStub.callCount, 1);
+      assert.deepEqual(releaseStub.firstCall.args, ['0x123', 4]);
+    });
+
+    it('should pass offChainDataClient to organizations', () => {
+      const offChainDataClient = OffChainDataClient.createInstance({});
+      const client = OnChainDataClient.createInstance({ provider: 'http://localhost:8545' }, offChainDataClient);
+      assert.equal(client.getOrganization('0x123').offChainDataClient, offChainDataClient);
+      assert.equal(client.getUpdateableOrganization('0x123').offChainDataClient, offChainDataClient);
+      assert.equal(client.getEntrypoint('0x123').offChainDataClient, offChainDataClient);
+    });
+
+    it('should return entrypoints and organizations pinned to a block', () => {
+      const client = OnChainDataClient.createInstance({ provider: 'http://localhost:8545' });
+      const latest = client.getEntrypoint('0x123');
+      const pinned = client.getEntrypoint('0x123', { blockNumber: 100 });
+      assert.notStrictEqual(latest, pinned);
+      assert.strictEqual(client.getEntrypoint('0x123', { blockNumber: 100 }), pinned);
+      assert.equal(latest.blockNumber, 'latest');
+      assert.equal(pinned.blockNumber, 100);
+      assert.equal(client.getOrganization('0x123', { blockNumber: 100 }).blockNumber, 100);
+    });
+  });
+
   describe('setup', () => {
     afterEach(() => {
       OnChainDataClient._reset();
@@ -43,9 +157,11 @@ describe('WTLibs.on-chain-data.OnChainDataClient', () => {
       OnChainDataClient.getEntrypoint('123');
       assert.isDefined(OnChainDataClient.entrypoints['123']);
       assert.isDefined(OnChainDataClient.options.opt1);
+      OnChainDataClient.trackedTransactions['0x1'] = { blockHash: '0xb1' };
       OnChainDataClient._reset();
       assert.isUndefined(OnChainDataClient.entrypoints['123']);
       assert.isUndefined(OnChainDataClient.options.opt1);
+      assert.isUndefined(OnChainDataClient.trackedTransactions['0x1']);
     });
   });
 
@@ -72,4 +188,333 @@ describe('WTLibs.on-chain-data.OnChainDataClient', () => {
       assert.instanceOf(model, Entrypoint);
     });
   });
+
+  describe('simulate', () => {
+    let client;
+    const transactionData = { from: '0xa', to: '0xb', data: '0x1234', gas: 100 };
+
+    beforeEach(() => {
+      client = OnChainDataClient.createInstance({ provider: 'http://localhost:8545' });
+      sinon.stub(client.web3Utils, 'callTransaction').resolves({ success: true, returnData: '0x01' });
+      sinon.stub(client.web3Utils, 'getTransactionLogs').resolves([{ topics: ['0x1'] }]);
+      sinon.stub(client.web3Contracts, 'decodeLogs').returns([{ event: 'OrganizationCreated' }]);
+      sinon.stub(client.web3Contracts, 'decodeReturnValues').returns({
+        contract: 'organizationFactory',
+        method: 'create',
+        values: [{ name: '', type: 'address', value: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769' }],
+      });
+    });
+
+    it('should run transaction against the latest block', async () => {
+      const result = await client.simulate(transactionData);
+      assert.equal(client.web3Utils.callTransaction.firstCall.args[0], transactionData);
+      assert.equal(client.web3Utils.callTransaction.firstCall.args[1], 'latest');
+      assert.equal(client.web3Utils.getTransactionLogs.firstCall.args[1], 'latest');
+      assert.equal(client.web3Contracts.decodeReturnValues.firstCall.args[0], '0x1234');
+      assert.equal(client.web3Contracts.decodeReturnValues.firstCall.args[1], '0x01');
+      assert.equal(result.success, true);
+      assert.equal(result.method, 'create');
+      assert.equal(result.returnValues[0].value, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769');
+      assert.deepEqual(result.events, [{ event: 'OrganizationCreated' }]);
+    });
+
+    it('should run transaction against chosen block', async () => {
+      await client.simulate(transactionData, 10);
+      assert.equal(client.web3Utils.callTransaction.firstCall.args[1], 10);
+      assert.equal(client.web3Utils.getTransactionLogs.firstCall.args[1], 10);
+    });
+
+    it('should predict organization address', async () => {
+      const result = await client.simulate(transactionData);
+      assert.equal(result.organizationAddress, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769');
+    });
+
+    it('should not predict organization address for other methods', async () => {
+      client.web3Contracts.decodeReturnValues.returns({
+        contract: 'segmentDirectory',
+        method: 'add',
+        values: [{ name: '', type: 'address', value: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769' }],
+      });
+      const result = await client.simulate(transactionData);
+      assert.equal(result.method, 'add');
+      assert.isUndefined(result.organizationAddress);
+    });
+
+    it('should leave out events when node cannot trace calls', async () => {
+      client.web3Utils.getTransactionLogs.resolves(undefined);
+      const result = await client.simulate(transactionData);
+      assert.equal(result.success, true);
+      assert.isUndefined(result.events);
+      assert.equal(client.web3Contracts.decodeLogs.callCount, 0);
+    });
+
+    it('should report revert', async () => {
+      client.web3Utils.callTransaction.resolves({ success: false, revertReason: 'Only owner' });
+      const result = await client.simulate(transactionData);
+      assert.equal(result.success, false);
+      assert.equal(result.revertReason, 'Only owner');
+      assert.isUndefined(result.returnValues);
+      assert.isUndefined(result.events);
+    });
+
+    it('should not report node errors as revert', async () => {
+      client.web3Utils.callTransaction.rejects(new Error('CONNECTION ERROR'));
+      try {
+        await client.simulate(transactionData);
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /connection error/i);
+      }
+    });
+  });
+
+  describe('getTransactionsStatus', () => {
+    let client, receipts, blocks;
+
+    beforeEach(() => {
+      client = OnChainDataClient.createInstance({ provider: 'http://localhost:8545' });
+      receipts = {
+        '0x1': { transactionHash: '0x1', blockNumber: 10, blockHash: '0xb10', status: true, logs: [] },
+        '0x2': { transactionHash: '0x2', blockNumber: 11, blockHash: '0xb11', status: true, logs: [] },
+      };
+      blocks = { 10: { hash: '0xb10' }, 11: { hash: '0xb11' } };
+      sinon.stub(client.web3Utils, 'getTransactionReceipt').callsFake((hash) => Promise.resolve(receipts[hash]));
+      sinon.stub(client.web3Utils, 'getTransaction').callsFake((hash) => Promise.resolve({ hash: hash, from: '0xa', to: '0xb' }));
+      sinon.stub(client.web3Utils, 'getBlock').callsFake((number) => Promise.resolve(blocks[number]));
+      sinon.stub(client.web3Utils, 'getCurrentBlockNumber').resolves(12);
+      sinon.stub(client.web3Contracts, 'decodeLogs').returns([]);
+    });
+
+    it('should return transaction status', async () => {
+      const status = await client.getTransactionsStatus(['0x1', '0x2', '0x3']);
+      assert.equal(status.meta.total, 3);
+      assert.equal(status.meta.processed, 2);
+      assert.equal(status.meta.minBlockAge, 1);
+      assert.equal(status.meta.maxBlockAge, 2);
+      assert.equal(status.meta.allPassed, false);
+      assert.deepEqual(status.meta.reorganized, []);
+      assert.deepEqual(status.meta.removed, []);
+      assert.equal(status.results['0x1'].blockHash, '0xb10');
+      assert.equal(status.results['0x1'].reorganized, false);
+      assert.equal(status.results['0x1'].from, '0xa');
+      assert.isUndefined(status.results['0x3']);
+    });
+
+    it('should add revert reason of failed transactions', async () => {
+      receipts['0x2'].status = false;
+      sinon.stub(client.web3Utils, 'getRevertReason').resolves('Only owner');
+      const status = await client.getTransactionsStatus(['0x1', '0x2']);
+      assert.equal(client.web3Utils.getRevertReason.callCount, 1);
+      assert.equal(client.web3Utils.getRevertReason.firstCall.args[0].hash, '0x2');
+      assert.equal(client.web3Utils.getRevertReason.firstCall.args[1], 11);
+      assert.equal(status.results['0x2'].revertReason, 'Only owner');
+      assert.isUndefined(status.results['0x1'].revertReason);
+      assert.equal(status.meta.allPassed, false);
+    });
+
+    it('should detect transaction that moved to another block', async () => {
+      await client.getTransactionsStatus(['0x1', '0x2']);
+      receipts['0x1'] = { transactionHash: '0x1', blockNumber: 11, blockHash: '0xb11', status: true, logs: [] };
+      const status = await client.getTransactionsStatus(['0x1', '0x2']);
+      assert.deepEqual(status.meta.reorganized, ['0x1']);
+      assert.equal(status.results['0x1'].reorganized, true);
+      assert.equal(status.results['0x1'].previousBlockHash, '0xb10');
+      assert.equal(status.results['0x1'].blockHash, '0xb11');
+      assert.equal(status.results['0x2'].reorganized, false);
+      const nextStatus = await client.getTransactionsStatus(['0x1', '0x2']);
+      assert.deepEqual(nextStatus.meta.reorganized, []);
+    });
+
+    it('should detect transaction that disappeared', async () => {
+      await client.getTransactionsStatus(['0x1', '0x2']);
+      delete receipts['0x2'];
+      const status = await client.getTransactionsStatus(['0x1', '0x2']);
+      assert.deepEqual(status.meta.removed, ['0x2']);
+      assert.equal(status.meta.processed, 1);
+      assert.equal(status.meta.allPassed, false);
+      assert.isUndefined(status.results['0x2']);
+    });
+
+    it('should ignore receipts from blocks that are no longer canonical', async () => {
+      await client.getTransactionsStatus(['0x1', '0x2']);
+      blocks[11] = { hash: '0xb11-new' };
+      const status = await client.getTransactionsStatus(['0x1', '0x2']);
+      assert.deepEqual(status.meta.removed, ['0x2']);
+      assert.isUndefined(status.results['0x2']);
+    });
+
+    it('should report transaction that reappeared in another block', async () => {
+      await client.getTransactionsStatus(['0x2']);
+      delete receipts['0x2'];
+      await client.getTransactionsStatus(['0x2']);
+      receipts['0x2'] = { transactionHash: '0x2', blockNumber: 12, blockHash: '0xb12', status: true, logs: [] };
+      blocks[12] = { hash: '0xb12' };
+      const status = await client.getTransactionsStatus(['0x2']);
+      assert.deepEqual(status.meta.reorganized, ['0x2']);
+      assert.deepEqual(status.meta.removed, []);
+      assert.equal(status.results['0x2'].previousBlockHash, '0xb11');
+    });
+
+    it('should forget untracked transactions', async () => {
+      await client.getTransactionsStatus(['0x1', '0x2']);
+      assert.deepEqual(Object.keys(client.trackedTransactions), ['0x1', '0x2']);
+      client.untrackTransactions(['0x1', '0x3']);
+      assert.deepEqual(Object.keys(client.trackedTransactions), ['0x2']);
+      receipts['0x1'] = { transactionHash: '0x1', blockNumber: 11, blockHash: '0xb11', status: true, logs: [] };
+      const status = await client.getTransactionsStatus(['0x1']);
+      assert.deepEqual(status.meta.reorganized, []);
+    });
+
+    it('should forget the least recently seen transactions over the limit', async () => {
+      client.options.maxTrackedTransactions = 2;
+      receipts['0x3'] = { transactionHash: '0x3', blockNumber: 11, blockHash: '0xb11', status: true, logs: [] };
+      await client.getTransactionsStatus(['0x1', '0x2']);
+      await client.getTransactionsStatus(['0x1']);
+      await client.getTransactionsStatus(['0x3']);
+      assert.deepEqual(Object.keys(client.trackedTransactions), ['0x1', '0x3']);
+    });
+
+    it('should keep track of transactions per instance', async () => {
+      await client.getTransactionsStatus(['0x1']);
+      const otherClient = OnChainDataClient.createInstance({ provider: 'http://localhost:8545' });
+      assert.isDefined(client.trackedTransactions['0x1']);
+      assert.isUndefined(otherClient.trackedTransactions['0x1']);
+    });
+  });
+
+  describe('waitForTransactions', () => {
+    let client;
+    const _status = (results, total) => {
+      const values = Object.values(results);
+      return {
+        meta: {
+          total: total,
+          processed: values.length,
+          minBlockAge: Math.min(...(values.map((a) => a.blockAge))),
+          maxBlockAge: Math.max(...(values.map((a) => a.blockAge))),
+          allPassed: values.every((a) => a.raw.status) && values.length === total,
+        },
+        results: results,
+      };
+    };
+    const _result = (hash, blockAge, status = true) => {
+      return { transactionHash: hash, blockAge: blockAge, raw: { status: status } };
+    };
+
+    beforeEach(() => {
+      client = OnChainDataClient.createInstance({ provider: 'http://localhost:8545' });
+      sinon.stub(client.web3Utils, 'getTransaction').resolves({ hash: '0x1' });
+      sinon.stub(client, 'getTransactionsStatus');
+    });
+
+    it('should resolve once all transactions are old enough', async () => {
+      client.getTransactionsStatus.onCall(0).resolves(_status({}, 2));
+      client.getTransactionsStatus.onCall(1).resolves(_status({ '0x1': _result('0x1', 0) }, 2));
+      client.getTransactionsStatus.onCall(2).resolves(_status({ '0x1': _result('0x1', 1), '0x2': _result('0x2', 0) }, 2));
+      client.getTransactionsStatus.onCall(3).resolves(_status({ '0x1': _result('0x1', 2), '0x2': _result('0x2', 1) }, 2));
+      const result = await client.waitForTransactions(['0x1', '0x2'], { pollInterval: 0 });
+      assert.equal(client.getTransactionsStatus.callCount, 4);
+      assert.equal(result.meta.minBlockAge, 1);
+      assert.equal(result.meta.processed, 2);
+    });
+
+    it('should respect required confirmations', async () => {
+      client.getTransactionsStatus.onCall(0).resolves(_status({ '0x1': _result('0x1', 1) }, 1));
+      client.getTransactionsStatus.onCall(1).resolves(_status({ '0x1': _result('0x1', 3) }, 1));
+      const result = await client.waitForTransactions(['0x1'], { pollInterval: 0, confirmations: 3 });
+      assert.equal(client.getTransactionsStatus.callCount, 2);
+      assert.equal(result.meta.minBlockAge, 3);
+    });
+
+    it('should report progress', async () => {
+      const first = _status({}, 1);
+      const second = _status({ '0x1': _result('0x1', 1) }, 1);
+      client.getTransactionsStatus.onCall(0).resolves(first);
+      client.getTransactionsStatus.onCall(1).resolves(second);
+      const progressCallback = sinon.stub();
+      await client.waitForTransactions(['0x1'], { pollInterval: 0 }, { onProgress: progressCallback });
+      assert.equal(progressCallback.callCount, 2);
+      assert.equal(progressCallback.firstCall.args[0], first);
+      assert.equal(progressCallback.secondCall.args[0].meta.processed, 1);
+    });
+
+    it('should throw when transaction is reverted', async () => {
+      client.getTransactionsStatus.resolves(_status({ '0x1': _result('0x1', 0), '0x2': _result('0x2', 0, false) }, 2));
+      try {
+        await client.waitForTransactions(['0x1', '0x2'], { pollInterval: 0 });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, TransactionFailedError);
+        assert.equal(e.transactionHash, '0x2');
+        assert.equal(e.status.meta.processed, 2);
+      }
+    });
+
+    it('should throw when transaction disappears', async () => {
+      client.getTransactionsStatus.resolves(_status({}, 1));
+      client.web3Utils.getTransaction.onCall(1).resolves(null);
+      try {
+        await client.waitForTransactions(['0x1'], { pollInterval: 0 });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, TransactionDroppedError);
+        assert.equal(e.transactionHash, '0x1');
+        assert.equal(client.getTransactionsStatus.callCount, 2);
+      }
+    });
+
+    it('should throw on timeout when transaction is not mined', async () => {
+      client.getTransactionsStatus.resolves(_status({}, 1));
+      try {
+        await client.waitForTransactions(['0x1'], { pollInterval: 0, timeout: 0 });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, TransactionWaitTimeoutError);
+        assert.equal(e.transactionHash, '0x1');
+      }
+    });
+
+    it('should throw on timeout when transaction is not old enough', async () => {
+      client.getTransactionsStatus.resolves(_status({ '0x1': _result('0x1', 4), '0x2': _result('0x2', 1) }, 2));
+      try {
+        await client.waitForTransactions(['0x1', '0x2'], { pollInterval: 0, timeout: 0, confirmations: 2 });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, TransactionWaitTimeoutError);
+        assert.equal(e.transactionHash, '0x2');
+        assert.match(e.message, /block age of 2/i);
+      }
+    });
+
+    it('should keep confirmed transactions tracked', async () => {
+      client.trackedTransactions = { '0x1': { blockHash: '0xb1' }, '0x2': { blockHash: '0xb2' }, '0x3': { blockHash: '0xb3' } };
+      client.getTransactionsStatus.resolves(_status({ '0x1': _result('0x1', 1), '0x2': _result('0x2', 1) }, 2));
+      await client.waitForTransactions(['0x1', '0x2'], { pollInterval: 0 });
+      assert.deepEqual(Object.keys(client.trackedTransactions), ['0x1', '0x2', '0x3']);
+    });
+
+    it('should untrack transactions when they are reverted', async () => {
+      client.trackedTransactions = { '0x1': { blockHash: '0xb1' }, '0x2': { blockHash: '0xb2' } };
+      client.getTransactionsStatus.resolves(_status({ '0x1': _result('0x1', 0, false) }, 1));
+      try {
+        await client.waitForTransactions(['0x1'], { pollInterval: 0 });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, TransactionFailedError);
+        assert.deepEqual(Object.keys(client.trackedTransactions), ['0x2']);
+      }
+    });
+
+    it('should untrack transactions when waiting fails', async () => {
+      client.trackedTransactions = { '0x1': { blockHash: '0xb1' } };
+      client.getTransactionsStatus.resolves(_status({}, 1));
+      try {
+        await client.waitForTransactions(['0x1'], { pollInterval: 0, timeout: 0 });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, TransactionWaitTimeoutError);
+        assert.deepEqual(client.trackedTransactions, {});
+      }
+    });
+  });
 });
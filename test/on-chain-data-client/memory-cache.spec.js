@@ -0,0 +1,34 @@
+import { assert } from 'chai';
+import MemoryCache from '../../src/on-chain-data-client/memory-cache';
+import { InputDataError } from '../../src/on-chain-data-client/errors';
+
+describe('WTLibs.on-chain-data.MemoryCache', () => {
+  it('should store values', async () => {
+    const cache = MemoryCache.createInstance();
+    assert.isUndefined(await cache.get('a'));
+    await cache.set('a', { result: '0x1' });
+    assert.deepEqual(await cache.get('a'), { result: '0x1' });
+    await cache.delete('a');
+    assert.isUndefined(await cache.get('a'));
+  });
+
+  it('should drop the least recently used values', async () => {
+    const cache = MemoryCache.createInstance({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+    assert.equal(await cache.get('a'), 1);
+    assert.isUndefined(await cache.get('b'));
+    assert.equal(await cache.get('c'), 3);
+  });
+
+  it('should throw on invalid maxEntries', () => {
+    try {
+      MemoryCache.createInstance({ maxEntries: 0 });
+      assert(false);
+    } catch (e) {
+      assert.instanceOf(e, InputDataError);
+    }
+  });
+});
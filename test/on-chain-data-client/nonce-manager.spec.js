@@ -0,0 +1,107 @@
+import { assert } from 'chai';
+import sinon from 'sinon';
+import NonceManager from '../../src/on-chain-data-client/nonce-manager';
+
+describe('WTLibs.on-chain-data.NonceManager', () => {
+  const address = '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906';
+  let web3EthStub, nonceManager;
+
+  beforeEach(() => {
+    web3EthStub = {
+      getTransactionCount: sinon.stub().resolves(5),
+    };
+    nonceManager = NonceManager.createInstance(web3EthStub);
+  });
+
+  describe('reserve', () => {
+    it('should start with the pending transaction count', async () => {
+      assert.equal(await nonceManager.reserve(address), 5);
+      assert.equal(web3EthStub.getTransactionCount.firstCall.args[0], address);
+      assert.equal(web3EthStub.getTransactionCount.firstCall.args[1], 'pending');
+    });
+
+    it('should reserve sequential nonces', async () => {
+      const nonces = await Promise.all([
+        nonceManager.reserve(address),
+        nonceManager.reserve(address),
+        nonceManager.reserve(address),
+      ]);
+      assert.deepEqual(nonces, [5, 6, 7]);
+      assert.deepEqual(nonceManager.getReservedNonces(address), [5, 6, 7]);
+    });
+
+    it('should treat addresses case insensitively', async () => {
+      assert.equal(await nonceManager.reserve(address), 5);
+      assert.equal(await nonceManager.reserve(address.toLowerCase()), 6);
+    });
+
+    it('should keep separate sequences for different senders', async () => {
+      assert.equal(await nonceManager.reserve(address), 5);
+      assert.equal(await nonceManager.reserve('0x04e46F24307E4961157B986a0b653a0D88F9dBd6'), 5);
+    });
+
+    it('should skip nonces used by transactions sent by someone else', async () => {
+      assert.equal(await nonceManager.reserve(address), 5);
+      web3EthStub.getTransactionCount.resolves(10);
+      assert.equal(await nonceManager.reserve(address), 10);
+      assert.deepEqual(nonceManager.getReservedNonces(address), [10]);
+    });
+
+    it('should not block other reservations when one fails', async () => {
+      web3EthStub.getTransactionCount.onFirstCall().rejects(new Error('node down'));
+      try {
+        await nonceManager.reserve(address);
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /node down/i);
+      }
+      assert.equal(await nonceManager.reserve(address), 5);
+    });
+  });
+
+  describe('release', () => {
+    it('should reassign released nonce', async () => {
+      await nonceManager.reserve(address);
+      const nonce = await nonceManager.reserve(address);
+      await nonceManager.reserve(address);
+      nonceManager.release(address, nonce);
+      assert.deepEqual(nonceManager.getReservedNonces(address), [5, 7]);
+      assert.equal(await nonceManager.reserve(address), 6);
+      assert.equal(await nonceManager.reserve(address), 8);
+    });
+
+    it('should shrink the sequence when the last nonces are released', async () => {
+      await nonceManager.reserve(address);
+      await nonceManager.reserve(address);
+      await nonceManager.reserve(address);
+      nonceManager.release(address, 6);
+      nonceManager.release(address, 7);
+      assert.equal(await nonceManager.reserve(address), 6);
+      assert.equal(await nonceManager.reserve(address), 7);
+    });
+
+    it('should drop released nonces already used by the network', async () => {
+      await nonceManager.reserve(address);
+      await nonceManager.reserve(address);
+      await nonceManager.reserve(address);
+      nonceManager.release(address, 5);
+      web3EthStub.getTransactionCount.resolves(6);
+      assert.equal(await nonceManager.reserve(address), 8);
+    });
+
+    it('should ignore nonces that were not reserved', async () => {
+      await nonceManager.reserve(address);
+      nonceManager.release(address, 42);
+      assert.deepEqual(nonceManager.getReservedNonces(address), [5]);
+      assert.equal(await nonceManager.reserve(address), 6);
+    });
+
+    it('should ignore confirmed nonces', async () => {
+      const nonce = await nonceManager.reserve(address);
+      nonceManager.confirm(address, nonce);
+      nonceManager.release(address, nonce);
+      assert.deepEqual(nonceManager.getReservedNonces(address), []);
+      assert.equal(await nonceManager.reserve(address), 6);
+    });
+  });
+});
@@ -1,9 +1,15 @@
 import { assert } from 'chai';
 import sinon from 'sinon';
 import OrganizationFactory from '../../src/on-chain-data-client/organization-factory';
+import Utils from '../../src/on-chain-data-client/utils';
 import helpers from '../utils/helpers';
 import { WTLibsError } from '../../src/errors';
-import { InputDataError } from '../../src/on-chain-data-client/errors';
+import { InputDataError, OnChainDataRuntimeError, OrganizationCreationError } from '../../src/on-chain-data-client/errors';
+import { OffChainDataClient } from '../../src/off-chain-data-client';
+import testedDataModel from '../utils/data-hotel-model-definition';
+import jsonWallet from '../utils/test-wallet';
+import Wallet from '../../src/wallet';
+import { TransactionRevertedError } from '../../src/wallet/errors';
 
 describe('WTLibs.on-chain-data.OrganizationFactory', () => {
   let contractsStub, utilsStub;
@@ -14,6 +20,10 @@ describe('WTLibs.on-chain-data.OrganizationFactory', () => {
       getCurrentWeb3Provider: sinon.stub().returns('current-provider'),
       applyGasModifier: sinon.stub().returns(12),
       determineCurrentAddressNonce: sinon.stub().resolves(3),
+      reserveNonce: sinon.stub().resolves(3),
+      bindNonceCallbacks: sinon.stub().callsFake((transactionData, eventCallbacks) => eventCallbacks || {}),
+      getGasPriceFields: sinon.stub().resolves({}),
+      prepareTransaction: Utils.prototype.prepareTransaction,
       isZeroAddress: sinon.stub().callsFake((addr) => {
         return addr === '0x0000000000000000000000000000000000000000';
       }),
@@ -38,6 +48,174 @@ describe('WTLibs.on-chain-data.OrganizationFactory', () => {
       assert.equal(tx.transactionData.to, factory.address);
     });
 
+    it('should return a single step plan', async () => {
+      const plan = await factory.createOrganization({ owner: 'b', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' });
+      assert.equal(plan.steps.length, 1);
+      assert.equal(plan.steps[0].id, 'create');
+      assert.deepEqual(plan.steps[0].expectedEvents, ['OrganizationCreated']);
+      assert.instanceOf(plan.organization, Promise);
+    });
+
+    it('should resolve organization once the receipt arrives', async () => {
+      contractsStub.decodeLogs = sinon.stub().returns([
+        { event: 'OwnershipTransferred', attributes: [] },
+        { event: 'OrganizationCreated', address: '0x96ea4bbf71fea3c9411c1cefc555e9d7189695fa', attributes: [{ name: 'organization', value: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769' }] },
+      ]);
+      const tx = await factory.createOrganization({ owner: 'b', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' });
+      tx.eventCallbacks.onReceipt({ logs: [] });
+      const organization = await tx.organization;
+      assert.equal(contractsStub.decodeLogs.callCount, 1);
+      assert.equal(organization.address, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769');
+      assert.equal(organization.web3Contracts, contractsStub);
+    });
+
+    it('should find the event of the factory regardless of log order', async () => {
+      contractsStub.decodeLogs = sinon.stub().returns([
+        { event: 'OrganizationCreated', address: '0x8C51716A18CF4FBF12437EdC010fDBE2E51Fd934', attributes: [{ name: 'organization', value: '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C' }] },
+        { event: 'OrganizationAdded', address: '0x8C51716A18CF4FBF12437EdC010fDBE2E51Fd934', attributes: [{ name: 'organization', value: '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C' }] },
+        { event: 'OwnershipTransferred', address: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769', attributes: [] },
+        { event: 'OrganizationCreated', address: '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', attributes: [{ name: 'organization', value: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769' }] },
+      ]);
+      const tx = await factory.createOrganization({ owner: 'b', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' });
+      tx.eventCallbacks.onReceipt({ status: true, logs: [] });
+      assert.equal((await tx.organization).address, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769');
+    });
+
+    it('should reject organization when the receipt has no OrganizationCreated event of the factory', async () => {
+      contractsStub.decodeLogs = sinon.stub().returns([
+        { event: 'OwnershipTransferred', address: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769', attributes: [] },
+        { event: 'OrganizationCreated', address: '0x8C51716A18CF4FBF12437EdC010fDBE2E51Fd934', attributes: [{ name: 'organization', value: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769' }] },
+      ]);
+      const tx = await factory.createOrganization({ owner: 'b', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' });
+      const receipt = { status: true, transactionHash: '0x123', logs: [] };
+      tx.eventCallbacks.onReceipt(receipt);
+      try {
+        await tx.organization;
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /no OrganizationCreated event/i);
+        assert.instanceOf(e, OrganizationCreationError);
+        assert.equal(e.receipt, receipt);
+      }
+    });
+
+    it('should reject organization when the event contains an invalid address', async () => {
+      contractsStub.decodeLogs = sinon.stub().returns([
+        { event: 'OrganizationCreated', address: '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', attributes: [{ name: 'organization', value: '0x0000000000000000000000000000000000000000' }] },
+      ]);
+      const tx = await factory.createOrganization({ owner: 'b', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' });
+      tx.eventCallbacks.onReceipt({ status: true, logs: [] });
+      try {
+        await tx.organization;
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /invalid address/i);
+        assert.instanceOf(e, OrganizationCreationError);
+      }
+    });
+
+    it('should reject organization when the transaction is reverted', async () => {
+      const wallet = Wallet.createInstance(jsonWallet);
+      wallet.setupWeb3Eth(testedDataModel.withDataSource().onChainDataOptions.provider);
+      wallet.unlock('test123');
+      sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+      sinon.stub(wallet.web3Eth, 'sendSignedTransaction').returns(helpers.stubPromiEvent({
+        txHash: true,
+        error: 'Transaction has been reverted by the EVM',
+      }));
+      contractsStub.decodeLogs = sinon.stub().returns([]);
+      const plan = await factory.createOrganization({ owner: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' });
+      const result = await plan.execute(wallet);
+      assert.isFalse(result.success);
+      assert.instanceOf(result.steps[0].error, TransactionRevertedError);
+      try {
+        await plan.organization;
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /cannot create organization: transaction reverted/i);
+        assert.instanceOf(e, OrganizationCreationError);
+        assert.equal(e.originalError, result.steps[0].error);
+      }
+    });
+
+    it('should resolve organization when the transaction is sped up', async () => {
+      const wallet = Wallet.createInstance(jsonWallet);
+      wallet.setupWeb3Eth(testedDataModel.withDataSource().onChainDataOptions.provider);
+      wallet.unlock('test123');
+      sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+      const originalHandlers = {};
+      let originalSent;
+      const sent = new Promise((resolve) => { originalSent = resolve; });
+      const originalTx = {
+        on: function (evt, callback) {
+          originalHandlers[evt] = callback;
+          if (evt === 'transactionHash') {
+            callback('0xoriginal'); // eslint-disable-line standard/no-callback-literal
+            originalSent();
+          }
+          return this;
+        },
+        catch: function (callback) {
+          originalHandlers.catch = callback;
+        },
+      };
+      const receipt = { status: true, transactionHash: '0xreplacement', logs: [] };
+      const replacementTx = {
+        on: function (evt, callback) {
+          if (evt === 'transactionHash') {
+            callback('0xreplacement'); // eslint-disable-line standard/no-callback-literal
+          }
+          if (evt === 'receipt') {
+            callback(receipt);
+          }
+          return this;
+        },
+        catch: () => {},
+      };
+      sinon.stub(wallet.web3Eth, 'sendSignedTransaction')
+        .onFirstCall().returns(originalTx)
+        .onSecondCall().returns(replacementTx);
+      sinon.stub(wallet.web3Eth, 'getTransaction').resolves({
+        hash: '0xoriginal',
+        from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+        to: '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA',
+        input: '0x1234',
+        value: '0',
+        gas: 100000,
+        nonce: 3,
+        gasPrice: '1000000000',
+        blockNumber: null,
+      });
+      contractsStub.decodeLogs = sinon.stub().returns([
+        { event: 'OrganizationCreated', address: '0x96ea4bbf71fea3c9411c1cefc555e9d7189695fa', attributes: [{ name: 'organization', value: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769' }] },
+      ]);
+      const plan = await factory.createOrganization({ owner: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' });
+      const execution = plan.execute(wallet);
+      await sent;
+      assert.equal(await wallet.speedUp('0xoriginal'), receipt);
+      const timeout = new Error('Transaction was not mined within 750 seconds, please make sure your transaction was properly sent.');
+      originalHandlers.error(timeout);
+      originalHandlers.catch(timeout);
+      const result = await execution;
+      assert.isTrue(result.success);
+      assert.equal(result.steps[0].status, 'mined');
+      assert.equal(result.steps[0].receipt, receipt);
+      assert.equal((await plan.organization).address, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769');
+    });
+
+    it('should not cause an unhandled rejection when nobody waits for the organization', async () => {
+      const unhandled = sinon.spy();
+      process.on('unhandledRejection', unhandled);
+      try {
+        const plan = await factory.createOrganization({ owner: 'b', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' });
+        plan.eventCallbacks.onError(new Error('Transaction reverted'));
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        assert.equal(unhandled.callCount, 0);
+      } finally {
+        process.removeListener('unhandledRejection', unhandled);
+      }
+    });
+
     it('should throw generic error when something does not work during tx data preparation', async () => {
       try {
         sinon.stub(factory, '_getDeployedFactory').resolves({
@@ -89,6 +267,15 @@ describe('WTLibs.on-chain-data.OrganizationFactory', () => {
   });
 
   describe('createAndAdd', () => {
+    it('should return a single step plan', async () => {
+      const plan = await factory.createAndAddOrganization({ owner: 'b', orgJsonUri: 'a', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' }, '0x8C51716A18CF4FBF12437EdC010fDBE2E51Fd934');
+      assert.equal(plan.steps.length, 1);
+      assert.equal(plan.steps[0].id, 'createAndAddToDirectory');
+      assert.deepEqual(plan.steps[0].expectedEvents, ['OrganizationCreated', 'OrganizationAdded']);
+      assert.equal(plan.transactionData.from, 'b');
+      assert.instanceOf(plan.organization, Promise);
+    });
+
     it('should throw when adding org without orgJsonUri', async () => {
       try {
         await factory.createAndAddOrganization({ owner: 'b', orgJsonHash: '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99' }, '0x8C51716A18CF4FBF12437EdC010fDBE2E51Fd934');
@@ -148,4 +335,134 @@ describe('WTLibs.on-chain-data.OrganizationFactory', () => {
       }
     });
   });
+
+  describe('onboard', () => {
+    const directoryAddress = '0x8C51716A18CF4FBF12437EdC010fDBE2E51Fd934';
+    let entrypointStub, offChainDataClient, download;
+
+    beforeEach(() => {
+      utilsStub.getSoliditySha3Hash = Utils.prototype.getSoliditySha3Hash;
+      entrypointStub = {
+        getSegmentDirectory: sinon.stub().resolves({ address: directoryAddress }),
+      };
+      offChainDataClient = OffChainDataClient.createInstance(testedDataModel.withDataSource().offChainDataOptions);
+      download = async (uri) => JSON.parse(await offChainDataClient.getAdapter('in-memory').download(uri));
+      factory = OrganizationFactory.createInstance('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', utilsStub, contractsStub, offChainDataClient, {
+        entrypoint: entrypointStub,
+      });
+    });
+
+    it('should upload all documents bottom-up and prepare create and add plan', async () => {
+      const orgJson = { dataFormatVersion: '0.2.3', name: 'Hotel', hotel: { name: 'Hotel', apis: [{ entrypoint: 'http://example.com', format: 'coolapi' }] } };
+      const result = await factory.onboard({
+        orgJson: orgJson,
+        owner: 'b',
+        segment: 'hotels',
+        adapter: 'in-memory',
+        segmentDocuments: {
+          descriptionUri: { name: 'Hotel', roomTypes: [{ id: 'single' }] },
+          ratePlansUri: [{ id: 'rate-plan' }],
+          availabilityUri: { roomTypes: [{ availabilityUri: { single: 1 } }] },
+        },
+      });
+      assert.equal(entrypointStub.getSegmentDirectory.firstCall.args[0], 'hotels');
+      const uploadedOrgJson = await download(result.orgJsonUri);
+      assert.equal(result.orgJsonHash, Utils.prototype.getSoliditySha3Hash(await offChainDataClient.getAdapter('in-memory').download(result.orgJsonUri)));
+      assert.equal(uploadedOrgJson.name, 'Hotel');
+      assert.equal(uploadedOrgJson.hotel.apis.length, 2);
+      assert.deepEqual(uploadedOrgJson.hotel.apis[0], { entrypoint: 'http://example.com', format: 'coolapi' });
+      assert.equal(uploadedOrgJson.hotel.apis[1].format, 'windingtree');
+      // the original data is not modified
+      assert.equal(orgJson.hotel.apis.length, 1);
+      const index = await download(uploadedOrgJson.hotel.apis[1].entrypoint);
+      assert.deepEqual(await download(index.descriptionUri), { name: 'Hotel', roomTypes: [{ id: 'single' }] });
+      assert.deepEqual(await download(index.ratePlansUri), [{ id: 'rate-plan' }]);
+      const availability = await download(index.availabilityUri);
+      assert.deepEqual(await download(availability.roomTypes[0].availabilityUri), { single: 1 });
+      const plan = result.transactionPlan;
+      assert.equal(plan.steps[0].id, 'createAndAddToDirectory');
+      assert.equal(plan.transactionData.from, 'b');
+      assert.instanceOf(plan.organization, Promise);
+    });
+
+    it('should upload only ORG.JSON without segment documents', async () => {
+      const result = await factory.onboard({ orgJson: { name: 'Airline' }, owner: 'b', segment: 'airlines' });
+      assert.deepEqual(await download(result.orgJsonUri), { name: 'Airline' });
+      assert.equal(result.transactionPlan.steps.length, 1);
+    });
+
+    it('should throw on missing data', async () => {
+      for (const data of [undefined, { owner: 'b', segment: 'hotels' }, { orgJson: {}, segment: 'hotels' }, { orgJson: {}, owner: 'b' }]) {
+        try {
+          await factory.onboard(data);
+          assert(false);
+        } catch (e) {
+          assert.match(e.message, /cannot onboard organization/i);
+          assert.instanceOf(e, InputDataError);
+        }
+      }
+    });
+
+    it('should throw on segment documents of an unknown segment', async () => {
+      try {
+        await factory.onboard({ orgJson: {}, owner: 'b', segment: 'trains', segmentDocuments: { descriptionUri: {} } });
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /unknown data model/i);
+        assert.instanceOf(e, InputDataError);
+      }
+    });
+
+    it('should throw without an entrypoint', async () => {
+      factory = OrganizationFactory.createInstance('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', utilsStub, contractsStub, offChainDataClient);
+      try {
+        await factory.onboard({ orgJson: {}, owner: 'b', segment: 'hotels' });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, OnChainDataRuntimeError);
+      }
+    });
+
+    it('should not upload anything when the segment does not exist', async () => {
+      entrypointStub.getSegmentDirectory = sinon.stub().rejects(new OnChainDataRuntimeError('Cannot find segment'));
+      const upload = sinon.spy();
+      offChainDataClient.getAdapter = sinon.stub().returns({ upload: upload });
+      try {
+        await factory.onboard({ orgJson: {}, owner: 'b', segment: 'trains' });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, OnChainDataRuntimeError);
+        assert.equal(upload.callCount, 0);
+      }
+    });
+
+    it('should use the shared OffChainDataClient configuration without an instance', async () => {
+      OffChainDataClient.setup(testedDataModel.withDataSource().offChainDataOptions);
+      try {
+        factory = OrganizationFactory.createInstance('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', utilsStub, contractsStub, undefined, {
+          entrypoint: entrypointStub,
+        });
+        const result = await factory.onboard({ orgJson: { name: 'Airline' }, owner: 'b', segment: 'airlines' });
+        assert.equal(await OffChainDataClient.getAdapter('in-memory').download(result.orgJsonUri), '{"name":"Airline"}');
+      } finally {
+        OffChainDataClient._reset();
+      }
+    });
+
+    it('should require an adapter when more are configured', async () => {
+      offChainDataClient = OffChainDataClient.createInstance({
+        adapters: { 'in-memory': { create: () => {} }, other: { create: () => {} } },
+      });
+      factory = OrganizationFactory.createInstance('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', utilsStub, contractsStub, offChainDataClient, {
+        entrypoint: entrypointStub,
+      });
+      try {
+        await factory.onboard({ orgJson: {}, owner: 'b', segment: 'hotels' });
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /missing adapter/i);
+        assert.instanceOf(e, InputDataError);
+      }
+    });
+  });
 });
@@ -0,0 +1,132 @@
+import { assert } from 'chai';
+import sinon from 'sinon';
+import SegmentDirectory from '../../src/on-chain-data-client/segment-directory';
+import OrganizationIterator from '../../src/on-chain-data-client/organization-iterator';
+import OnChainOrganization from '../../src/on-chain-data-client/organization';
+import { InputDataError } from '../../src/on-chain-data-client/errors';
+
+describe('WTLibs.on-chain-data.OrganizationIterator', () => {
+  const zeroAddress = '0x0000000000000000000000000000000000000000';
+  let directory, organizationsStub, contractsStub, addressList;
+
+  const collect = async (iterator) => {
+    const result = [];
+    for await (const organization of iterator) {
+      result.push(organization.address);
+    }
+    return result;
+  };
+
+  beforeEach(() => {
+    addressList = [
+      zeroAddress,
+      '0x0000000000000000000000000000000000000001',
+      '0x0000000000000000000000000000000000000002',
+      zeroAddress, // removed
+      '0x0000000000000000000000000000000000000004',
+      '0x0000000000000000000000000000000000000005',
+    ];
+    organizationsStub = sinon.stub().callsFake((index) => ({ call: sinon.stub().resolves(addressList[index]) }));
+    contractsStub = {
+      readOrganizations: sinon.stub().callsFake((addresses) => Promise.resolve(addresses.map((a) => ({ owner: `owner-${a}` })))),
+    };
+    directory = SegmentDirectory.createInstance('0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA', {
+      isZeroAddress: (addr) => addr === zeroAddress,
+    }, contractsStub);
+    sinon.stub(directory, '_getDeployedDirectory').resolves({
+      methods: {
+        organizations: organizationsStub,
+        getOrganizationsLength: () => ({ call: sinon.stub().callsFake(() => Promise.resolve(String(addressList.length))) }),
+      },
+    });
+  });
+
+  it('should yield organizations in index order', async () => {
+    const iterator = directory.iterateOrganizations({ pageSize: 2 });
+    assert.instanceOf(iterator, OrganizationIterator);
+    const result = await collect(iterator);
+    assert.deepEqual(result, [
+      '0x0000000000000000000000000000000000000001',
+      '0x0000000000000000000000000000000000000002',
+      '0x0000000000000000000000000000000000000004',
+      '0x0000000000000000000000000000000000000005',
+    ]);
+    assert.equal(iterator.totalCount, 5);
+    assert.equal(iterator.cursor, 6);
+    // never reads the reserved zeroeth position
+    assert.equal(organizationsStub.callCount, 5);
+    assert.equal(organizationsStub.firstCall.args[0], 1);
+  });
+
+  it('should resume from a cursor', async () => {
+    const iterator = directory.iterateOrganizations({ pageSize: 2 });
+    const first = await iterator.next();
+    assert.equal(first.value.address, '0x0000000000000000000000000000000000000001');
+    assert.equal(iterator.cursor, 2);
+    const resumed = directory.iterateOrganizations({ startIndex: iterator.cursor });
+    assert.deepEqual(await collect(resumed), [
+      '0x0000000000000000000000000000000000000002',
+      '0x0000000000000000000000000000000000000004',
+      '0x0000000000000000000000000000000000000005',
+    ]);
+  });
+
+  it('should pick up organizations added during the iteration', async () => {
+    const iterator = directory.iterateOrganizations({ pageSize: 10 });
+    await iterator.next();
+    addressList.push('0x0000000000000000000000000000000000000006');
+    const rest = await collect(iterator);
+    assert.equal(rest[rest.length - 1], '0x0000000000000000000000000000000000000006');
+    assert.equal(iterator.totalCount, 6);
+  });
+
+  it('should limit concurrency', async () => {
+    let running = 0, maxRunning = 0;
+    organizationsStub.callsFake((index) => ({
+      call: async () => {
+        running++;
+        maxRunning = Math.max(running, maxRunning);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        running--;
+        return addressList[index];
+      },
+    }));
+    await collect(directory.iterateOrganizations({ pageSize: 5, concurrency: 2 }));
+    assert.equal(maxRunning, 2);
+  });
+
+  it('should prefetch fields for every page', async () => {
+    const iterator = directory.iterateOrganizations({ pageSize: 3, prefetch: ['owner'] });
+    const organization = (await iterator.next()).value;
+    assert.instanceOf(organization, OnChainOrganization);
+    assert.equal(await organization.owner, 'owner-0x0000000000000000000000000000000000000001');
+    await collect(iterator);
+    assert.equal(contractsStub.readOrganizations.callCount, 2);
+  });
+
+  it('should skip inaccessible organizations', async () => {
+    contractsStub.readOrganizations = sinon.stub().callsFake((addresses) => Promise.resolve(addresses.map((a) => ({
+      owner: a.endsWith('2') ? new Error('reverted') : 'owner',
+    }))));
+    const result = await collect(directory.iterateOrganizations({ prefetch: ['owner'] }));
+    assert.notInclude(result, '0x0000000000000000000000000000000000000002');
+    assert.equal(result.length, 3);
+  });
+
+  it('should report total count', async () => {
+    const iterator = directory.iterateOrganizations();
+    assert.isUndefined(iterator.totalCount);
+    assert.equal(await iterator.getTotalCount(), 5);
+  });
+
+  it('should throw on invalid options', () => {
+    for (const options of [{ pageSize: 0 }, { startIndex: -1 }, { concurrency: 1.5 }, { prefetch: ['random'] }]) {
+      try {
+        directory.iterateOrganizations(options);
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+      }
+    }
+  });
+});
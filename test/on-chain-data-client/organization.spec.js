@@ -2,8 +2,14 @@ import { assert } from 'chai';
 import sinon from 'sinon';
 import helpers from '../utils/helpers';
 import testedDataModel from '../utils/data-hotel-model-definition';
+import Web3Utils from 'web3-utils';
+import Web3Eth from 'web3-eth';
 import OnChainOrganization from '../../src/on-chain-data-client/organization';
+import Utils from '../../src/on-chain-data-client/utils';
+import Contracts from '../../src/on-chain-data-client/contracts';
+import { InputDataError, SignatureVerificationError } from '../../src/on-chain-data-client/errors';
 import { WtJsLibs } from '../../src/index';
+import { OffChainDataClient } from '../../src/off-chain-data-client';
 
 describe('WTLibs.on-chain-data.Organization', () => {
   let contractsStub, utilsStub, orgJsonStub, urlStub, hashStub, ownerStub, associatedKeysStub, hasAssociatedKeyStub;
@@ -37,7 +43,8 @@ describe('WTLibs.on-chain-data.Organization', () => {
         },
       }),
     };
-    organization = OnChainOrganization.createInstance(utilsStub, contractsStub, 'some-address');
+    const offChainDataClient = OffChainDataClient.createInstance(testedDataModel.withDataSource().offChainDataOptions);
+    organization = OnChainOrganization.createInstance(utilsStub, contractsStub, 'some-address', offChainDataClient);
   });
 
   describe('initialize', () => {
@@ -94,6 +101,211 @@ describe('WTLibs.on-chain-data.Organization', () => {
       await organization.hasAssociatedKey('0x0');
       assert.equal(hasAssociatedKeyStub().call.callCount, 1);
     });
+    it('should call the smart contract at the pinned block', async () => {
+      organization = OnChainOrganization.createInstance(utilsStub, contractsStub, 'some-address', undefined, { blockNumber: 100 });
+      await organization.hasAssociatedKey('0x0');
+      assert.equal(hasAssociatedKeyStub().call.firstCall.args[1], 100);
+    });
+  });
+
+  describe('verifySignature', () => {
+    const data = JSON.stringify({ booking: 'request' });
+    let owner, key, methods;
+
+    beforeEach(async () => {
+      const web3Eth = new Web3Eth();
+      owner = web3Eth.accounts.privateKeyToAccount('0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318');
+      key = web3Eth.accounts.privateKeyToAccount('0x8da4ef21b864d2cc526dbdb2a120bd2874c36c9d0a1fb7f8c63d7f7a8b41de8f');
+      utilsStub.web3Eth = web3Eth;
+      utilsStub.recoverSigner = Utils.prototype.recoverSigner;
+      methods = (await contractsStub.getOrganizationInstance()).methods;
+      methods.owner = helpers.stubContractMethodResult(owner.address);
+      methods.hasAssociatedKey = sinon.stub().callsFake((address) => ({
+        call: sinon.stub().resolves(address === key.address),
+      }));
+    });
+
+    it('should accept the owner', async () => {
+      const result = await organization.verifySignature(data, owner.sign(data).signature);
+      assert.deepEqual(result, { signer: owner.address, role: 'owner' });
+    });
+
+    it('should accept an associated key', async () => {
+      const result = await organization.verifySignature(data, key.sign(data).signature);
+      assert.deepEqual(result, { signer: key.address, role: 'associatedKey' });
+      assert.equal(methods.hasAssociatedKey.firstCall.args[0], key.address);
+      assert.equal(methods.hasAssociatedKey.firstCall.returnValue.call.firstCall.args[1], 'latest');
+    });
+
+    it('should check the keys at the given block', async () => {
+      await organization.verifySignature(data, key.sign(data).signature, 100);
+      assert.equal(methods.owner().call.firstCall.args[1], 100);
+      assert.equal(methods.hasAssociatedKey.firstCall.returnValue.call.firstCall.args[1], 100);
+    });
+
+    it('should check the keys at the pinned block by default', async () => {
+      organization = OnChainOrganization.createInstance(utilsStub, contractsStub, 'some-address', undefined, { blockNumber: 50 });
+      await organization.verifySignature(data, owner.sign(data).signature);
+      assert.equal(methods.owner().call.firstCall.args[1], 50);
+    });
+
+    it('should throw when signed by anyone else', async () => {
+      const stranger = (new Web3Eth()).accounts.privateKeyToAccount('0x7fd2f1b48b5ab4a6c0a1aa8c95a0b8d8c0b4bcc5b1d5e07b6c6cd8d1f05f4b03');
+      try {
+        await organization.verifySignature(data, stranger.sign(data).signature);
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, SignatureVerificationError);
+        assert.match(e.message, /neither the owner nor an associated key/i);
+        assert.equal(e.signer, stranger.address);
+      }
+    });
+
+    it('should throw when the data was changed', async () => {
+      try {
+        await organization.verifySignature(JSON.stringify({ booking: 'changed' }), key.sign(data).signature);
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, SignatureVerificationError);
+      }
+    });
+
+    it('should throw on an invalid signature', async () => {
+      for (const signature of [undefined, 'signature', '0x1234']) {
+        try {
+          await organization.verifySignature(data, signature);
+          assert(false);
+        } catch (e) {
+          assert.instanceOf(e, SignatureVerificationError);
+        }
+      }
+    });
+
+    it('should throw on missing data', async () => {
+      try {
+        await organization.verifySignature(undefined, key.sign(data).signature);
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+      }
+    });
+  });
+
+  describe('getSupportedInterfaces', () => {
+    it('should report supported organization interfaces', async () => {
+      contractsStub.supportsErc165 = sinon.stub().resolves(true);
+      contractsStub.supportsInterface = sinon.spy(async (address, interfaceId) => interfaceId !== '0x6f4826be');
+      organization = OnChainOrganization.createInstance(utilsStub, contractsStub, 'some-address', undefined, { blockNumber: 100 });
+      assert.deepEqual(await organization.getSupportedInterfaces(), {
+        erc165: true,
+        owner: true,
+        associatedKeys: true,
+        orgJson: false,
+        organization: true,
+      });
+      assert.deepEqual(contractsStub.supportsErc165.firstCall.args, ['some-address', 100]);
+      assert.equal(contractsStub.supportsInterface.firstCall.args[2], 100);
+    });
+
+    it('should report nothing without ERC-165 support', async () => {
+      contractsStub.supportsErc165 = sinon.stub().resolves(false);
+      contractsStub.supportsInterface = sinon.stub().resolves(true);
+      const interfaces = await organization.getSupportedInterfaces();
+      assert.isTrue(Object.values(interfaces).every((supported) => supported === false));
+      assert.equal(contractsStub.supportsInterface.callCount, 0);
+    });
+  });
+
+  describe('point-in-time reads', () => {
+    it('should read at the latest block by default', async () => {
+      await organization.owner;
+      assert.equal(ownerStub().call.firstCall.args[1], 'latest');
+    });
+
+    it('should read all on-chain fields at the pinned block', async () => {
+      organization = OnChainOrganization.createInstance(utilsStub, contractsStub, 'some-address', undefined, { blockNumber: 100 });
+      assert.equal(organization.blockNumber, 100);
+      await organization.orgJsonUri;
+      await organization.orgJsonHash;
+      await organization.owner;
+      await organization.associatedKeys;
+      for (const stub of [urlStub, hashStub, ownerStub, associatedKeysStub]) {
+        assert.equal(stub().call.callCount, 1);
+        assert.equal(stub().call.firstCall.args[1], 100);
+      }
+    });
+  });
+
+  describe('watch', () => {
+    const abi = new Web3Eth().abi;
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    let logs;
+
+    beforeEach(() => {
+      logs = [{
+        topics: [Web3Utils.sha3('OwnershipTransferred(address,address)'),
+          abi.encodeParameter('address', '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906'),
+          abi.encodeParameter('address', '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C')],
+        data: '0x',
+        blockNumber: 7,
+        logIndex: 0,
+        transactionHash: '0xtx-7',
+      }, {
+        topics: [Web3Utils.sha3('OrgJsonUriChanged(string,string)')],
+        data: abi.encodeParameters(['string', 'string'], ['in-memory://some-remote-url', 'in-memory://new-url']),
+        blockNumber: 5,
+        logIndex: 0,
+        transactionHash: '0xtx-5',
+      }];
+      const contracts = Contracts.createInstance('http://localhost:8545');
+      contractsStub.decodeLogs = contracts.decodeLogs.bind(contracts);
+      utilsStub.getCurrentBlockNumber = sinon.stub().resolves(10);
+      utilsStub.getPastLogs = sinon.stub().callsFake(() => Promise.resolve(logs));
+      utilsStub.getPastLogsInChunks = Utils.prototype.getPastLogsInChunks;
+    });
+
+    it('should read changed fields again', async () => {
+      assert.equal(await organization.orgJsonUri, 'in-memory://some-remote-url');
+      assert.equal((await organization.orgJson).ref, 'in-memory://some-remote-url');
+      assert.equal(await organization.owner, 'some-remote-owner');
+      urlStub().call.returns('in-memory://new-url');
+      ownerStub().call.returns('0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C');
+      const listener = sinon.spy();
+      const watcher = organization.watch(listener, { fromBlock: 0 });
+      await wait(20);
+      watcher.unsubscribe();
+      assert.equal(utilsStub.getPastLogs.firstCall.args[0].address, 'some-address');
+      assert.equal(listener.callCount, 2);
+      assert.equal(listener.firstCall.args[0].event, 'OrgJsonUriChanged');
+      assert.equal(listener.firstCall.args[0].newOrgJsonUri, 'in-memory://new-url');
+      assert.equal(listener.secondCall.args[0].event, 'OwnershipTransferred');
+      assert.equal(listener.secondCall.args[0].newOwner, '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C');
+      assert.deepEqual(listener.secondCall.args[1], { blockNumber: 7, logIndex: 1 });
+      assert.equal(await organization.orgJsonUri, 'in-memory://new-url');
+      assert.equal((await organization.orgJson).ref, 'in-memory://new-url');
+      assert.equal(await organization.owner, '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C');
+      assert.equal(await organization.orgJsonHash, 'hash');
+      assert.equal(hashStub().call.callCount, 1);
+    });
+
+    it('should reset ORG.JSON contents when its hash changes', async () => {
+      const orgJson = await organization.orgJson;
+      sinon.spy(orgJson, 'reset');
+      await organization._invalidate({ event: 'OrgJsonHashChanged' });
+      assert.equal(orgJson.reset.callCount, 1);
+      assert.equal(organization.onChainDataset.getFieldState('_orgJsonHash'), 'unsynced');
+      assert.strictEqual(await organization.orgJson, orgJson);
+    });
+
+    it('should throw when the organization is read at a past block', () => {
+      organization = OnChainOrganization.createInstance(utilsStub, contractsStub, 'some-address', undefined, { blockNumber: 100 });
+      try {
+        organization.watch();
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+      }
+    });
   });
 
   describe('toPlainObject', () => {
@@ -103,6 +103,33 @@ describe('WTLibs.RemotelyBackedDataset', () => {
       assert.equal(remoteSetterStub2.callCount, 1);
     });
 
+    it('should not fetch fields that were set as remote data', async () => {
+      bbbInstance.markDeployed();
+      bbbInstance.randomField2 = 'local value';
+      bbbInstance.setRemoteData({ randomField: 'prefetched', randomField2: 'prefetched', unknownField: 'value' });
+      assert.equal(bbbInstance.getFieldState('randomField'), 'synced');
+      assert.equal(bbbInstance.getFieldState('randomField2'), 'dirty');
+      assert.equal(await bbbInstance.randomField, 'prefetched');
+      assert.equal(await bbbInstance.randomField2, 'local value');
+      assert.equal(remoteGetterStub.callCount, 0);
+      assert.isUndefined(bbbInstance.unknownField);
+    });
+
+    it('should fetch invalidated fields again', async () => {
+      bbbInstance.markDeployed();
+      assert.equal(await bbbInstance.randomField, 'field name');
+      assert.equal(remoteGetterStub.callCount, 1);
+      remoteGetterStub.resolves('new field name');
+      bbbInstance.randomField2 = 'local value';
+      bbbInstance.invalidate(['randomField', 'randomField2']);
+      assert.equal(bbbInstance.getFieldState('randomField'), 'unsynced');
+      assert.equal(bbbInstance.getFieldState('randomField2'), 'dirty');
+      assert.equal(await bbbInstance.randomField, 'new field name');
+      assert.equal(await bbbInstance.randomField2, 'local value');
+      assert.equal(remoteGetterStub.callCount, 2);
+      assert.equal(remoteGetterStub2.callCount, 1);
+    });
+
     it('should throw when something goes wrong during the remote sync', async () => {
       const instance = new RemotelyBackedDataset();
       const getterStub = sinon.stub().rejects(new Error('something went south'));
@@ -1,10 +1,18 @@
 import { assert } from 'chai';
 import sinon from 'sinon';
 import SegmentDirectory from '../../src/on-chain-data-client/segment-directory';
+import Web3Utils from 'web3-utils';
+import Utils from '../../src/on-chain-data-client/utils';
+import Contracts from '../../src/on-chain-data-client/contracts';
 import OnChainOrganization from '../../src/on-chain-data-client/organization';
 import helpers from '../utils/helpers';
 import { WTLibsError } from '../../src/errors';
-import { OrganizationNotFoundError, OrganizationNotInstantiableError, InputDataError } from '../../src/on-chain-data-client/errors';
+import {
+  OrganizationNotFoundError,
+  OrganizationNotInstantiableError,
+  InputDataError,
+  SmartContractInstantiationError,
+} from '../../src/on-chain-data-client/errors';
 
 describe('WTLibs.on-chain-data.SegmentDirectory', () => {
   let contractsStub, utilsStub, ownerStub, addStub, removeStub;
@@ -15,6 +23,12 @@ describe('WTLibs.on-chain-data.SegmentDirectory', () => {
       getCurrentWeb3Provider: sinon.stub().returns('current-provider'),
       applyGasModifier: sinon.stub().returns(12),
       determineCurrentAddressNonce: sinon.stub().resolves(3),
+      reserveNonce: sinon.stub().resolves(3),
+      bindNonceCallbacks: sinon.stub().callsFake((transactionData, eventCallbacks) => eventCallbacks || {}),
+      getGasPriceFields: sinon.stub().resolves({}),
+      prepareTransaction: Utils.prototype.prepareTransaction,
+      isTransientError: Utils.prototype.isTransientError,
+      getPastLogsInChunks: Utils.prototype.getPastLogsInChunks,
       isZeroAddress: sinon.stub().callsFake((addr) => {
         return addr === '0x0000000000000000000000000000000000000000';
       }),
@@ -44,6 +58,38 @@ describe('WTLibs.on-chain-data.SegmentDirectory', () => {
       assert.isDefined(tx.transactionData.data);
       assert.equal(tx.transactionData.from, 'b');
       assert.equal(tx.transactionData.to, directory.address);
+      assert.equal(tx.steps[0].id, 'add');
+      assert.deepEqual(tx.steps[0].expectedEvents, ['OrganizationAdded']);
+    });
+
+    it('should reserve nonce and bind nonce callbacks', async () => {
+      const tx = await directory.add({ owner: 'b', address: 'a' });
+      assert.equal(utilsStub.reserveNonce.callCount, 1);
+      assert.equal(utilsStub.reserveNonce.firstCall.args[0], 'b');
+      assert.equal(tx.transactionData.nonce, 3);
+      assert.equal(utilsStub.bindNonceCallbacks.callCount, 1);
+      assert.equal(utilsStub.bindNonceCallbacks.firstCall.args[0], tx.transactionData);
+      assert.isDefined(tx.eventCallbacks.onReceipt);
+    });
+
+    it('should not reserve nonce when gas estimation fails', async () => {
+      try {
+        sinon.stub(directory, '_getDeployedDirectory').resolves({
+          methods: {
+            add: () => ({
+              encodeABI: sinon.stub().returns('data'),
+              estimateGas: sinon.stub().rejects(new Error('estimation failed')),
+            }),
+          },
+        });
+        await directory.add({ owner: 'b', address: 'aaa' });
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /cannot add organization/i);
+        assert.equal(utilsStub.reserveNonce.callCount, 0);
+      } finally {
+        directory._getDeployedDirectory.restore();
+      }
     });
 
     it('should throw generic error when something does not work during tx data preparation', async () => {
@@ -93,6 +139,8 @@ describe('WTLibs.on-chain-data.SegmentDirectory', () => {
       assert.isDefined(tx.transactionData.data);
       assert.equal(tx.transactionData.from, 'b');
       assert.equal(tx.transactionData.to, directory.address);
+      assert.equal(tx.steps[0].id, 'remove');
+      assert.deepEqual(tx.steps[0].expectedEvents, ['OrganizationRemoved']);
     });
 
     it('should throw generic error when something does not work during tx data preparation', async () => {
@@ -149,6 +197,133 @@ describe('WTLibs.on-chain-data.SegmentDirectory', () => {
     });
   });
 
+  describe('getHistory', () => {
+    const org1 = '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769';
+    const org2 = '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C';
+    const addedLog = (organization, index, blockNumber, logIndex) => ({
+      address: directory.address,
+      topics: [Web3Utils.sha3('OrganizationAdded(address,uint256)'), Web3Utils.padLeft(organization.toLowerCase(), 64)],
+      data: Web3Utils.padLeft(Web3Utils.toHex(index), 64),
+      blockNumber: blockNumber,
+      logIndex: logIndex || 0,
+      transactionHash: `0xtx-${blockNumber}`,
+    });
+    const removedLog = (organization, blockNumber) => ({
+      address: directory.address,
+      topics: [Web3Utils.sha3('OrganizationRemoved(address)'), Web3Utils.padLeft(organization.toLowerCase(), 64)],
+      data: '0x',
+      blockNumber: blockNumber,
+      logIndex: 0,
+      transactionHash: `0xtx-${blockNumber}`,
+    });
+
+    beforeEach(() => {
+      const contracts = Contracts.createInstance('http://localhost:8545');
+      contractsStub.decodeLogs = contracts.decodeLogs.bind(contracts);
+      utilsStub.getCurrentBlockNumber = sinon.stub().resolves(12);
+      utilsStub.getTransaction = sinon.stub().callsFake((hash) => Promise.resolve({ hash, from: `from-${hash}` }));
+      utilsStub.getBlock = sinon.stub().callsFake((number) => Promise.resolve({ number, timestamp: 1000 + number }));
+      utilsStub.getPastLogs = sinon.stub().callsFake((options) => {
+        const logs = [addedLog(org1, 1, 2), addedLog(org2, 2, 5), removedLog(org1, 7), addedLog(org1, 3, 11)];
+        return Promise.resolve(logs.filter((l) => l.blockNumber >= options.fromBlock && l.blockNumber <= options.toBlock).reverse());
+      });
+    });
+
+    it('should scan events in chunks', async () => {
+      await directory.getHistory({ chunkSize: 5 });
+      assert.equal(utilsStub.getPastLogs.callCount, 3);
+      const ranges = utilsStub.getPastLogs.getCalls().map((c) => [c.args[0].fromBlock, c.args[0].toBlock]);
+      assert.deepEqual(ranges, [[0, 4], [5, 9], [10, 12]]);
+      assert.equal(utilsStub.getPastLogs.firstCall.args[0].address, directory.address);
+      assert.equal(utilsStub.getPastLogs.firstCall.args[0].topics[0].length, 2);
+    });
+
+    it('should reconstruct membership', async () => {
+      const history = await directory.getHistory({ chunkSize: 5 });
+      assert.deepEqual(history.events.map((e) => [e.event, e.organization, e.blockNumber]), [
+        ['OrganizationAdded', org1, 2],
+        ['OrganizationAdded', org2, 5],
+        ['OrganizationRemoved', org1, 7],
+        ['OrganizationAdded', org1, 11],
+      ]);
+      assert.equal(history.events[0].index, '1');
+      assert.equal(history.events[0].logIndex, 0);
+      assert.equal(history.events[2].by, 'from-0xtx-7');
+      assert.equal(history.events[2].timestamp, 1007);
+      assert.equal(history.organizations[org1].isMember, true);
+      assert.equal(history.organizations[org1].memberSince.blockNumber, 11);
+      assert.equal(history.organizations[org1].events.length, 3);
+      assert.equal(history.organizations[org2].memberSince.by, 'from-0xtx-5');
+    });
+
+    it('should read transactions and blocks with bounded concurrency', async () => {
+      let pending = 0;
+      let maxPending = 0;
+      const track = (result) => {
+        maxPending = Math.max(maxPending, ++pending);
+        return new Promise((resolve) => setTimeout(() => {
+          pending--;
+          resolve(result);
+        }, 1));
+      };
+      utilsStub.getTransaction = sinon.stub().callsFake((hash) => track({ hash, from: `from-${hash}` }));
+      utilsStub.getBlock = sinon.stub().callsFake((number) => track({ number, timestamp: 1000 + number }));
+      const history = await directory.getHistory({ concurrency: 2 });
+      assert.equal(utilsStub.getTransaction.callCount, 4);
+      assert.equal(utilsStub.getBlock.callCount, 4);
+      assert.equal(maxPending, 2);
+      assert.deepEqual(history.events.map((e) => e.by), ['from-0xtx-2', 'from-0xtx-5', 'from-0xtx-7', 'from-0xtx-11']);
+      assert.deepEqual(history.events.map((e) => e.timestamp), [1002, 1005, 1007, 1011]);
+    });
+
+    it('should respect the block range', async () => {
+      const history = await directory.getHistory({ fromBlock: 3, toBlock: 8 });
+      assert.equal(utilsStub.getCurrentBlockNumber.callCount, 0);
+      assert.equal(history.events.length, 2);
+      assert.equal(history.organizations[org1].isMember, false);
+      assert.isUndefined(history.organizations[org1].memberSince);
+    });
+
+    it('should scan up to the pinned block by default', async () => {
+      directory = SegmentDirectory.createInstance(directory.address, utilsStub, contractsStub, undefined, { blockNumber: 6 });
+      const history = await directory.getHistory();
+      assert.equal(utilsStub.getCurrentBlockNumber.callCount, 0);
+      assert.equal(utilsStub.getPastLogs.firstCall.args[0].toBlock, 6);
+      assert.equal(history.events.length, 2);
+    });
+
+    it('should throw on invalid concurrency', async () => {
+      try {
+        await directory.getHistory({ concurrency: 0.5 });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+        assert.match(e.message, /concurrency has to be a positive integer/i);
+      }
+    });
+
+    it('should throw on invalid range', async () => {
+      try {
+        await directory.getHistory({ fromBlock: 20 });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InputDataError);
+        assert.match(e.message, /fromBlock 20 is after toBlock 12/i);
+      }
+    });
+
+    it('should throw when events cannot be read', async () => {
+      utilsStub.getPastLogs = sinon.stub().rejects(new Error('query returned more than 10000 results'));
+      try {
+        await directory.getHistory();
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, WTLibsError);
+        assert.match(e.message, /cannot get directory history/i);
+      }
+    });
+  });
+
   describe('getLifTokenAddress', () => {
     it('should return LifToken address', async () => {
       const tokenAddress = await directory.getLifTokenAddress();
@@ -180,6 +355,15 @@ describe('WTLibs.on-chain-data.SegmentDirectory', () => {
       }
     });
 
+    it('should look the organization up at the pinned block', async () => {
+      directory = SegmentDirectory.createInstance(directory.address, utilsStub, contractsStub, undefined, { blockNumber: 100 });
+      const organization = await directory.getOrganization('0xbf18b616ac81830dd0c5d4b771f22fd8144fe769');
+      const contract = await contractsStub.getSegmentDirectoryInstance();
+      assert.equal(contract.methods.organizationsIndex().call.firstCall.args[1], 100);
+      assert.instanceOf(organization, OnChainOrganization);
+      assert.equal(organization.blockNumber, 100);
+    });
+
     it('should throw if organization contract cannot be instantiated', async () => {
       try {
         sinon.stub(OnChainOrganization, 'createInstance').throws(new Error());
@@ -218,5 +402,124 @@ describe('WTLibs.on-chain-data.SegmentDirectory', () => {
       assert.equal(records.length, 1);
       directory._getDeployedDirectory.restore();
     });
+
+    describe('getOrganizationsReport', () => {
+      beforeEach(() => {
+        sinon.stub(directory, '_getDeployedDirectory').resolves({
+          methods: {
+            getOrganizations: helpers.stubContractMethodResult([
+              '0x0000000000000000000000000000000000000000',
+              '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769',
+              '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA',
+              '0x0000000000000000000000000000000000000000',
+              '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C',
+            ]),
+          },
+        });
+      });
+
+      afterEach(() => {
+        directory._getDeployedDirectory.restore();
+      });
+
+      it('should report rejected organizations', async () => {
+        directory.getOrganization = sinon.stub().callsFake((addr) => {
+          if (addr === '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA') {
+            return Promise.reject(new OrganizationNotFoundError('Cannot find Organization'));
+          }
+          if (addr === '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C') {
+            return Promise.reject(new WTLibsError('Cannot find Organization', new Error('Invalid JSON RPC response: ""')));
+          }
+          return Promise.resolve({ addr });
+        });
+        const report = await directory.getOrganizationsReport();
+        assert.deepEqual(report.organizations, [{ addr: '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769' }]);
+        assert.equal(report.rejected.length, 2);
+        assert.equal(report.rejected[0].address, '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA');
+        assert.equal(report.rejected[0].index, 2);
+        assert.equal(report.rejected[0].errorType, 'OrganizationNotFoundError');
+        assert.instanceOf(report.rejected[0].error, OrganizationNotFoundError);
+        assert.equal(report.rejected[0].transient, false);
+        assert.equal(report.rejected[1].index, 4);
+        assert.equal(report.rejected[1].errorType, 'WTLibsError');
+        assert.equal(report.rejected[1].transient, true);
+      });
+
+      it('should report organizations that failed during prefetch', async () => {
+        contractsStub.readOrganizations = sinon.stub().resolves([
+          { owner: '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906' },
+          { owner: new Error('Returned values aren\'t valid, did it run Out of Gas?') },
+          { owner: new Error('CONNECTION ERROR: Couldn\'t connect to node') },
+        ]);
+        const report = await directory.getOrganizationsReport({ prefetch: ['owner'] });
+        assert.equal(report.organizations.length, 1);
+        assert.equal(report.rejected.length, 2);
+        assert.instanceOf(report.rejected[0].error, SmartContractInstantiationError);
+        assert.equal(report.rejected[0].errorType, 'SmartContractInstantiationError');
+        assert.equal(report.rejected[0].transient, false);
+        assert.equal(report.rejected[1].address, '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C');
+        assert.equal(report.rejected[1].transient, true);
+      });
+    });
+
+    describe('prefetch', () => {
+      beforeEach(() => {
+        sinon.stub(directory, '_getDeployedDirectory').resolves({
+          methods: {
+            getOrganizations: helpers.stubContractMethodResult([
+              '0x0000000000000000000000000000000000000000',
+              '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769',
+              '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA',
+            ]),
+          },
+        });
+        contractsStub.readOrganizations = sinon.stub().resolves([
+          { getOrgJsonUri: 'uri-1', owner: '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906' },
+          { getOrgJsonUri: new Error('reverted'), owner: '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906' },
+        ]);
+        sinon.spy(directory, 'getOrganizationIndex');
+      });
+
+      afterEach(() => {
+        directory._getDeployedDirectory.restore();
+      });
+
+      it('should return synced organizations read in bulk', async () => {
+        const records = await directory.getOrganizations({ prefetch: ['orgJsonUri', 'owner'] });
+        assert.equal(contractsStub.readOrganizations.callCount, 1);
+        assert.deepEqual(contractsStub.readOrganizations.firstCall.args, [
+          ['0xBF18B616aC81830dd0C5D4b771F22FD8144fe769', '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA'],
+          ['getOrgJsonUri', 'owner'],
+          'latest',
+        ]);
+        assert.equal(directory.getOrganizationIndex.callCount, 0);
+        // The second organization is inaccessible
+        assert.equal(records.length, 1);
+        assert.instanceOf(records[0], OnChainOrganization);
+        assert.equal(records[0].address, '0xBF18B616aC81830dd0C5D4b771F22FD8144fe769');
+        assert.equal(records[0].onChainDataset.getFieldState('_orgJsonUri'), 'synced');
+        assert.equal(records[0].onChainDataset.getFieldState('_owner'), 'synced');
+        assert.equal(records[0].onChainDataset.getFieldState('_orgJsonHash'), 'unsynced');
+        assert.equal(await records[0].orgJsonUri, 'uri-1');
+        assert.equal(await records[0].owner, '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906');
+      });
+
+      it('should read at the pinned block', async () => {
+        directory.blockNumber = 100;
+        const records = await directory.getOrganizations({ prefetch: ['orgJsonUri', 'owner'] });
+        assert.equal(contractsStub.readOrganizations.firstCall.args[2], 100);
+        assert.equal(records[0].blockNumber, 100);
+      });
+
+      it('should throw on unknown field', async () => {
+        try {
+          await directory.getOrganizations({ prefetch: ['orgJsonUri', 'random'] });
+          assert(false);
+        } catch (e) {
+          assert.instanceOf(e, InputDataError);
+          assert.match(e.message, /unknown field: random/i);
+        }
+      });
+    });
   });
 });
@@ -124,6 +124,37 @@ describe('WTLibs.StoragePointer', () => {
       getAdapterSpy.restore();
     });
 
+    it('should use OffChainDataClient instance if provided', async () => {
+      const offChainDataClient = OffChainDataClient.createInstance({
+        adapters: {
+          'custom-schema': {
+            create: () => {
+              return new InMemoryAdapter();
+            },
+          },
+        },
+      });
+      const getAdapterSpy = sinon.spy(offChainDataClient, 'getAdapter');
+      const sharedGetAdapterSpy = sinon.spy(OffChainDataClient, 'getAdapter');
+      const pointer = StoragePointer.createInstance('custom-schema://url', {}, offChainDataClient);
+      await pointer.contents;
+      assert.equal(getAdapterSpy.callCount, 1);
+      assert.equal(sharedGetAdapterSpy.callCount, 0);
+      OffChainDataClient.getAdapter.restore();
+    });
+
+    it('should pass OffChainDataClient instance to child pointers', async () => {
+      const offChainDataClient = OffChainDataClient.createInstance({});
+      const pointer = StoragePointer.createInstance('in-memory://url', { sp: {} }, offChainDataClient);
+      sinon.stub(pointer, '_getOffChainDataClient').returns({
+        download: sinon.stub().returns(JSON.stringify({
+          sp: 'in-memory://point',
+        })),
+      });
+      const contents = await pointer.contents;
+      assert.equal(contents.sp._offChainDataClient, offChainDataClient);
+    });
+
     it('should throw when an unsupported schema is encountered', async () => {
       try {
         const pointer = StoragePointer.createInstance('random://url');
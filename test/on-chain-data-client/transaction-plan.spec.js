@@ -0,0 +1,138 @@
+import { assert } from 'chai';
+import sinon from 'sinon';
+import TransactionPlan from '../../src/on-chain-data-client/transaction-plan';
+import { TransactionPlanError } from '../../src/on-chain-data-client/errors';
+
+describe('WTLibs.on-chain-data.TransactionPlan', () => {
+  let utilsStub, contractsStub, walletStub;
+
+  const _step = (id, nonce, extra) => {
+    return Object.assign({
+      id: id,
+      transactionData: { from: '0xa', to: '0xb', nonce: nonce },
+      eventCallbacks: { onReceipt: sinon.stub() },
+    }, extra);
+  };
+
+  beforeEach(() => {
+    utilsStub = {
+      releaseNonce: sinon.stub(),
+    };
+    contractsStub = {
+      decodeLogs: sinon.stub().callsFake((logs) => logs.map((l) => ({ event: l.event }))),
+    };
+    walletStub = {
+      signAndSendTransaction: sinon.stub().callsFake((transactionData, eventCallbacks) => {
+        const receipt = { transactionHash: `tx-${transactionData.nonce}`, logs: [{ event: 'OrganizationAdded' }] };
+        eventCallbacks.onReceipt(receipt);
+        return Promise.resolve(receipt);
+      }),
+    };
+  });
+
+  describe('createInstance', () => {
+    it('should fill in defaults of steps', () => {
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, [{ transactionData: {} }]);
+      assert.equal(plan.steps[0].id, 'step-0');
+      assert.deepEqual(plan.steps[0].dependsOn, []);
+      assert.deepEqual(plan.steps[0].expectedEvents, []);
+      assert.isUndefined(plan.organization);
+    });
+
+    it('should keep outcome', () => {
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, [], { organization: 'org' });
+      assert.equal(plan.organization, 'org');
+      assert.deepEqual(plan.steps, []);
+    });
+  });
+
+  describe('single step shortcuts', () => {
+    it('should expose transactionData and eventCallbacks of a single step', () => {
+      const step = _step('add', 1);
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, [step]);
+      assert.equal(plan.transactionData, step.transactionData);
+      assert.equal(plan.eventCallbacks, step.eventCallbacks);
+    });
+
+    it('should not expose anything for multiple steps', () => {
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, [_step('a', 1), _step('b', 2)]);
+      assert.isUndefined(plan.transactionData);
+      assert.isUndefined(plan.eventCallbacks);
+    });
+  });
+
+  describe('abandon', () => {
+    it('should release nonces of all steps', () => {
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, [_step('a', 1), _step('b', 2)]);
+      plan.abandon();
+      assert.equal(utilsStub.releaseNonce.callCount, 2);
+      assert.deepEqual(utilsStub.releaseNonce.firstCall.args, ['0xa', 1]);
+      assert.deepEqual(utilsStub.releaseNonce.secondCall.args, ['0xa', 2]);
+    });
+  });
+
+  describe('execute', () => {
+    it('should run all steps in order', async () => {
+      const steps = [_step('a', 1), _step('b', 2, { dependsOn: ['a'], expectedEvents: ['OrganizationAdded'] })];
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, steps);
+      const result = await plan.execute(walletStub);
+      assert.equal(result.success, true);
+      assert.equal(walletStub.signAndSendTransaction.callCount, 2);
+      assert.equal(walletStub.signAndSendTransaction.firstCall.args[0].nonce, 1);
+      assert.equal(walletStub.signAndSendTransaction.secondCall.args[0].nonce, 2);
+      assert.equal(steps[0].eventCallbacks.onReceipt.callCount, 1);
+      assert.equal(steps[1].eventCallbacks.onReceipt.callCount, 1);
+      assert.equal(result.steps.length, 2);
+      assert.equal(result.steps[1].id, 'b');
+      assert.equal(result.steps[1].status, 'mined');
+      assert.equal(result.steps[1].receipt.transactionHash, 'tx-2');
+      assert.deepEqual(result.steps[1].events, [{ event: 'OrganizationAdded' }]);
+      assert.deepEqual(result.steps[1].missingEvents, []);
+    });
+
+    it('should wait for receipt even without onReceipt callback', async () => {
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, [_step('a', 1, { eventCallbacks: undefined })]);
+      const result = await plan.execute(walletStub);
+      assert.equal(result.success, true);
+      assert.isFunction(walletStub.signAndSendTransaction.firstCall.args[1].onReceipt);
+    });
+
+    it('should skip remaining steps after a failure', async () => {
+      walletStub.signAndSendTransaction.onFirstCall().rejects(new Error('reverted'));
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, [_step('a', 1), _step('b', 2), _step('c', 3)]);
+      const result = await plan.execute(walletStub);
+      assert.equal(result.success, false);
+      assert.equal(walletStub.signAndSendTransaction.callCount, 1);
+      assert.equal(result.steps[0].status, 'failed');
+      assert.match(result.steps[0].error.message, /reverted/i);
+      assert.equal(result.steps[1].status, 'skipped');
+      assert.equal(result.steps[2].status, 'skipped');
+      assert.equal(utilsStub.releaseNonce.callCount, 2);
+      assert.deepEqual(utilsStub.releaseNonce.firstCall.args, ['0xa', 2]);
+      assert.deepEqual(utilsStub.releaseNonce.secondCall.args, ['0xa', 3]);
+    });
+
+    it('should fail when expected events are missing', async () => {
+      const steps = [_step('a', 1, { expectedEvents: ['OrganizationCreated', 'OrganizationAdded'] }), _step('b', 2)];
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, steps);
+      const result = await plan.execute(walletStub);
+      assert.equal(result.success, false);
+      assert.equal(result.steps[0].status, 'failed');
+      assert.deepEqual(result.steps[0].missingEvents, ['OrganizationCreated']);
+      assert.instanceOf(result.steps[0].error, TransactionPlanError);
+      assert.equal(result.steps[1].status, 'skipped');
+    });
+
+    it('should fail when dependency was not mined before', async () => {
+      const plan = TransactionPlan.createInstance(utilsStub, contractsStub, [_step('a', 1, { dependsOn: ['b'] }), _step('b', 2)]);
+      const result = await plan.execute(walletStub);
+      assert.equal(result.success, false);
+      assert.equal(walletStub.signAndSendTransaction.callCount, 0);
+      assert.equal(result.steps[0].status, 'failed');
+      assert.instanceOf(result.steps[0].error, TransactionPlanError);
+      assert.match(result.steps[0].error.message, /depends on b/i);
+      assert.equal(result.steps[1].status, 'skipped');
+      assert.equal(utilsStub.releaseNonce.callCount, 2);
+    });
+  });
+});
@@ -2,14 +2,20 @@ import { assert } from 'chai';
 import sinon from 'sinon';
 import helpers from '../utils/helpers';
 import UpdateableOnChainOrganization from '../../src/on-chain-data-client/updateable-organization';
+import Utils from '../../src/on-chain-data-client/utils';
+import TransactionPlan from '../../src/on-chain-data-client/transaction-plan';
 import StoragePointer from '../../src/on-chain-data-client/storage-pointer';
 import { InputDataError, SmartContractInstantiationError } from '../../src/on-chain-data-client/errors';
+import { OffChainDataClient } from '../../src/off-chain-data-client';
+import { OffChainDataRuntimeError } from '../../src/off-chain-data-client/errors';
+import testedDataModel from '../utils/data-hotel-model-definition';
 
 describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
   const validUri = 'schema://new-url';
   const validHash = '0xd1e15bcea4bbf5fa55e36bb5aa9ad5183a4acdc1b06a0f21f3dba8868dee2c99';
   let contractsStub, utilsStub, urlStub, hashStub, ownerStub, associatedKeysStub, hasAssociatedKeyStub,
-    transferOwnershipStub, changeOrgJsonUriStub, changeOrgJsonHashStub, changeOrgJsonUriAndHashStub;
+    transferOwnershipStub, changeOrgJsonUriStub, changeOrgJsonHashStub, changeOrgJsonUriAndHashStub,
+    addAssociatedKeyStub, removeAssociatedKeyStub;
   let organization;
 
   beforeEach(() => {
@@ -17,6 +23,10 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
       getCurrentWeb3Provider: sinon.stub().returns('current-provider'),
       applyGasModifier: sinon.stub().returns(12),
       determineCurrentAddressNonce: sinon.stub().resolves(3),
+      reserveNonce: sinon.stub().resolves(3),
+      bindNonceCallbacks: sinon.stub().callsFake((transactionData, eventCallbacks) => eventCallbacks || {}),
+      getGasPriceFields: sinon.stub().resolves({}),
+      prepareTransaction: Utils.prototype.prepareTransaction,
     };
     urlStub = helpers.stubContractMethodResult('some-remote-url');
     hashStub = helpers.stubContractMethodResult('hash');
@@ -24,6 +34,8 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
     associatedKeysStub = helpers.stubContractMethodResult(['addr', 'addr2']);
     hasAssociatedKeyStub = helpers.stubContractMethodResult(true);
     transferOwnershipStub = helpers.stubContractMethodResult(null);
+    addAssociatedKeyStub = helpers.stubContractMethodResult(null);
+    removeAssociatedKeyStub = helpers.stubContractMethodResult(null);
     changeOrgJsonUriStub = helpers.stubContractMethodResult(null);
     changeOrgJsonHashStub = helpers.stubContractMethodResult(null);
     changeOrgJsonUriAndHashStub = helpers.stubContractMethodResult(null);
@@ -36,6 +48,8 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
           getAssociatedKeys: associatedKeysStub,
           hasAssociatedKey: hasAssociatedKeyStub,
           transferOwnership: transferOwnershipStub,
+          addAssociatedKey: addAssociatedKeyStub,
+          removeAssociatedKey: removeAssociatedKeyStub,
           changeOrgJsonUri: changeOrgJsonUriStub,
           changeOrgJsonHash: changeOrgJsonHashStub,
           changeOrgJsonUriAndHash: changeOrgJsonUriAndHashStub,
@@ -284,11 +298,14 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
       assert.equal(changeOrgJsonUriStub().encodeABI.callCount, 1);
       assert.equal(changeOrgJsonHashStub().encodeABI.callCount, 0);
       assert.equal(changeOrgJsonUriAndHashStub().encodeABI.callCount, 0);
-      assert.equal(result.length, 1);
-      assert.isDefined(result[0].transactionData);
-      assert.isDefined(result[0].organization);
-      assert.isDefined(result[0].eventCallbacks);
-      assert.isDefined(result[0].eventCallbacks.onReceipt);
+      assert.instanceOf(result, TransactionPlan);
+      assert.equal(result.steps.length, 1);
+      assert.equal(result.organization, organization);
+      assert.equal(result.steps[0].id, 'changeOrgJsonUri');
+      assert.deepEqual(result.steps[0].expectedEvents, ['OrgJsonUriChanged']);
+      assert.isDefined(result.steps[0].transactionData);
+      assert.isDefined(result.steps[0].eventCallbacks);
+      assert.isDefined(result.steps[0].eventCallbacks.onReceipt);
     });
 
     it('should return single transaction metadata for orgJsonHash update', async () => {
@@ -297,11 +314,14 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
       assert.equal(changeOrgJsonUriStub().encodeABI.callCount, 0);
       assert.equal(changeOrgJsonHashStub().encodeABI.callCount, 1);
       assert.equal(changeOrgJsonUriAndHashStub().encodeABI.callCount, 0);
-      assert.equal(result.length, 1);
-      assert.isDefined(result[0].transactionData);
-      assert.isDefined(result[0].organization);
-      assert.isDefined(result[0].eventCallbacks);
-      assert.isDefined(result[0].eventCallbacks.onReceipt);
+      assert.instanceOf(result, TransactionPlan);
+      assert.equal(result.steps.length, 1);
+      assert.equal(result.organization, organization);
+      assert.equal(result.steps[0].id, 'changeOrgJsonHash');
+      assert.deepEqual(result.steps[0].expectedEvents, ['OrgJsonHashChanged']);
+      assert.isDefined(result.steps[0].transactionData);
+      assert.isDefined(result.steps[0].eventCallbacks);
+      assert.isDefined(result.steps[0].eventCallbacks.onReceipt);
     });
 
     it('should return single transaction metadata for orgJsonHash and orgJsonUri update', async () => {
@@ -310,11 +330,28 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
       assert.equal(changeOrgJsonUriStub().encodeABI.callCount, 0);
       assert.equal(changeOrgJsonHashStub().encodeABI.callCount, 0);
       assert.equal(changeOrgJsonUriAndHashStub().encodeABI.callCount, 1);
-      assert.equal(result.length, 1);
-      assert.isDefined(result[0].transactionData);
-      assert.isDefined(result[0].organization);
-      assert.isDefined(result[0].eventCallbacks);
-      assert.isDefined(result[0].eventCallbacks.onReceipt);
+      assert.instanceOf(result, TransactionPlan);
+      assert.equal(result.steps.length, 1);
+      assert.equal(result.organization, organization);
+      assert.equal(result.steps[0].id, 'changeOrgJsonUriAndHash');
+      assert.deepEqual(result.steps[0].expectedEvents, ['OrgJsonUriChanged', 'OrgJsonHashChanged']);
+      assert.isDefined(result.steps[0].transactionData);
+      assert.isDefined(result.steps[0].eventCallbacks);
+      assert.isDefined(result.steps[0].eventCallbacks.onReceipt);
+    });
+
+    it('should reserve sequential nonces', async () => {
+      utilsStub.reserveNonce = sinon.stub();
+      utilsStub.reserveNonce.onFirstCall().resolves(3);
+      utilsStub.reserveNonce.onSecondCall().resolves(4);
+      await organization.setLocalData({ orgJsonUri: validUri });
+      const result = await organization.updateOnChainData({ from: 'xx' });
+      assert.equal(result.steps[0].transactionData.nonce, 3);
+      assert.equal(utilsStub.bindNonceCallbacks.callCount, 1);
+      organization.orgJsonHash = validHash;
+      const transfer = await organization.transferOnChainOwnership('new-owner', { from: 'xx' });
+      assert.equal(transfer.transactionData.nonce, 4);
+      assert.equal(utilsStub.bindNonceCallbacks.callCount, 2);
     });
 
     it('should apply gasCoefficient', async () => {
@@ -326,6 +363,86 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
     });
   });
 
+  describe('publishOrgJson', () => {
+    let offChainDataClient;
+
+    beforeEach(async () => {
+      utilsStub.getSoliditySha3Hash = Utils.prototype.getSoliditySha3Hash;
+      offChainDataClient = OffChainDataClient.createInstance(testedDataModel.withDataSource().offChainDataOptions);
+      organization = UpdateableOnChainOrganization.createInstance(utilsStub, contractsStub, 'fake-address', offChainDataClient);
+    });
+
+    it('should upload canonically serialized ORG.JSON and change both uri and hash', async () => {
+      const result = await organization.publishOrgJson({ name: 'Hotel', dataFormatVersion: '0.2.3', hotel: { b: 1, a: [{ d: 1, c: 2 }] } }, {
+        adapter: 'in-memory',
+        txOptions: { from: 'xx' },
+      });
+      const expectedContents = '{"dataFormatVersion":"0.2.3","hotel":{"a":[{"c":2,"d":1}],"b":1},"name":"Hotel"}';
+      assert.match(result.orgJsonUri, /^in-memory:\/\//);
+      assert.equal(await offChainDataClient.getAdapter('in-memory').download(result.orgJsonUri), expectedContents);
+      assert.equal(result.orgJsonHash, Utils.prototype.getSoliditySha3Hash(expectedContents));
+      assert.equal(await organization.orgJsonUri, result.orgJsonUri);
+      assert.equal(await organization.orgJsonHash, result.orgJsonHash);
+      assert.instanceOf(result.transactionPlan, TransactionPlan);
+      assert.equal(result.transactionPlan.steps.length, 1);
+      assert.equal(result.transactionPlan.steps[0].id, 'changeOrgJsonUriAndHash');
+      assert.equal(changeOrgJsonUriAndHashStub().encodeABI.callCount, 1);
+      assert.equal(changeOrgJsonUriStub().encodeABI.callCount, 0);
+      assert.equal(changeOrgJsonHashStub().encodeABI.callCount, 0);
+    });
+
+    it('should change both fields in one transaction when the URI does not change', async () => {
+      (await contractsStub.getUpdateableOrganizationInstance()).methods.getOrgJsonUri = helpers.stubContractMethodResult('in-memory://fixed');
+      sinon.stub(offChainDataClient, 'getAdapter').returns({ upload: sinon.stub().resolves('in-memory://fixed') });
+      assert.equal(await organization.orgJsonUri, 'in-memory://fixed');
+      assert.equal(organization.onChainDataset.getFieldState('_orgJsonUri'), 'synced');
+      const result = await organization.publishOrgJson({ name: 'Hotel' }, { adapter: 'in-memory', txOptions: { from: 'xx' } });
+      assert.equal(result.orgJsonUri, 'in-memory://fixed');
+      assert.equal(result.transactionPlan.steps.length, 1);
+      assert.equal(result.transactionPlan.steps[0].id, 'changeOrgJsonUriAndHash');
+      assert.equal(changeOrgJsonHashStub().encodeABI.callCount, 0);
+    });
+
+    it('should use the shared OffChainDataClient configuration without an instance', async () => {
+      OffChainDataClient.setup(testedDataModel.withDataSource().offChainDataOptions);
+      try {
+        organization = UpdateableOnChainOrganization.createInstance(utilsStub, contractsStub, 'fake-address');
+        const result = await organization.publishOrgJson({ name: 'Hotel' }, { adapter: 'in-memory', txOptions: { from: 'xx' } });
+        assert.equal(await OffChainDataClient.getAdapter('in-memory').download(result.orgJsonUri), '{"name":"Hotel"}');
+        assert.equal(result.transactionPlan.steps[0].id, 'changeOrgJsonUriAndHash');
+      } finally {
+        OffChainDataClient._reset();
+      }
+    });
+
+    it('should produce the same hash regardless of key order', async () => {
+      const first = await organization.publishOrgJson({ a: 1, b: { c: 2, d: 3 } }, { adapter: 'in-memory', txOptions: { from: 'xx' } });
+      const second = await organization.publishOrgJson({ b: { d: 3, c: 2 }, a: 1 }, { adapter: 'in-memory', txOptions: { from: 'xx' } });
+      assert.equal(first.orgJsonHash, second.orgJsonHash);
+    });
+
+    it('should throw on invalid input', async () => {
+      for (const args of [[undefined, { adapter: 'in-memory', txOptions: { from: 'xx' } }], ['{}', { adapter: 'in-memory', txOptions: { from: 'xx' } }], [{}, { txOptions: { from: 'xx' } }], [{}, { adapter: 'in-memory' }]]) {
+        try {
+          await organization.publishOrgJson(...args);
+          assert(false);
+        } catch (e) {
+          assert.match(e.message, /cannot publish org.json/i);
+          assert.instanceOf(e, InputDataError);
+        }
+      }
+    });
+
+    it('should throw on an unknown adapter', async () => {
+      try {
+        await organization.publishOrgJson({}, { adapter: 'ipfs', txOptions: { from: 'xx' } });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, OffChainDataRuntimeError);
+      }
+    });
+  });
+
   describe('transferOnChainOwnership', () => {
     beforeEach(async () => {
       organization = UpdateableOnChainOrganization.createInstance(utilsStub, contractsStub, 'fake-address');
@@ -344,6 +461,9 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
 
     it('should return transaction metadata', async () => {
       const result = await organization.transferOnChainOwnership('new-owner', { from: 'xx' });
+      assert.instanceOf(result, TransactionPlan);
+      assert.equal(result.steps[0].id, 'transferOwnership');
+      assert.deepEqual(result.steps[0].expectedEvents, ['OwnershipTransferred']);
       assert.isDefined(result.transactionData);
       assert.isDefined(result.organization);
       assert.isDefined(result.eventCallbacks);
@@ -364,4 +484,98 @@ describe('WTLibs.on-chain-data.UpdateableOrganization', () => {
       assert.equal(await organization.owner, 'new-owner');
     });
   });
+  describe('associated keys', () => {
+    const zeroAddress = '0x0000000000000000000000000000000000000000';
+    const key = '0xD39Ca7d186a37bb6Bf48AE8abFeB4c687dc8F906';
+    const otherKey = '0x8C2373842D5EA4Ce4Baf53f4175e5e42a364c59C';
+
+    beforeEach(async () => {
+      associatedKeysStub = helpers.stubContractMethodResult([zeroAddress, otherKey]);
+      (await contractsStub.getUpdateableOrganizationInstance()).methods.getAssociatedKeys = associatedKeysStub;
+      organization = UpdateableOnChainOrganization.createInstance(utilsStub, contractsStub, 'fake-address');
+    });
+
+    it('should return transaction metadata for adding a key', async () => {
+      const result = await organization.addAssociatedKey(key, { from: 'xx' });
+      assert.instanceOf(result, TransactionPlan);
+      assert.equal(result.steps[0].id, 'addAssociatedKey');
+      assert.deepEqual(result.steps[0].expectedEvents, ['AssociatedKeyAdded']);
+      assert.isDefined(result.transactionData);
+      assert.isDefined(result.organization);
+      assert.isDefined(result.eventCallbacks.onReceipt);
+      assert.equal(addAssociatedKeyStub().encodeABI.callCount, 1);
+      assert.equal(utilsStub.applyGasModifier.callCount, 1);
+    });
+
+    it('should reload keys from the network after receipt of adding a key', async () => {
+      const result = await organization.addAssociatedKey(key, { from: 'xx' });
+      assert.deepEqual(await organization.associatedKeys, [zeroAddress, otherKey]);
+      // Another key was added by a concurrent transaction
+      (await contractsStub.getUpdateableOrganizationInstance()).methods.getAssociatedKeys = helpers.stubContractMethodResult([zeroAddress, otherKey, zeroAddress, key]);
+      result.eventCallbacks.onReceipt({ logs: [] });
+      assert.equal(organization.onChainDataset.getFieldState('_associatedKeys'), 'unsynced');
+      assert.deepEqual(await organization.associatedKeys, [zeroAddress, otherKey, zeroAddress, key]);
+      assert.equal(organization.onChainDataset.getFieldState('_associatedKeys'), 'synced');
+    });
+
+    it('should return transaction metadata for removing a key', async () => {
+      const result = await organization.removeAssociatedKey(otherKey.toLowerCase(), { from: 'xx' });
+      assert.instanceOf(result, TransactionPlan);
+      assert.equal(result.steps[0].id, 'removeAssociatedKey');
+      assert.deepEqual(result.steps[0].expectedEvents, ['AssociatedKeyRemoved']);
+      assert.isDefined(result.eventCallbacks.onReceipt);
+      assert.equal(removeAssociatedKeyStub().encodeABI.callCount, 1);
+    });
+
+    it('should reload keys from the network after receipt of removing a key', async () => {
+      const result = await organization.removeAssociatedKey(otherKey, { from: 'xx' });
+      (await contractsStub.getUpdateableOrganizationInstance()).methods.getAssociatedKeys = helpers.stubContractMethodResult([zeroAddress, zeroAddress]);
+      result.eventCallbacks.onReceipt({ logs: [] });
+      assert.deepEqual(await organization.associatedKeys, [zeroAddress, zeroAddress]);
+      assert.equal(organization.onChainDataset.getFieldState('_associatedKeys'), 'synced');
+    });
+
+    it('should throw on an undeployed contract', async () => {
+      organization.onChainDataset._deployedFlag = false;
+      try {
+        await organization.addAssociatedKey(key, { from: 'xx' });
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /cannot add associated key/i);
+        assert.instanceOf(e, SmartContractInstantiationError);
+      }
+    });
+
+    it('should throw on an invalid address', async () => {
+      for (const address of ['addr', zeroAddress, undefined]) {
+        try {
+          await organization.addAssociatedKey(address, { from: 'xx' });
+          assert(false);
+        } catch (e) {
+          assert.match(e.message, /invalid address/i);
+          assert.instanceOf(e, InputDataError);
+        }
+      }
+    });
+
+    it('should throw when adding an already associated key', async () => {
+      try {
+        await organization.addAssociatedKey(otherKey.toLowerCase(), { from: 'xx' });
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /already associated/i);
+        assert.instanceOf(e, InputDataError);
+      }
+    });
+
+    it('should throw when removing a key that is not associated', async () => {
+      try {
+        await organization.removeAssociatedKey(key, { from: 'xx' });
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /is not associated/i);
+        assert.instanceOf(e, InputDataError);
+      }
+    });
+  });
 });
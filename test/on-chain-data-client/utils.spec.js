@@ -1,6 +1,8 @@
 import { assert } from 'chai';
 import sinon from 'sinon';
 import Utils from '../../src/on-chain-data-client/utils';
+import { WTLibsError } from '../../src/errors';
+import { NodeUnavailableError, OrganizationNotFoundError } from '../../src/on-chain-data-client/errors';
 
 describe('WTLibs.Utils', () => {
   let utils;
@@ -18,6 +20,21 @@ describe('WTLibs.Utils', () => {
     });
   });
 
+  describe('isTransientError', () => {
+    it('should recognize network failures', () => {
+      assert.equal(utils.isTransientError(new Error('Invalid JSON RPC response: ""')), true);
+      assert.equal(utils.isTransientError(new Error('CONNECTION ERROR: Couldn\'t connect to node http://localhost:8545.')), true);
+      assert.equal(utils.isTransientError(new NodeUnavailableError('No Ethereum node is synced to block 12')), true);
+      assert.equal(utils.isTransientError(new WTLibsError('Cannot find Organization', new Error('connect ECONNREFUSED 127.0.0.1:8545'))), true);
+    });
+
+    it('should not consider other errors transient', () => {
+      assert.equal(utils.isTransientError(), false);
+      assert.equal(utils.isTransientError(new OrganizationNotFoundError('Not found in Organization list')), false);
+      assert.equal(utils.isTransientError(new Error('Returned error: execution reverted')), false);
+    });
+  });
+
   describe('applyGasModifier', () => {
     it('should apply gas coefficient', () => {
       const gas = utils.applyGasModifier(10);
@@ -66,4 +83,263 @@ describe('WTLibs.Utils', () => {
       utils.web3Eth.getTransactionCount.restore();
     });
   });
+
+  describe('decodeRevertReason', () => {
+    it('should decode Error(string) payload', () => {
+      const data = '0x08c379a0' + utils.web3Eth.abi.encodeParameter('string', 'Organization already added').substring(2);
+      assert.equal(utils.decodeRevertReason(data), 'Organization already added');
+    });
+
+    it('should return undefined for other data', () => {
+      assert.isUndefined(utils.decodeRevertReason('0x'));
+      assert.isUndefined(utils.decodeRevertReason('0x4e487b71'));
+      assert.isUndefined(utils.decodeRevertReason(undefined));
+      assert.isUndefined(utils.decodeRevertReason('0x08c379a0ffff'));
+    });
+  });
+
+  describe('getRevertReason', () => {
+    const transactionData = { from: '0xa', to: '0xb', input: '0x1234', gas: 100 };
+    let encodedReason;
+
+    beforeEach(() => {
+      encodedReason = '0x08c379a0' + utils.web3Eth.abi.encodeParameter('string', 'Only owner').substring(2);
+    });
+
+    afterEach(() => {
+      utils.web3Eth.call.restore();
+    });
+
+    it('should replay the transaction at given block', async () => {
+      sinon.stub(utils.web3Eth, 'call').resolves(encodedReason);
+      assert.equal(await utils.getRevertReason(transactionData, 14), 'Only owner');
+      assert.equal(utils.web3Eth.call.firstCall.args[0].data, '0x1234');
+      assert.equal(utils.web3Eth.call.firstCall.args[0].from, '0xa');
+      assert.equal(utils.web3Eth.call.firstCall.args[1], 14);
+    });
+
+    it('should decode reason from error data', async () => {
+      sinon.stub(utils.web3Eth, 'call').rejects({ message: 'execution reverted', data: encodedReason });
+      assert.equal(await utils.getRevertReason(transactionData, 14), 'Only owner');
+    });
+
+    it('should decode reason from ganache error data', async () => {
+      sinon.stub(utils.web3Eth, 'call').rejects({
+        message: 'VM Exception while processing transaction: revert Only owner',
+        data: { '0x123': { error: 'revert', return: encodedReason } },
+      });
+      assert.equal(await utils.getRevertReason(transactionData, 14), 'Only owner');
+    });
+
+    it('should get reason from error message', async () => {
+      sinon.stub(utils.web3Eth, 'call').rejects({ message: 'Returned error: execution reverted: Only owner' });
+      assert.equal(await utils.getRevertReason(transactionData, 14), 'Only owner');
+    });
+
+    it('should return undefined when no reason is given', async () => {
+      sinon.stub(utils.web3Eth, 'call').resolves('0x');
+      assert.isUndefined(await utils.getRevertReason(transactionData, 14));
+      utils.web3Eth.call.restore();
+      sinon.stub(utils.web3Eth, 'call').rejects({ message: 'Returned error: execution reverted' });
+      assert.isUndefined(await utils.getRevertReason(transactionData, 14));
+    });
+  });
+
+  describe('callTransaction', () => {
+    const transactionData = { from: '0xa', to: '0xb', data: '0x1234', gas: 100 };
+
+    afterEach(() => {
+      utils.web3Eth.call.restore();
+    });
+
+    it('should return data of a successful call', async () => {
+      sinon.stub(utils.web3Eth, 'call').resolves('0x0001');
+      const result = await utils.callTransaction(transactionData, 'latest');
+      assert.equal(result.success, true);
+      assert.equal(result.returnData, '0x0001');
+      assert.equal(utils.web3Eth.call.firstCall.args[1], 'latest');
+    });
+
+    it('should report a reverted call', async () => {
+      sinon.stub(utils.web3Eth, 'call').rejects({ message: 'Returned error: execution reverted: Only owner' });
+      const result = await utils.callTransaction(transactionData, 'latest');
+      assert.equal(result.success, false);
+      assert.equal(result.revertReason, 'Only owner');
+      assert.isUndefined(result.returnData);
+    });
+
+    it('should report a revert without a message', async () => {
+      sinon.stub(utils.web3Eth, 'call').rejects({ message: 'Returned error: something went wrong', data: '0x' });
+      const result = await utils.callTransaction(transactionData, 'latest');
+      assert.equal(result.success, false);
+      assert.isUndefined(result.revertReason);
+    });
+
+    it('should rethrow errors not caused by a revert', async () => {
+      const connectionError = new Error('CONNECTION ERROR: Couldn\'t connect to node http://localhost:8545.');
+      sinon.stub(utils.web3Eth, 'call').rejects(connectionError);
+      try {
+        await utils.callTransaction(transactionData, 'latest');
+        assert(false);
+      } catch (e) {
+        assert.equal(e, connectionError);
+      }
+      try {
+        await utils.getRevertReason(transactionData, 'latest');
+        assert(false);
+      } catch (e) {
+        assert.equal(e, connectionError);
+      }
+    });
+
+    it('should report a call returning Error(string)', async () => {
+      sinon.stub(utils.web3Eth, 'call').resolves('0x08c379a0' + utils.web3Eth.abi.encodeParameter('string', 'Only owner').substring(2));
+      const result = await utils.callTransaction(transactionData, 'latest');
+      assert.equal(result.success, false);
+      assert.equal(result.revertReason, 'Only owner');
+    });
+  });
+
+  describe('getTransactionLogs', () => {
+    const transactionData = { from: '0xa', to: '0xb', data: '0x1234', gas: 100 };
+
+    it('should collect logs from all successful calls', async () => {
+      utils.web3Eth.traceCall = sinon.stub().resolves({
+        to: '0xb',
+        logs: [{ topics: ['0x1'], data: '0x' }],
+        calls: [
+          { to: '0xc', logs: [{ address: '0xc', topics: ['0x2'], data: '0x' }] },
+          { to: '0xd', error: 'execution reverted', logs: [{ address: '0xd', topics: ['0x3'], data: '0x' }] },
+        ],
+      });
+      const logs = await utils.getTransactionLogs(transactionData, 12);
+      assert.deepEqual(logs, [
+        { address: '0xb', topics: ['0x1'], data: '0x' },
+        { address: '0xc', topics: ['0x2'], data: '0x' },
+      ]);
+      const args = utils.web3Eth.traceCall.firstCall.args;
+      assert.equal(args[0].gas, '0x64');
+      assert.notProperty(args[0], 'value');
+      assert.equal(args[1], '0xc');
+      assert.equal(args[2].tracer, 'callTracer');
+      assert.equal(args[2].tracerConfig.withLog, true);
+    });
+
+    it('should register traceCall method', async () => {
+      assert.isUndefined(utils.web3Eth.traceCall);
+      sinon.stub(utils.web3Eth, 'extend').callsFake(() => {
+        utils.web3Eth.traceCall = sinon.stub().resolves({ to: '0xb' });
+      });
+      assert.deepEqual(await utils.getTransactionLogs(transactionData, 'latest'), []);
+      assert.equal(utils.web3Eth.extend.firstCall.args[0].methods[0].call, 'debug_traceCall');
+      assert.equal(utils.web3Eth.traceCall.firstCall.args[1], 'latest');
+    });
+
+    it('should return undefined when node cannot trace calls', async () => {
+      utils.web3Eth.traceCall = sinon.stub().rejects(new Error('the method debug_traceCall does not exist/is not available'));
+      assert.isUndefined(await utils.getTransactionLogs(transactionData, 'latest'));
+    });
+  });
+
+  describe('reserveNonce', () => {
+    it('should reserve sequential nonces', async () => {
+      sinon.stub(utils.web3Eth, 'getTransactionCount').resolves(6);
+      assert.equal(await utils.reserveNonce('0x8c2373842d5ea4ce4baf53f4175e5e42a364c59c'), 6);
+      assert.equal(await utils.reserveNonce('0x8c2373842d5ea4ce4baf53f4175e5e42a364c59c'), 7);
+      utils.releaseNonce('0x8c2373842d5ea4ce4baf53f4175e5e42a364c59c', 6);
+      assert.equal(await utils.reserveNonce('0x8c2373842d5ea4ce4baf53f4175e5e42a364c59c'), 6);
+      utils.web3Eth.getTransactionCount.restore();
+    });
+  });
+
+  describe('prepareTransaction', () => {
+    it('should prepare transaction data', async () => {
+      sinon.stub(utils.web3Eth, 'getTransactionCount').resolves(6);
+      const contractMethod = {
+        encodeABI: sinon.stub().returns('0x1234'),
+        estimateGas: sinon.stub().resolves(100),
+      };
+      const onReceipt = sinon.stub();
+      const result = await utils.prepareTransaction(contractMethod, '0xa', '0xb', { onReceipt: onReceipt });
+      assert.deepEqual(result.transactionData, { nonce: 6, data: '0x1234', from: '0xa', to: '0xb', gas: 300 });
+      assert.equal(contractMethod.estimateGas.firstCall.args[0].from, '0xa');
+      assert.isFunction(result.eventCallbacks.onTransactionHash);
+      result.eventCallbacks.onReceipt('receipt');
+      assert.equal(onReceipt.callCount, 1);
+      utils.web3Eth.getTransactionCount.restore();
+    });
+
+    it('should set gas price', async () => {
+      utils = Utils.createInstance({ gasCoefficient: 3, gasPriceStrategy: { type: 'fixed', gasPrice: '20000000000' } }, 'http://localhost:8545');
+      sinon.stub(utils.web3Eth, 'getTransactionCount').resolves(6);
+      const result = await utils.prepareTransaction({
+        encodeABI: sinon.stub().returns('0x1234'),
+        estimateGas: sinon.stub().resolves(100),
+      }, '0xa', '0xb');
+      assert.equal(result.transactionData.gasPrice, '20000000000');
+      assert.equal(result.transactionData.gas, 300);
+      utils.web3Eth.getTransactionCount.restore();
+    });
+  });
+
+  describe('getGasPriceFields', () => {
+    it('should return nothing without strategy', async () => {
+      assert.deepEqual(await utils.getGasPriceFields(), {});
+    });
+
+    it('should use configured strategy', async () => {
+      utils = Utils.createInstance({ gasPriceStrategy: async () => ({ maxFeePerGas: '4', maxPriorityFeePerGas: '1' }) }, 'http://localhost:8545');
+      assert.deepEqual(await utils.getGasPriceFields(), { maxFeePerGas: '4', maxPriorityFeePerGas: '1' });
+    });
+  });
+
+  describe('bindNonceCallbacks', () => {
+    const transactionData = { from: '0x8c2373842d5ea4ce4baf53f4175e5e42a364c59c', nonce: 6 };
+
+    beforeEach(() => {
+      sinon.stub(utils.nonceManager, 'confirm');
+      sinon.stub(utils.nonceManager, 'release');
+    });
+
+    it('should keep original callbacks', () => {
+      const callbacks = {
+        onReceipt: sinon.stub(),
+        onTransactionHash: sinon.stub(),
+        onError: sinon.stub(),
+      };
+      const boundCallbacks = utils.bindNonceCallbacks(transactionData, callbacks);
+      boundCallbacks.onReceipt('receipt');
+      boundCallbacks.onTransactionHash('hash');
+      boundCallbacks.onError('error');
+      assert.equal(callbacks.onReceipt.callCount, 1);
+      assert.equal(callbacks.onTransactionHash.firstCall.args[0], 'hash');
+      assert.equal(callbacks.onError.firstCall.args[0], 'error');
+    });
+
+    it('should confirm nonce once the transaction is sent', () => {
+      const boundCallbacks = utils.bindNonceCallbacks(transactionData);
+      boundCallbacks.onTransactionHash('hash');
+      assert.equal(utils.nonceManager.confirm.callCount, 1);
+      assert.deepEqual(utils.nonceManager.confirm.firstCall.args, [transactionData.from, 6]);
+      boundCallbacks.onError(new Error());
+      assert.equal(utils.nonceManager.release.callCount, 0);
+    });
+
+    it('should release nonce when the transaction is not sent', () => {
+      const boundCallbacks = utils.bindNonceCallbacks(transactionData);
+      boundCallbacks.onError(new Error());
+      assert.equal(utils.nonceManager.release.callCount, 1);
+      assert.deepEqual(utils.nonceManager.release.firstCall.args, [transactionData.from, 6]);
+    });
+  });
+
+  describe('getPastLogsInChunks', () => {
+    it('should split the block range', async () => {
+      sinon.stub(utils, 'getPastLogs').callsFake((options) => Promise.resolve([options.fromBlock]));
+      const logs = await utils.getPastLogsInChunks({ address: '0x1', fromBlock: 3, toBlock: 12 }, 4);
+      assert.deepEqual(logs, [3, 7, 11]);
+      assert.deepEqual(utils.getPastLogs.getCalls().map((c) => [c.args[0].fromBlock, c.args[0].toBlock]), [[3, 6], [7, 10], [11, 12]]);
+      assert.equal(utils.getPastLogs.firstCall.args[0].address, '0x1');
+    });
+  });
 });
@@ -44,6 +44,26 @@ describe('WtJsLibs usage', () => {
     });
   });
 
+  describe('createInstance', () => {
+    it('should not share configuration between instances', () => {
+      const otherLibs = WtJsLibs.createInstance({
+        onChainDataOptions: {
+          provider: 'http://localhost:8546',
+        },
+        offChainDataOptions: {
+          adapters: {},
+        },
+      });
+      assert.equal(libs.onChainDataClient.web3Utils.provider, 'http://localhost:8545');
+      assert.equal(otherLibs.onChainDataClient.web3Utils.provider, 'http://localhost:8546');
+      assert.isDefined(libs.getOffChainDataClient('in-memory'));
+      assert.throws(() => otherLibs.getOffChainDataClient('in-memory'), /unsupported data storage type/i);
+      const entrypoint = libs.getEntrypoint(testedDataModel.entrypointAddress);
+      assert.equal(entrypoint.offChainDataClient, libs.offChainDataClient);
+      assert.notStrictEqual(entrypoint, otherLibs.getEntrypoint(testedDataModel.entrypointAddress));
+    });
+  });
+
   describe('getTrustClueClient', () => {
     it('should return a trust client instance', () => {
       const client = libs.getTrustClueClient();
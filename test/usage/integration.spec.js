@@ -85,8 +85,8 @@ describe('WtJsLibs usage - hotels', () => {
     const updateHotel = await hotel.updateOnChainData({
       from: hotelOwner,
     });
-    for (let i = 0; i < updateHotel.length; i++) {
-      const updateResult = await wallet.signAndSendTransaction(updateHotel[i].transactionData, updateHotel[i].eventCallbacks);
+    for (let i = 0; i < updateHotel.steps.length; i++) {
+      const updateResult = await wallet.signAndSendTransaction(updateHotel.steps[i].transactionData, updateHotel.steps[i].eventCallbacks);
       assert.isDefined(updateResult);
       assert.isDefined(updateResult.transactionHash);
     }
@@ -161,8 +161,8 @@ describe('WtJsLibs usage - hotels', () => {
     const updateHotel = await hotel.updateOnChainData({
       from: hotelOwner,
     });
-    for (let i = 0; i < updateHotel.length; i++) {
-      const updateResult = await wallet.signAndSendTransaction(updateHotel[i].transactionData, updateHotel[i].eventCallbacks);
+    for (let i = 0; i < updateHotel.steps.length; i++) {
+      const updateResult = await wallet.signAndSendTransaction(updateHotel.steps[i].transactionData, updateHotel.steps[i].eventCallbacks);
       assert.isDefined(updateResult);
       assert.isDefined(updateResult.transactionHash);
     }
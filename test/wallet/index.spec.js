@@ -4,6 +4,7 @@ import helpers from '../utils/helpers';
 import testedDataModel from '../utils/data-hotel-model-definition';
 import jsonWallet from '../utils/test-wallet';
 import Web3WTWallet from '../../src/wallet';
+import Utils from '../../src/on-chain-data-client/utils';
 import {
   MalformedWalletError,
   WalletStateError,
@@ -14,6 +15,8 @@ import {
   InsufficientFundsError,
   TransactionRevertedError,
   TransactionDidNotComeThroughError,
+  ReplacementUnderpricedError,
+  TransactionReplacementError,
   NoReceiptError,
   InaccessibleEthereumNodeError,
   WalletError,
@@ -265,6 +268,27 @@ describe('WTLibs.Wallet', () => {
       }
     });
 
+    it('should not sign a transaction with EIP-1559 fees', async () => {
+      wallet.unlock(correctPassword);
+      sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+      try {
+        await wallet.signAndSendTransaction({
+          from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+          to: 'bbb',
+          data: 'data',
+          gas: 1234,
+          maxFeePerGas: '4000000000',
+          maxPriorityFeePerGas: '1000000000',
+        });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, WalletSigningError);
+        assert.match(e.message, /EIP-1559/);
+        assert.equal(wallet._account.signTransaction.callCount, 0);
+        assert.equal(sendStub.callCount, 0);
+      }
+    });
+
     it('should sign and send a transaction', async () => {
       wallet.unlock(correctPassword);
       sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
@@ -341,6 +365,87 @@ describe('WTLibs.Wallet', () => {
       assert.equal(txHashCallback.callCount, 1);
     });
 
+    it('should call onError callback with the repackaged error', async () => {
+      wallet.unlock(correctPassword);
+      sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+      wallet.web3Eth.sendSignedTransaction.restore();
+      sinon.stub(wallet.web3Eth, 'sendSignedTransaction').returns(helpers.stubPromiEvent({ error: 'insufficient funds for gas' }));
+      const errorCallback = sinon.stub().returns(null);
+      try {
+        await wallet.signAndSendTransaction({
+          from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+          to: 'bbb',
+          data: 'data',
+          gas: 1234,
+        }, {
+          onError: errorCallback,
+        });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InsufficientFundsError);
+        assert.equal(errorCallback.callCount, 1);
+        assert.equal(errorCallback.firstCall.args[0], e);
+      }
+    });
+
+    it('should reject with the error thrown by onError callback', async () => {
+      wallet.unlock(correctPassword);
+      sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+      wallet.web3Eth.sendSignedTransaction.restore();
+      sinon.stub(wallet.web3Eth, 'sendSignedTransaction').returns(helpers.stubPromiEvent({ error: 'insufficient funds for gas' }));
+      try {
+        await wallet.signAndSendTransaction({
+          from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+          to: 'bbb',
+          data: 'data',
+          gas: 1234,
+        }, {
+          onError: () => { throw new Error('callback failed'); },
+        });
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /callback failed/i);
+      }
+    });
+
+    it('should reject with the error thrown by onReceipt callback', async () => {
+      wallet.unlock(correctPassword);
+      sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+      try {
+        await wallet.signAndSendTransaction({
+          from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+          to: 'bbb',
+          data: 'data',
+          gas: 1234,
+        }, {
+          onReceipt: () => { throw new Error('callback failed'); },
+        });
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /callback failed/i);
+      }
+    });
+
+    it('should call onError callback when signing fails', async () => {
+      wallet.unlock(correctPassword);
+      sinon.stub(wallet._account, 'signTransaction').rejects({ message: 'Invalid JSON RPC response' });
+      const errorCallback = sinon.stub().returns(null);
+      try {
+        await wallet.signAndSendTransaction({
+          from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+          to: 'bbb',
+          data: 'data',
+          gas: 1234,
+        }, {
+          onError: errorCallback,
+        });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, InaccessibleEthereumNodeError);
+        assert.equal(errorCallback.callCount, 1);
+      }
+    });
+
     const _makeErrorTestCase = (errorSetup, expectedErrorType) => {
       return async () => {
         wallet.unlock(correctPassword);
@@ -394,6 +499,91 @@ describe('WTLibs.Wallet', () => {
       await _makeErrorTestCase({ catch: 'Transaction has been reverted by the EVM' }, TransactionRevertedError)();
     });
 
+    it('should reject with TransactionRevertedError with reason from the node', async () => {
+      await _makeErrorTestCase({ error: 'VM Exception while processing transaction: revert' }, TransactionRevertedError)();
+      wallet.unlock(correctPassword);
+      sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+      wallet.web3Eth.sendSignedTransaction.restore();
+      sinon.stub(wallet.web3Eth, 'sendSignedTransaction').returns(helpers.stubPromiEvent({ catch: 'VM Exception while processing transaction: revert Only owner can call this' }));
+      try {
+        await wallet.signAndSendTransaction({
+          from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+          to: 'bbb',
+          data: 'data',
+          gas: 1234,
+        });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, TransactionRevertedError);
+        assert.equal(e.revertReason, 'Only owner can call this');
+        assert.match(e.message, /only owner can call this/i);
+      }
+    });
+
+    it('should replay mined reverted transaction to get the reason', async () => {
+      const getRevertReasonStub = sinon.stub(Utils.prototype, 'getRevertReason').resolves('Organization already added');
+      try {
+        wallet.unlock(correctPassword);
+        sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+        wallet.web3Eth.sendSignedTransaction.restore();
+        sinon.stub(wallet.web3Eth, 'sendSignedTransaction').returns(helpers.stubPromiEvent({
+          error: 'Transaction has been reverted by the EVM:\n' + JSON.stringify({ status: false, blockNumber: 13 }, null, 2),
+        }));
+        const errorCallback = sinon.stub();
+        const transactionData = { from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906', to: 'bbb', data: 'data', gas: 1234 };
+        try {
+          await wallet.signAndSendTransaction(transactionData, { onError: errorCallback });
+          assert(false);
+        } catch (e) {
+          assert.instanceOf(e, TransactionRevertedError);
+          assert.equal(e.revertReason, 'Organization already added');
+          assert.equal(e.reason, 'Organization already added');
+          assert.equal(getRevertReasonStub.callCount, 1);
+          assert.equal(getRevertReasonStub.firstCall.args[0], transactionData);
+          assert.equal(getRevertReasonStub.firstCall.args[1], 13);
+          assert.equal(errorCallback.firstCall.args[0], e);
+        }
+      } finally {
+        getRevertReasonStub.restore();
+      }
+    });
+
+    it('should replay reverted transactions with the same utils', async () => {
+      const web3Utils = { getRevertReason: sinon.stub().resolves('Organization already added') };
+      sinon.spy(Utils, 'createInstance');
+      try {
+        wallet.setupWeb3Eth(testedDataModel.withDataSource().onChainDataOptions.provider, web3Utils);
+        wallet.unlock(correctPassword);
+        sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+        sinon.stub(wallet.web3Eth, 'sendSignedTransaction').returns(helpers.stubPromiEvent({
+          error: 'Transaction has been reverted by the EVM:\n' + JSON.stringify({ status: false, blockNumber: 13 }, null, 2),
+        }));
+        for (let i = 0; i < 2; i++) {
+          try {
+            await wallet.signAndSendTransaction({ from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906', to: 'bbb', data: 'data', gas: 1234 });
+            assert(false);
+          } catch (e) {
+            assert.instanceOf(e, TransactionRevertedError);
+            assert.equal(e.revertReason, 'Organization already added');
+          }
+        }
+        assert.equal(web3Utils.getRevertReason.callCount, 2);
+        assert.equal(Utils.createInstance.callCount, 0);
+      } finally {
+        Utils.createInstance.restore();
+      }
+    });
+
+    it('should not replay reverted transaction without receipt', async () => {
+      const getRevertReasonStub = sinon.stub(Utils.prototype, 'getRevertReason').resolves('reason');
+      try {
+        await _makeErrorTestCase({ error: 'Transaction has been reverted by the EVM' }, TransactionRevertedError)();
+        assert.equal(getRevertReasonStub.callCount, 0);
+      } finally {
+        getRevertReasonStub.restore();
+      }
+    });
+
     it('should reject with TransactionDidNotComeThroughError', async () => {
       await _makeErrorTestCase({ error: 'replacement transaction underpriced' }, TransactionDidNotComeThroughError)();
       await _makeErrorTestCase({ catch: 'replacement transaction underpriced' }, TransactionDidNotComeThroughError)();
@@ -401,6 +591,11 @@ describe('WTLibs.Wallet', () => {
       await _makeErrorTestCase({ catch: 'known transaction: 14b03e6aefa8ef94fcdff05b7adc9eaf4c88ce15c6d33b3326fa9bd6f15829ab' }, TransactionDidNotComeThroughError)();
     });
 
+    it('should reject with ReplacementUnderpricedError', async () => {
+      await _makeErrorTestCase({ error: 'replacement transaction underpriced' }, ReplacementUnderpricedError)();
+      await _makeErrorTestCase({ catch: 'replacement transaction underpriced' }, ReplacementUnderpricedError)();
+    });
+
     it('should reject with InaccessibleEthereumNodeError', async () => {
       await _makeErrorTestCase({ error: 'Invalid JSON RPC response' }, InaccessibleEthereumNodeError)();
       await _makeErrorTestCase({ catch: 'Invalid JSON RPC response' }, InaccessibleEthereumNodeError)();
@@ -425,6 +620,176 @@ describe('WTLibs.Wallet', () => {
     });
   });
 
+  describe('speedUp and cancel', () => {
+    let pendingTx;
+    beforeEach(() => {
+      pendingTx = {
+        hash: '0xoriginal',
+        from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+        to: '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA',
+        input: '0x1234',
+        value: '0',
+        gas: 100000,
+        nonce: 7,
+        gasPrice: '1000000000',
+        blockNumber: null,
+      };
+      sinon.stub(wallet.web3Eth, 'getTransaction').callsFake((hash) => Promise.resolve(Object.assign({}, pendingTx, { hash })));
+      sinon.stub(wallet, 'signAndSendTransaction').callsFake((transactionData, eventCallbacks) => {
+        eventCallbacks.onTransactionHash('0xreplacement');
+        return Promise.resolve('0xreplacement');
+      });
+    });
+
+    afterEach(() => {
+      wallet.web3Eth.getTransaction.restore();
+      wallet.signAndSendTransaction.restore();
+    });
+
+    it('should resend the same transaction with a higher gas price', async () => {
+      const result = await wallet.speedUp('0xoriginal');
+      assert.equal(result, '0xreplacement');
+      const transactionData = wallet.signAndSendTransaction.firstCall.args[0];
+      assert.equal(transactionData.nonce, 7);
+      assert.equal(transactionData.to, pendingTx.to);
+      assert.equal(transactionData.data, '0x1234');
+      assert.equal(transactionData.gas, 100000);
+      assert.equal(transactionData.gasPrice, '1200000000');
+    });
+
+    it('should use given multiplier but bump gas price at least by 10 %', async () => {
+      await wallet.speedUp('0xoriginal', { multiplier: 1.5 });
+      assert.equal(wallet.signAndSendTransaction.firstCall.args[0].gasPrice, '1500000000');
+      await wallet.speedUp('0xoriginal', { multiplier: 1.01 });
+      assert.equal(wallet.signAndSendTransaction.secondCall.args[0].gasPrice, '1100000000');
+    });
+
+    it('should use a gas price strategy', async () => {
+      await wallet.speedUp('0xoriginal', { type: 'fixed', gasPrice: '5000000000' });
+      assert.equal(wallet.signAndSendTransaction.firstCall.args[0].gasPrice, '5000000000');
+    });
+
+    it('should replace EIP-1559 transaction with a legacy one', async () => {
+      delete pendingTx.gasPrice;
+      pendingTx.maxFeePerGas = '3000000000';
+      pendingTx.maxPriorityFeePerGas = '1000000000';
+      await wallet.speedUp('0xoriginal');
+      const transactionData = wallet.signAndSendTransaction.firstCall.args[0];
+      assert.equal(transactionData.gasPrice, '3600000000');
+      assert.isUndefined(transactionData.maxFeePerGas);
+      assert.isUndefined(transactionData.maxPriorityFeePerGas);
+    });
+
+    it('should reject EIP-1559 gas price strategy', async () => {
+      try {
+        await wallet.speedUp('0xoriginal', { type: 'fixed', eip1559: true, maxFeePerGas: '4000000000', maxPriorityFeePerGas: '1000000000' });
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, WalletSigningError);
+        assert.match(e.message, /EIP-1559/);
+        assert.equal(wallet.signAndSendTransaction.callCount, 0);
+      }
+    });
+
+    it('should cancel with a zero-value transfer to self', async () => {
+      await wallet.cancel('0xoriginal');
+      const transactionData = wallet.signAndSendTransaction.firstCall.args[0];
+      assert.equal(transactionData.nonce, 7);
+      assert.equal(transactionData.to, pendingTx.from);
+      assert.equal(transactionData.value, '0');
+      assert.equal(transactionData.data, '0x');
+      assert.equal(transactionData.gas, 21000);
+      assert.equal(transactionData.gasPrice, '1200000000');
+    });
+
+    it('should track the replacement chain', async () => {
+      const onTransactionHash = sinon.stub();
+      await wallet.speedUp('0xoriginal', {}, { onTransactionHash });
+      assert.equal(onTransactionHash.firstCall.args[0], '0xreplacement');
+      assert.deepEqual(wallet.getReplacementChain('0xoriginal'), ['0xoriginal', '0xreplacement']);
+      assert.deepEqual(wallet.getReplacementChain('0xreplacement'), ['0xoriginal', '0xreplacement']);
+      // Next replacement is based on the latest transaction in the chain
+      await wallet.cancel('0xoriginal');
+      assert.equal(wallet.web3Eth.getTransaction.secondCall.args[0], '0xreplacement');
+    });
+
+    it('should reject the original transaction once its cancellation is mined', async () => {
+      wallet.unlock(correctPassword);
+      wallet.signAndSendTransaction.callsFake(Web3WTWallet.prototype.signAndSendTransaction);
+      sinon.stub(wallet._account, 'signTransaction').resolves({ rawTransaction: 'tx-bytecode' });
+      const originalHandlers = {};
+      sinon.stub(wallet.web3Eth, 'sendSignedTransaction')
+        .onFirstCall().returns({
+          on: function (evt, callback) {
+            originalHandlers[evt] = callback;
+            if (evt === 'transactionHash') {
+              callback('0xoriginal'); // eslint-disable-line standard/no-callback-literal
+            }
+            return this;
+          },
+          catch: () => {},
+        })
+        .onSecondCall().returns(helpers.stubPromiEvent({ txHash: true, receipt: true }));
+      const onReceipt = sinon.stub();
+      const onError = sinon.stub();
+      const original = wallet.signAndSendTransaction({
+        from: '0xd39ca7d186a37bb6bf48ae8abfeb4c687dc8f906',
+        to: '0x96eA4BbF71FEa3c9411C1Cefc555E9d7189695fA',
+        data: '0x1234',
+        gas: 100000,
+        nonce: 7,
+      }, { onReceipt, onError });
+      await new Promise((resolve) => setImmediate(resolve));
+      await wallet.cancel('0xoriginal');
+      // The timeout of the superseded transaction is ignored
+      originalHandlers.error(new Error('Transaction was not mined within 750 seconds'));
+      try {
+        await original;
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, TransactionReplacementError);
+        assert.match(e.message, /cancelled/i);
+        assert.equal(onError.callCount, 1);
+        assert.equal(onError.firstCall.args[0], e);
+        assert.equal(onReceipt.callCount, 0);
+      }
+    });
+
+    it('should throw when transaction does not exist', async () => {
+      wallet.web3Eth.getTransaction.restore();
+      sinon.stub(wallet.web3Eth, 'getTransaction').resolves(null);
+      try {
+        await wallet.speedUp('0xoriginal');
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /not found/i);
+        assert.instanceOf(e, TransactionReplacementError);
+      }
+    });
+
+    it('should throw when transaction is already mined', async () => {
+      pendingTx.blockNumber = 12;
+      try {
+        await wallet.cancel('0xoriginal');
+        assert(false);
+      } catch (e) {
+        assert.match(e.message, /already mined/i);
+        assert.instanceOf(e, TransactionReplacementError);
+        assert.equal(wallet.signAndSendTransaction.callCount, 0);
+      }
+    });
+
+    it('should throw on a destroyed wallet', async () => {
+      wallet.destroy();
+      try {
+        await wallet.speedUp('0xoriginal');
+        assert(false);
+      } catch (e) {
+        assert.instanceOf(e, WalletStateError);
+      }
+    });
+  });
+
   describe('signData', () => {
     let wallet;
     beforeEach(async function () {
@@ -21,6 +21,13 @@ const getTargetExternals = (target) => {
     : [];
 }
 
+// FileCache is not available in browsers
+const getTargetNode = (target) => {
+  return target === 'node'
+    ? undefined
+    : { fs: 'empty' };
+}
+
 const getLibraryTarget = (target) => {
   return target === 'node'
     ? 'commonjs'
@@ -52,6 +59,7 @@ const createConfig = (target) => ({
     }
   },
   externals: getTargetExternals(target),
+  node: getTargetNode(target),
   output: {
     path: getDistPath(target),
     filename: '[name].js',